@@ -0,0 +1,36 @@
+/**
+ * GAIA CANSAT - Worker de carga
+ * Parsea los archivos por bloques, limpia los datos y calcula las estadísticas de cada columna
+ * fuera del hilo principal, para que la página siga respondiendo con registros de varios MB.
+ * Reutiliza las mismas funciones de script.js que el respaldo en el hilo principal.
+ */
+
+importScripts('https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js', 'script.js');
+
+self.onmessage = function(event) {
+    const message = event.data;
+    const postError = error => self.postMessage({ id: message.id, type: 'error', error: error.message || String(error) });
+
+    try {
+        if (message.type === 'parse') {
+            parseImportFile(message.file, message.format, {
+                onProgress: progress => self.postMessage({ id: message.id, type: 'progress', progress }),
+                onComplete: result => postResult(message.id, result, result.fields),
+                onError: postError
+            });
+        } else if (message.type === 'clean') {
+            postResult(message.id, computeCleaning(message.rows, message.headers, message.settings), message.headers);
+        }
+    } catch (error) {
+        postError(error);
+    }
+};
+
+/**
+ * Envía el resultado con sus columnas tipadas y estadísticas; los buffers se transfieren sin copiarlos
+ */
+function postResult(id, result, headers) {
+    const summary = summarizeColumns(result.data, headers);
+    const buffers = Object.values(summary.columns).map(values => values.buffer);
+    self.postMessage({ id, type: 'done', result: { ...result, ...summary } }, buffers);
+}
@@ -3,17 +3,101 @@
  * Script principal para el análisis de datos CSV y generación de gráficas
  */
 
-// Variables globales para almacenar los datos del CSV
-let csvData = null;
-let csvHeaders = [];
+// Colección de vuelos cargados; cada vuelo guarda su propio conjunto de datos
+const flights = [];
+let activeFlightIndex = -1;
+let nextFlightId = 1;
 let currentChart = null;
 
-// Variables para limpieza de datos
-let originalData = null;
-let cleanedData = null;
-let currentData = null;
-let isDataCleaned = false;
-let configuredBaseAltitude = 571; // Altura base configurada por el usuario
+// Estado de datos de cada vuelo con sus valores iniciales. Los campos se exponen como
+// variables globales (csvData, csvHeaders, originalData...) que apuntan al vuelo activo
+const flightStateDefaults = {
+    csvData: null,
+    csvHeaders: [],
+    originalData: null,
+    cleanedData: null,
+    cleanedHeaders: null,         // Columnas del conjunto limpio (Interpolado solo aparece si se remuestreó)
+    currentData: null,
+    isDataCleaned: false,
+    cleaningAudit: null,          // Registro completo de filas eliminadas y celdas modificadas en la última limpieza
+    loadedFileName: null,
+    importFormat: null,           // Formato con el que se importó el archivo (delimitador y separador decimal)
+    configuredBaseAltitude: 571,  // Altura base configurada por el usuario
+    detectedAnomalies: [],        // Puntos detectados en la última limpieza
+    columnMapping: {},            // Mapeo activo de variables esperadas a columnas del archivo
+    flightPhases: null,           // Fase asignada a cada fila de csvData
+    flightEvents: null,           // Índices de lanzamiento, apagado, apogeo y aterrizaje
+    baroAltitudeFill: false       // Altitud_m no venía en el archivo y la generó la altitud barométrica
+};
+
+// Leer sin vuelo activo devuelve el valor inicial y no crea ningún vuelo; los vuelos solo se
+// crean en startNewFlight. Escribir sin vuelo activo (p. ej. tras cancelar una carga o dentro del
+// worker) no hace nada y lo registra en la consola, en lugar de romper el flujo que lo intentó
+Object.keys(flightStateDefaults).forEach(field => {
+    Object.defineProperty(self, field, {
+        get: () => {
+            const flight = getActiveFlight();
+            return flight ? flight[field] : flightStateDefaults[field];
+        },
+        set: value => {
+            const flight = getActiveFlight();
+            if (!flight) {
+                console.error(`❌ No hay un vuelo activo: se descarta el valor de ${field}`);
+                return;
+            }
+            flight[field] = value;
+        },
+        configurable: true
+    });
+});
+
+// Worker de carga (null si el navegador no lo permite, p. ej. al abrir index.html como file://),
+// trabajos enviados pendientes de respuesta y parser de respaldo en el hilo principal
+let parserWorker;
+let nextParserJobId = 1;
+const parserJobs = new Map();
+let mainThreadParse = null;
+let cleaningRequestId = 0;
+
+// Tamaño de cada bloque leído del archivo al parsear (bytes)
+const parserChunkSize = 1024 * 1024;
+
+// Formatos de importación: extensiones admitidas, delimitadores reconocidos y bytes iniciales
+// que se leen para detectar el delimitador y el separador decimal
+const importExtensions = ['.csv', '.tsv', '.txt', '.json'];
+const importDelimiters = {
+    comma: { char: ',', label: 'Coma' },
+    semicolon: { char: ';', label: 'Punto y coma' },
+    tab: { char: '\t', label: 'Tabulador' },
+    pipe: { char: '|', label: 'Barra vertical' }
+};
+const importSampleBytes = 64 * 1024;
+
+// Último archivo elegido, para volver a importarlo si se cambian las opciones de formato en la vista previa
+let pendingImportFile = null;
+
+// Identificador de la última carga iniciada; las respuestas de cargas anteriores se descartan
+let currentLoadId = 0;
+
+// Conexión y sesión grabada de la telemetría en vivo
+let liveSocket = null;
+let liveSession = null;
+
+// Reglas de limpieza activas (editables desde el panel de limpieza)
+let cleaningRules = null;
+
+// Configuración de detectores de anomalías
+let anomalySettings = null;
+
+// Unidades de visualización elegidas por el usuario para cada magnitud
+let displayUnits = null;
+
+// Categorías del índice de calidad del aire (umbrales y colores editables) y su calibración
+let airQualityMetrics = null;
+let airQualityCalibration = null;
+
+// Definiciones de variables derivadas (nombre y fórmula), comunes a todos los vuelos
+let derivedVariables = [];
 
 // Variables esperadas del proyecto CANSAT
 const expectedVariables = [
@@ -33,22 +117,114 @@ const expectedVariables = [
     "Altitud_m"
 ];
 
-// Mapeo de unidades para mostrar en las estadísticas
-const variableUnits = {
-    "Tiempo_ms": "ms",
-    "Temperatura_C": "°C",
-    "Humedad_%": "%",
-    "Presion_hPa": "hPa",
-    "Resistencia_kOhms": "kΩ",
-    "Accel_X_m_s2": "m/s²",
-    "Accel_Y_m_s2": "m/s²",
-    "Accel_Z_m_s2": "m/s²",
-    "Gyro_X_deg_s": "°/s",
-    "Gyro_Y_deg_s": "°/s",
-    "Gyro_Z_deg_s": "°/s",
-    "Roll_deg": "°",
-    "Pitch_deg": "°",
-    "Altitud_m": "m"
+// Registro de magnitudes físicas: cada unidad se convierte a la unidad base con valor_base = valor * factor + offset
+const unitRegistry = {
+    length: {
+        label: 'Longitud',
+        base: 'm',
+        units: {
+            m: { symbol: 'm', factor: 1 },
+            km: { symbol: 'km', factor: 1000 },
+            ft: { symbol: 'ft', factor: 0.3048 }
+        }
+    },
+    velocity: {
+        label: 'Velocidad',
+        base: 'm_s',
+        units: {
+            m_s: { symbol: 'm/s', factor: 1 },
+            km_h: { symbol: 'km/h', factor: 1 / 3.6 },
+            ft_s: { symbol: 'ft/s', factor: 0.3048 },
+            mph: { symbol: 'mph', factor: 0.44704 }
+        }
+    },
+    temperature: {
+        label: 'Temperatura',
+        base: 'C',
+        units: {
+            C: { symbol: '°C', factor: 1 },
+            F: { symbol: '°F', factor: 5 / 9, offset: -160 / 9 },
+            K: { symbol: 'K', factor: 1, offset: -273.15 }
+        }
+    },
+    pressure: {
+        label: 'Presión',
+        base: 'hPa',
+        units: {
+            hPa: { symbol: 'hPa', factor: 1 },
+            Pa: { symbol: 'Pa', factor: 0.01 },
+            kPa: { symbol: 'kPa', factor: 10 },
+            psi: { symbol: 'psi', factor: 68.9475729 },
+            inHg: { symbol: 'inHg', factor: 33.8638866667 }
+        }
+    },
+    acceleration: {
+        label: 'Aceleración',
+        base: 'm_s2',
+        units: {
+            m_s2: { symbol: 'm/s²', factor: 1 },
+            g: { symbol: 'g', factor: 9.80665 },
+            ft_s2: { symbol: 'ft/s²', factor: 0.3048 }
+        }
+    },
+    angularRate: {
+        label: 'Velocidad Angular',
+        base: 'deg_s',
+        units: {
+            deg_s: { symbol: '°/s', factor: 1 },
+            rad_s: { symbol: 'rad/s', factor: 180 / Math.PI },
+            rpm: { symbol: 'rpm', factor: 6 }
+        }
+    },
+    angle: {
+        label: 'Ángulo',
+        base: 'deg',
+        units: {
+            deg: { symbol: '°', factor: 1 },
+            rad: { symbol: 'rad', factor: 180 / Math.PI }
+        }
+    },
+    time: {
+        label: 'Tiempo',
+        base: 'ms',
+        units: {
+            ms: { symbol: 'ms', factor: 1 },
+            s: { symbol: 's', factor: 1000 }
+        }
+    },
+    humidity: {
+        label: 'Humedad',
+        base: 'percent',
+        units: {
+            percent: { symbol: '%', factor: 1 }
+        }
+    },
+    resistance: {
+        label: 'Resistencia',
+        base: 'kOhm',
+        units: {
+            kOhm: { symbol: 'kΩ', factor: 1 },
+            Ohm: { symbol: 'Ω', factor: 0.001 }
+        }
+    }
+};
+
+// Unidad en la que se registra cada canal del proyecto CANSAT
+const channelUnits = {
+    "Tiempo_ms": { quantity: 'time', unit: 'ms' },
+    "Temperatura_C": { quantity: 'temperature', unit: 'C' },
+    "Humedad_%": { quantity: 'humidity', unit: 'percent' },
+    "Presion_hPa": { quantity: 'pressure', unit: 'hPa' },
+    "Resistencia_kOhms": { quantity: 'resistance', unit: 'kOhm' },
+    "Accel_X_m_s2": { quantity: 'acceleration', unit: 'm_s2' },
+    "Accel_Y_m_s2": { quantity: 'acceleration', unit: 'm_s2' },
+    "Accel_Z_m_s2": { quantity: 'acceleration', unit: 'm_s2' },
+    "Gyro_X_deg_s": { quantity: 'angularRate', unit: 'deg_s' },
+    "Gyro_Y_deg_s": { quantity: 'angularRate', unit: 'deg_s' },
+    "Gyro_Z_deg_s": { quantity: 'angularRate', unit: 'deg_s' },
+    "Roll_deg": { quantity: 'angle', unit: 'deg' },
+    "Pitch_deg": { quantity: 'angle', unit: 'deg' },
+    "Altitud_m": { quantity: 'length', unit: 'm' }
 };
 
 // Paleta de verdes para las gráficas
@@ -60,10 +236,22 @@ const greenPalette = {
     light: '#33ff99'      // Verde claro
 };
 
-// Inicialización cuando se carga la página
-document.addEventListener('DOMContentLoaded', function() {
-    initializeApp();
-});
+// Nivel de detalle de las gráficas grandes: puntos dibujados por traza (LTTB) y tamaño de serie
+// a partir del cual se dibuja con WebGL
+const levelOfDetailSettings = {
+    maxPoints: 4000,
+    webglThreshold: 20000
+};
+
+// Series completas de cada gráfica con nivel de detalle, para volver a muestrear al hacer zoom
+const levelOfDetailSeries = {};
+
+// Inicialización cuando se carga la página (el worker de carga importa este script sin DOM)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeApp();
+    });
+}
 
 /**
  * Inicializa la aplicación y configura los event listeners
@@ -71,6 +259,13 @@ document.addEventListener('DOMContentLoaded', function() {
 function initializeApp() {
     console.log('🚀 Inicializando GAIA CANSAT Data Analyzer...');
     
+    // Cargar las reglas de limpieza y detectores de anomalías guardados
+    cleaningRules = loadStoredCleaningRules();
+    anomalySettings = loadStoredAnomalySettings();
+    derivedVariables = loadStoredDerivedVariables();
+    displayUnits = loadStoredDisplayUnits();
+    loadStoredAirQualitySettings();
+    
     // Configurar elementos del DOM
     const uploadArea = document.getElementById('uploadArea');
     const fileInput = document.getElementById('csvFile');
@@ -84,6 +279,9 @@ function initializeApp() {
     uploadArea.addEventListener('drop', handleDrop);
     uploadBtn.addEventListener('click', () => fileInput.click());
     fileInput.addEventListener('change', handleFileSelect);
+    document.getElementById('cancelLoadBtn').addEventListener('click', cancelFileLoad);
+    document.getElementById('importDelimiter').addEventListener('change', reimportPendingFile);
+    document.getElementById('importDecimal').addEventListener('change', reimportPendingFile);
     
     // Event listener para generar gráfica
     generateBtn.addEventListener('click', generateChart);
@@ -94,27 +292,136 @@ function initializeApp() {
     
     // Event listener para estadísticas
     document.getElementById('statsBtn').addEventListener('click', toggleStats);
+    document.getElementById('statsPhaseFilter').addEventListener('change', () => {
+        if (document.getElementById('statsContent').style.display !== 'none') {
+            generateStatistics();
+        }
+    });
     
     // Event listener para análisis de calidad del aire
     document.getElementById('airQualityBtn').addEventListener('click', toggleAirQualityAnalysis);
     
     // Event listener para análisis de apogeo
     document.getElementById('apogeeBtn').addEventListener('click', toggleApogeeAnalysis);
+    document.getElementById('apogeeAltitudeSource').addEventListener('change', analyzeApogee);
+    
+    // Event listeners para filtros de señal
+    document.getElementById('chartFilter').addEventListener('change', updateFilterParamVisibility);
+    document.getElementById('saveFilteredBtn').addEventListener('click', saveFilteredSeries);
+    
+    // Event listeners para variables derivadas
+    document.getElementById('addDerivedBtn').addEventListener('click', addDerivedVariable);
+    document.getElementById('derivedList').addEventListener('click', handleDerivedListClick);
+    
+    // Event listeners para altitud barométrica
+    document.getElementById('baroBtn').addEventListener('click', toggleBarometricAnalysis);
+    document.getElementById('baroComputeBtn').addEventListener('click', analyzeBarometricAltitude);
+    document.getElementById('baroReference').addEventListener('change', updateBaroReferenceControls);
+    
+    // Event listeners para análisis de descenso
+    document.getElementById('descentBtn').addEventListener('click', toggleDescentAnalysis);
+    document.getElementById('descentSmoothing').addEventListener('change', analyzeDescent);
     
     // Event listener para actualizar análisis de calidad del aire
     document.getElementById('updateQualityBtn').addEventListener('click', updateAirQualityAnalysis);
+    renderAirQualityCalibrationControls();
+    renderAirQualityThresholdsEditor();
+    document.getElementById('airQualityCalibration').addEventListener('change', handleAirQualityCalibrationChange);
+    document.getElementById('airQualityThresholds').addEventListener('change', handleAirQualityThresholdChange);
+    document.getElementById('resetAirQualityBtn').addEventListener('click', resetAirQualitySettings);
     
     // Event listeners para limpieza de datos
     document.getElementById('cleanDataBtn').addEventListener('click', toggleDataCleaning);
     document.getElementById('proceedBtn').addEventListener('click', proceedWithCleanedData);
     document.getElementById('resetBtn').addEventListener('click', resetToOriginalData);
     
+    // Event listeners para el editor de reglas de limpieza
+    document.getElementById('rulesTable').addEventListener('change', handleCleaningRuleChange);
+    document.getElementById('rulesTable').addEventListener('click', handleCleaningRuleClick);
+    document.getElementById('addRuleBtn').addEventListener('click', addCleaningRule);
+    document.getElementById('resetRulesBtn').addEventListener('click', resetCleaningRules);
+    document.getElementById('applyRulesBtn').addEventListener('click', cleanData);
+    document.getElementById('saveRulesBtn').addEventListener('click', saveCleaningRulesFile);
+    document.getElementById('loadRulesBtn').addEventListener('click', () => document.getElementById('rulesFileInput').click());
+    document.getElementById('rulesFileInput').addEventListener('change', loadCleaningRulesFile);
+    
+    // Event listeners para detectores de anomalías y revisión de puntos
+    document.getElementById('anomalyConfig').addEventListener('change', handleAnomalySettingChange);
+    document.getElementById('cleaningDetails').addEventListener('change', handleAnomalyReview);
+    document.getElementById('cleaningDetails').addEventListener('click', handleAnomalyBulkReview);
+    
+    // Event listeners para exportación de datos
+    document.getElementById('exportBtn').addEventListener('click', exportData);
+    document.getElementById('downloadAuditBtn').addEventListener('click', downloadCleaningAudit);
+    
+    // Event listeners para la reproducción del vuelo
+    document.getElementById('replaySpeed').innerHTML = replaySpeeds.map(speed =>
+        `<option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}×</option>`).join('');
+    document.getElementById('replayPlayBtn').addEventListener('click', toggleReplay);
+    document.getElementById('replayScrubber').addEventListener('input', handleReplayScrub);
+    
+    // Event listeners para la orientación 3D
+    document.getElementById('attitudeBtn').addEventListener('click', toggleAttitudeView);
+    document.getElementById('attitudeSource').addEventListener('change', generateAttitudeView);
+    document.getElementById('attitudeEstimateBtn').addEventListener('click', toggleAttitudeEstimation);
+    document.getElementById('attitudeEstimateComputeBtn').addEventListener('click', () => estimateAttitude());
+    
+    // Event listeners para la cinemática vertical
+    document.getElementById('kinematicsBtn').addEventListener('click', toggleVerticalKinematics);
+    document.getElementById('kinematicsComputeBtn').addEventListener('click', () => analyzeVerticalKinematics());
+    
+    // Event listeners para el análisis espectral
+    document.getElementById('spectrumWindow').innerHTML = Object.entries(spectralWindows).map(([key, spectralWindow]) =>
+        `<option value="${key}">${spectralWindow.label}</option>`).join('');
+    document.getElementById('spectrumBtn').addEventListener('click', toggleSpectralAnalysis);
+    document.getElementById('spectrumComputeBtn').addEventListener('click', () => analyzeSpectrum());
+    document.getElementById('spectrumLogScale').addEventListener('change', updateSpectrumScale);
+    
+    // Event listeners para el perfil atmosférico
+    document.getElementById('atmosphereBtn').addEventListener('click', toggleAtmosphericProfile);
+    document.getElementById('atmosphereComputeBtn').addEventListener('click', () => analyzeAtmosphericProfile());
+    
+    // Event listeners para telemetría en vivo
+    document.getElementById('liveToggleBtn').addEventListener('click', toggleLiveSection);
+    document.getElementById('liveConnectBtn').addEventListener('click', toggleLiveTelemetry);
+    document.getElementById('liveAnalyzeBtn').addEventListener('click', analyzeLiveSession);
+    document.getElementById('liveDownloadBtn').addEventListener('click', downloadLiveSession);
+    document.getElementById('liveVariable').addEventListener('change', initializeLiveCharts);
+    document.getElementById('liveBaseAltitude').addEventListener('change', initializeLiveCharts);
+    setInterval(checkLiveLinkHealth, 1000);
+    
+    // Event listeners para la colección de vuelos y su comparación
+    document.getElementById('flightList').addEventListener('click', handleFlightListClick);
+    document.getElementById('flightList').addEventListener('change', handleFlightRename);
+    document.getElementById('addFlightBtn').addEventListener('click', () => fileInput.click());
+    document.getElementById('compareBtn').addEventListener('click', compareFlights);
+    
+    // Event listeners para el reporte de vuelo
+    loadStoredReportMetadata();
+    document.getElementById('generateReportBtn').addEventListener('click', generateReport);
+    document.getElementById('refreshReportChartsBtn').addEventListener('click', renderReportChartOptions);
+    
+    // Event listeners para unidades de visualización
+    renderDisplayUnitControls();
+    document.getElementById('unitControls').addEventListener('change', handleDisplayUnitChange);
+    document.getElementById('metricUnitsBtn').addEventListener('click', () => applyDisplayUnitPreset('metric'));
+    document.getElementById('imperialUnitsBtn').addEventListener('click', () => applyDisplayUnitPreset('imperial'));
+    
+    // Event listeners para mapeo de columnas
+    document.getElementById('applyMappingBtn').addEventListener('click', proceedWithColumnMapping);
+    document.getElementById('mappingTable').addEventListener('change', handleMappingChange);
+    document.getElementById('loadProfileBtn').addEventListener('click', applySelectedMappingProfile);
+    document.getElementById('saveProfileBtn').addEventListener('click', saveMappingProfile);
+    document.getElementById('deleteProfileBtn').addEventListener('click', deleteMappingProfile);
+    
     // Event listeners para configuración de altura base
     document.getElementById('proceedAltitudeBtn').addEventListener('click', proceedWithConfiguredAltitude);
     
     // Event listeners para preview del CSV
     document.getElementById('proceedPreviewBtn').addEventListener('click', proceedWithPreview);
     document.getElementById('changeFileBtn').addEventListener('click', changeFile);
+    document.getElementById('previewRowLimit').addEventListener('change', () => displayPreviewTable(originalData, csvHeaders));
+    document.getElementById('previewRowMode').addEventListener('change', () => displayPreviewTable(originalData, csvHeaders));
     
     console.log('✅ Aplicación inicializada correctamente');
 }
@@ -156,58 +463,495 @@ function handleFileSelect(e) {
     if (file) {
         processFile(file);
     }
+    
+    // Permitir volver a seleccionar el mismo archivo como otro vuelo
+    e.target.value = '';
 }
 
 /**
- * Procesa el archivo CSV seleccionado
+ * Procesa el archivo de datos seleccionado (CSV, TSV, TXT o JSON)
  */
 function processFile(file) {
     console.log('📁 Procesando archivo:', file.name);
     
-    // Validar que sea un archivo CSV
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-        alert('❌ Por favor selecciona un archivo CSV válido');
+    // Validar que sea un formato admitido
+    const extension = getFileExtension(file.name);
+    if (!importExtensions.includes(extension)) {
+        alert(`❌ Formato no admitido. Selecciona un archivo ${importExtensions.join(', ')}`);
         return;
     }
     
+    // Una carga nueva reemplaza a la que siga en curso
+    if (mainThreadParse || [...parserJobs.values()].some(job => job.type === 'parse')) {
+        cancelFileLoad();
+    }
+    
+    // Cada archivo se carga como un vuelo nuevo de la colección
+    startNewFlight(file.name);
+    
     // Mostrar información del archivo
     showFileInfo(file);
+    loadedFileName = file.name;
+    pendingImportFile = file;
+    showLoadProgress({ loaded: 0, total: file.size, rows: 0 });
+    
+    // Detectar el formato con el comienzo del archivo y parsearlo por bloques en el worker de carga.
+    // Cada carga lleva su identificador: el vuelo pendiente se reutiliza, así que solo la última cuenta
+    const loadId = ++currentLoadId;
+    file.slice(0, importSampleBytes).text().then(sample => {
+        if (loadId !== currentLoadId) {
+            return;
+        }
+        importFormat = resolveImportFormat(sample, extension);
+        console.log('🔎 Formato de importación:', importFormat);
+        
+        runParserJob('parse', { file, format: importFormat }, {
+            onProgress: showLoadProgress,
+            onComplete: result => {
+                if (loadId !== currentLoadId) {
+                    return;
+                }
+                hideLoadProgress();
+                if (result.errors.length > 0) {
+                    console.warn('⚠️ Errores en el parsing:', result.errors);
+                }
+                
+                // Las columnas y estadísticas ya calculadas evitan volver a parsear las celdas
+                if (result.columns) {
+                    seedColumnarData(result.data, result.columns, result.statistics);
+                }
+                loadParsedData(result.data, result.fields);
+            },
+            onError: error => {
+                if (loadId !== currentLoadId) {
+                    return;
+                }
+                hideLoadProgress();
+                console.error('❌ Error al procesar el archivo:', error);
+                alert('❌ Error al procesar el archivo. Verifica que el formato sea correcto.');
+            }
+        });
+    }).catch(error => {
+        if (loadId !== currentLoadId) {
+            return;
+        }
+        hideLoadProgress();
+        console.error('❌ Error al leer el archivo:', error);
+        alert('❌ No se pudo leer el archivo.');
+    });
+}
+
+/**
+ * Vuelve a importar el archivo de la vista previa con las nuevas opciones de formato
+ */
+function reimportPendingFile() {
+    const active = flights[activeFlightIndex];
+    if (pendingImportFile && active && !active.ready && loadedFileName === pendingImportFile.name) {
+        processFile(pendingImportFile);
+    }
+}
+
+/**
+ * Devuelve la extensión de un nombre de archivo en minúsculas (con el punto)
+ */
+function getFileExtension(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    return dot === -1 ? '' : fileName.slice(dot).toLowerCase();
+}
+
+/**
+ * Decide el formato de importación: las opciones manuales tienen prioridad sobre la detección
+ */
+function resolveImportFormat(sample, extension) {
+    if (extension === '.json') {
+        return { type: 'json', delimiter: null, decimal: '.', detected: { delimiter: false, decimal: false } };
+    }
+    
+    // La última línea de la muestra puede estar cortada
+    const lines = sample.split(/\r?\n/).slice(0, -1).filter(line => line.trim() !== '').slice(0, 50);
+    if (lines.length === 0) {
+        lines.push(sample);
+    }
+    
+    const delimiterChoice = document.getElementById('importDelimiter').value;
+    const decimalChoice = document.getElementById('importDecimal').value;
+    const delimiter = delimiterChoice === 'auto' ? detectDelimiter(lines, extension) : importDelimiters[delimiterChoice].char;
+    const decimal = decimalChoice === 'auto' ? detectDecimalSeparator(lines, delimiter) : decimalChoice;
+    
+    return {
+        type: 'delimited',
+        delimiter,
+        decimal,
+        detected: { delimiter: delimiterChoice === 'auto', decimal: decimalChoice === 'auto' }
+    };
+}
+
+/**
+ * Cuenta las apariciones de un carácter fuera de las comillas
+ */
+function countOutsideQuotes(line, char) {
+    let count = 0;
+    let quoted = false;
+    for (const current of line) {
+        if (current === '"') {
+            quoted = !quoted;
+        } else if (current === char && !quoted) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Detecta el delimitador: el que aparece el mismo número de veces en la cabecera y en todas las filas
+ */
+function detectDelimiter(lines, extension) {
+    const candidates = Object.values(importDelimiters).map(definition => {
+        const counts = lines.map(line => countOutsideQuotes(line, definition.char));
+        return {
+            char: definition.char,
+            columns: counts[0],
+            consistent: counts[0] > 0 && counts.every(count => count === counts[0])
+        };
+    });
+    
+    const consistent = candidates.filter(candidate => candidate.consistent);
+    if (consistent.length > 0) {
+        return consistent.reduce((best, candidate) => candidate.columns > best.columns ? candidate : best).char;
+    }
+    if (extension === '.tsv') {
+        return '\t';
+    }
+    const best = candidates.reduce((best, candidate) => candidate.columns > best.columns ? candidate : best);
+    return best.columns > 0 ? best.char : ',';
+}
+
+/**
+ * Detecta el separador decimal por cómo se escriben los números de las filas
+ * (con coma como delimitador, el decimal solo puede ser el punto)
+ */
+function detectDecimalSeparator(lines, delimiter) {
+    if (delimiter === ',') {
+        return '.';
+    }
+    let commaDecimals = 0;
+    let pointDecimals = 0;
+    lines.slice(1).forEach(line => {
+        line.split(delimiter).forEach(field => {
+            const text = field.trim().replace(/^"|"$/g, '');
+            if (/^[+-]?\d+,\d+$/.test(text)) {
+                commaDecimals++;
+            } else if (/^[+-]?\d+\.\d+$/.test(text)) {
+                pointDecimals++;
+            }
+        });
+    });
+    return commaDecimals > pointDecimals ? ',' : '.';
+}
+
+/**
+ * Convierte un número escrito con coma decimal (y punto de miles) a la notación con punto;
+ * el resto de valores se deja intacto
+ */
+function normalizeDecimalComma(value) {
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (typeof text !== 'string') {
+        return value;
+    }
+    // El punto solo se toma como separador de miles si el valor también lleva coma decimal;
+    // "0.125" o "40.416" se dejan como están
+    if (/^[+-]?\d{1,3}(\.\d{3})+,\d+([eE][+-]?\d+)?$/.test(text)) {
+        return text.replace(/\./g, '').replace(',', '.');
+    }
+    if (/^[+-]?\d+,\d+([eE][+-]?\d+)?$/.test(text)) {
+        return text.replace(',', '.');
+    }
+    return value;
+}
+
+/**
+ * Convierte un JSON de registros en filas: un arreglo de objetos, la exportación JSON de la
+ * aplicación ({ metadata, data }) o su exportación columnar
+ */
+function parseJsonRecords(text) {
+    const parsed = JSON.parse(text);
+    let records;
+    if (Array.isArray(parsed)) {
+        records = parsed;
+    } else if (parsed && Array.isArray(parsed.data)) {
+        records = parsed.data;
+    } else if (parsed && parsed.format === 'gaia-cansat-columnar') {
+        const names = Object.keys(parsed.columns);
+        records = Array.from({ length: parsed.rowCount }, (_, i) =>
+            Object.fromEntries(names.map(name => [name, parsed.columns[name][i]])));
+    } else {
+        throw new Error('El JSON debe ser un arreglo de registros');
+    }
+    
+    // Columnas en el orden en que aparecen; los valores se guardan como texto, igual que en un CSV
+    const fields = [];
+    const seen = new Set();
+    const data = records.filter(record => record && typeof record === 'object').map(record => {
+        const row = {};
+        Object.entries(record).forEach(([key, value]) => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                fields.push(key);
+            }
+            row[key] = value === null || value === undefined ? '' :
+                (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+        return row;
+    });
+    
+    return { data, fields, errors: [] };
+}
+
+/**
+ * Parsea el archivo según su formato: JSON de una vez o texto delimitado por bloques
+ */
+function parseImportFile(file, format, handlers) {
+    if (format.type === 'json') {
+        file.text().then(text => {
+            const result = parseJsonRecords(text);
+            handlers.onProgress({ loaded: file.size, total: file.size, rows: result.data.length });
+            handlers.onComplete(result);
+        }).catch(handlers.onError);
+        return;
+    }
+    parseFileInChunks(file, format, handlers);
+}
+
+/**
+ * Parsea un archivo delimitado por bloques con PapaParse informando el progreso.
+ * Se usa tanto en el worker de carga como en el hilo principal cuando no hay worker
+ */
+function parseFileInChunks(file, format, handlers) {
+    const data = [];
+    const errors = [];
+    let fields = null;
+    let aborted = false;
     
-    // Parsear el CSV usando PapaParse
     Papa.parse(file, {
         header: true,
         skipEmptyLines: true,
-        complete: function(results) {
-            if (results.errors.length > 0) {
-                console.warn('⚠️ Errores en el parsing:', results.errors);
+        delimiter: format.delimiter,
+        chunkSize: parserChunkSize,
+        chunk: (results, parser) => {
+            if (handlers.shouldAbort && handlers.shouldAbort()) {
+                aborted = true;
+                parser.abort();
+                return;
             }
-            
-            csvData = results.data;
-            csvHeaders = results.meta.fields;
-            
-            console.log('📊 Datos cargados:', csvData.length, 'filas');
-            console.log('📋 Columnas encontradas:', csvHeaders);
-            
-            // Validar variables esperadas
-            validateCSVStructure();
-            
-            // Configurar los selects con las columnas disponibles
-            populateAxisSelects();
-            
-    // Guardar datos originales para limpieza
-    originalData = [...results.data];
-    currentData = results.data;
+            fields = fields || results.meta.fields;
+            results.data.forEach(row => {
+                // Con coma decimal, "1013,25" se guarda como "1013.25" para que parseFloat no lo trunque
+                if (format.decimal === ',') {
+                    Object.keys(row).forEach(key => {
+                        row[key] = normalizeDecimalComma(row[key]);
+                    });
+                }
+                data.push(row);
+            });
+            results.errors.forEach(error => errors.push(error));
+            handlers.onProgress({ loaded: results.meta.cursor, total: file.size, rows: data.length });
+        },
+        complete: () => {
+            if (aborted) {
+                handlers.onAbort();
+                return;
+            }
+            handlers.onComplete({ data, fields: fields || [], errors });
+        },
+        error: handlers.onError
+    });
+}
+
+/**
+ * Convierte las filas parseadas en columnas tipadas con sus estadísticas (se transfieren sin copiar)
+ */
+function summarizeColumns(rows, headers) {
+    const columns = {};
+    const statistics = {};
+    headers.forEach(header => {
+        columns[header] = getColumn(header, rows);
+        statistics[header] = getColumnStatistics(header, rows);
+    });
+    return { columns, statistics };
+}
+
+/**
+ * Obtiene el worker de carga, creándolo la primera vez; devuelve null si el navegador no lo permite
+ */
+function getParserWorker() {
+    if (parserWorker !== undefined) {
+        return parserWorker;
+    }
+    try {
+        parserWorker = new Worker('parser-worker.js');
+        parserWorker.onmessage = handleParserWorkerMessage;
+        parserWorker.onerror = handleParserWorkerError;
+    } catch (error) {
+        console.warn('⚠️ Worker de carga no disponible, se procesa en el hilo principal:', error.message);
+        parserWorker = null;
+    }
+    return parserWorker;
+}
+
+/**
+ * Ejecuta un trabajo de carga ('parse' o 'clean') en el worker, o en el hilo principal si no hay worker
+ */
+function runParserJob(type, payload, handlers) {
+    const worker = getParserWorker();
+    if (!worker) {
+        runParserJobOnMainThread(type, payload, handlers);
+        return;
+    }
+    const id = nextParserJobId++;
+    parserJobs.set(id, { type, payload, handlers });
+    worker.postMessage({ id, type, ...payload });
+}
+
+/**
+ * Respaldo sin worker: el parseo sigue siendo por bloques asíncronos, así que la página no se congela
+ */
+function runParserJobOnMainThread(type, payload, handlers) {
+    if (type === 'clean') {
+        let result;
+        try {
+            result = computeCleaning(payload.rows, payload.headers, payload.settings);
+        } catch (error) {
+            handlers.onError(error);
+            return;
+        }
+        handlers.onComplete(result);
+        return;
+    }
     
-    // Mostrar preview del CSV
-    showCSVPreview(results.data, results.meta.fields);
+    const parse = { cancelled: false };
+    mainThreadParse = parse;
+    parseImportFile(payload.file, payload.format, {
+        shouldAbort: () => parse.cancelled,
+        onProgress: handlers.onProgress,
+        onComplete: result => {
+            if (mainThreadParse === parse) {
+                mainThreadParse = null;
+            }
+            handlers.onComplete(result);
         },
-        error: function(error) {
-            console.error('❌ Error al procesar el CSV:', error);
-            alert('❌ Error al procesar el archivo CSV. Verifica que el formato sea correcto.');
+        onAbort: () => {},
+        onError: error => {
+            if (mainThreadParse === parse) {
+                mainThreadParse = null;
+            }
+            handlers.onError(error);
         }
     });
 }
 
+/**
+ * Entrega al trabajo correspondiente los mensajes del worker (progreso, resultado o error)
+ */
+function handleParserWorkerMessage(event) {
+    const message = event.data;
+    const job = parserJobs.get(message.id);
+    if (!job) {
+        return;
+    }
+    if (message.type === 'progress') {
+        job.handlers.onProgress(message.progress);
+        return;
+    }
+    parserJobs.delete(message.id);
+    if (message.type === 'error') {
+        job.handlers.onError(message.error);
+    } else {
+        job.handlers.onComplete(message.result);
+    }
+}
+
+/**
+ * Si el worker no puede arrancar (por ejemplo, sin acceso a PapaParse) se repiten sus trabajos en el hilo principal
+ */
+function handleParserWorkerError(event) {
+    event.preventDefault();
+    console.warn('⚠️ Falló el worker de carga, se continúa en el hilo principal:', event.message);
+    parserWorker.terminate();
+    parserWorker = null;
+    
+    const pending = [...parserJobs.values()];
+    parserJobs.clear();
+    pending.forEach(job => runParserJobOnMainThread(job.type, job.payload, job.handlers));
+}
+
+/**
+ * Cancela la carga en curso y descarta el vuelo que se estaba creando
+ */
+function cancelFileLoad() {
+    // Detener el worker interrumpe el parseo al instante; se recrea en el siguiente trabajo
+    const pendingCleaning = [...parserJobs.values()].filter(job => job.type === 'clean');
+    if (parserWorker) {
+        parserWorker.terminate();
+        parserWorker = undefined;
+    }
+    parserJobs.clear();
+    if (mainThreadParse) {
+        mainThreadParse.cancelled = true;
+        mainThreadParse = null;
+    }
+    
+    currentLoadId++;
+    hideLoadProgress();
+    document.getElementById('fileInfo').style.display = 'none';
+    discardPendingFlight();
+    
+    // Las limpiezas de otros vuelos que quedaron a medias se vuelven a lanzar
+    pendingCleaning.forEach(job => runParserJob(job.type, job.payload, job.handlers));
+    console.log('⏹️ Carga cancelada');
+}
+
+/**
+ * Muestra el avance de la carga en el panel de carga
+ */
+function showLoadProgress(progress) {
+    const percent = progress.total > 0 ? Math.min(100, (progress.loaded / progress.total) * 100) : 0;
+    document.getElementById('loadProgress').style.display = 'flex';
+    document.getElementById('loadProgressBar').style.width = `${percent.toFixed(1)}%`;
+    document.getElementById('loadProgressText').textContent =
+        `${percent.toFixed(0)}% · ${progress.rows.toLocaleString('es-ES')} filas`;
+}
+
+/**
+ * Oculta la barra de progreso de la carga
+ */
+function hideLoadProgress() {
+    document.getElementById('loadProgress').style.display = 'none';
+}
+
+/**
+ * Carga filas ya parseadas en el vuelo activo y muestra la vista previa
+ */
+function loadParsedData(data, fields) {
+    csvData = data;
+    csvHeaders = fields;
+    
+    console.log('📊 Datos cargados:', csvData.length, 'filas');
+    console.log('📋 Columnas encontradas:', csvHeaders);
+    
+    // Validar variables esperadas
+    validateCSVStructure();
+    
+    // Configurar los selects con las columnas disponibles
+    populateAxisSelects();
+    
+    // Guardar datos originales para limpieza
+    originalData = [...data];
+    currentData = data;
+    
+    // Mostrar preview del CSV
+    showCSVPreview(data, fields);
+}
+
 /**
  * Muestra la información del archivo cargado
  */
@@ -226,9 +970,13 @@ function showFileInfo(file) {
  * Valida que el CSV contenga las variables esperadas del proyecto CANSAT
  */
 function validateCSVStructure() {
-    const missingVariables = expectedVariables.filter(variable => 
-        !csvHeaders.some(header => header.toLowerCase().includes(variable.toLowerCase()))
-    );
+    const suggestion = suggestColumnMapping(csvHeaders);
+    const missingVariables = expectedVariables.filter(variable => !suggestion[variable]);
+    const renamedVariables = expectedVariables.filter(variable => suggestion[variable] && suggestion[variable] !== variable);
+    
+    if (renamedVariables.length > 0) {
+        console.log('🔀 Variables que requieren mapeo:', renamedVariables.map(variable => `${suggestion[variable]} → ${variable}`));
+    }
     
     if (missingVariables.length > 0) {
         console.warn('⚠️ Variables esperadas no encontradas:', missingVariables);
@@ -276,41 +1024,95 @@ function populateAxisSelects() {
 }
 
 /**
- * Valida que las opciones de gráfica sean válidas
+ * Actualiza los selects de ejes conservando la selección actual cuando sigue disponible
  */
-function validateChartOptions() {
-    const xAxis = document.getElementById('xAxis').value;
-    const yAxis = document.getElementById('yAxis').value;
-    const generateBtn = document.getElementById('generateBtn');
+function updateColumnDropdowns() {
+    const xAxisSelect = document.getElementById('xAxis');
+    const yAxisSelect = document.getElementById('yAxis');
+    const previousX = xAxisSelect.value;
+    const previousY = yAxisSelect.value;
     
-    const isValid = xAxis && yAxis && xAxis !== yAxis;
-    generateBtn.disabled = !isValid;
+    populateAxisSelects();
     
-    if (isValid) {
-        generateBtn.style.opacity = '1';
-    } else {
-        generateBtn.style.opacity = '0.5';
+    if (previousX && csvHeaders.includes(previousX)) {
+        xAxisSelect.value = previousX;
+    }
+    if (previousY && csvHeaders.includes(previousY)) {
+        yAxisSelect.value = previousY;
     }
+    
+    validateChartOptions();
+    populateApogeeSourceSelect();
 }
 
 /**
- * Genera la gráfica con los datos seleccionados
+ * Pobla el select de serie de altitud del apogeo con Altitud_m y sus series derivadas
  */
-function generateChart() {
-    const xAxis = document.getElementById('xAxis').value;
-    const yAxis = document.getElementById('yAxis').value;
-    const chartType = document.getElementById('chartType').value;
+function populateApogeeSourceSelect() {
+    const select = document.getElementById('apogeeAltitudeSource');
+    const previous = select.value;
+    const sources = csvHeaders.filter(header => header === 'Altitud_m' || header.startsWith('Altitud_m_') || header.startsWith('Altitud_'));
     
-    if (!xAxis || !yAxis) {
-        alert('❌ Por favor selecciona ambos ejes para generar la gráfica');
-        return;
+    select.innerHTML = sources.map(header => `<option value="${header}">${header}</option>`).join('');
+    if (sources.includes(previous)) {
+        select.value = previous;
     }
+}
+
+/**
+ * Agrega (o reemplaza) una columna calculada en csvData y la registra en csvHeaders
+ */
+function addDerivedColumn(name, values) {
+    csvData.forEach((row, index) => {
+        const value = values[index];
+        row[name] = value === undefined || isNaN(value) ? '' : value;
+    });
+    invalidateColumn(name);
+    
+    if (!csvHeaders.includes(name)) {
+        csvHeaders.push(name);
+    }
+    
+    updateColumnDropdowns();
+}
+
+/**
+ * Valida que las opciones de gráfica sean válidas
+ */
+function validateChartOptions() {
+    const xAxis = document.getElementById('xAxis').value;
+    const yAxis = document.getElementById('yAxis').value;
+    const generateBtn = document.getElementById('generateBtn');
+    
+    const isValid = xAxis && yAxis && xAxis !== yAxis;
+    generateBtn.disabled = !isValid;
+    
+    if (isValid) {
+        generateBtn.style.opacity = '1';
+    } else {
+        generateBtn.style.opacity = '0.5';
+    }
+}
+
+/**
+ * Genera la gráfica con los datos seleccionados
+ */
+function generateChart() {
+    const xAxis = document.getElementById('xAxis').value;
+    const yAxis = document.getElementById('yAxis').value;
+    const chartType = document.getElementById('chartType').value;
+    
+    if (!xAxis || !yAxis) {
+        alert('❌ Por favor selecciona ambos ejes para generar la gráfica');
+        return;
+    }
+    
+    console.log('📈 Generando gráfica:', { xAxis, yAxis, chartType });
     
-    console.log('📈 Generando gráfica:', { xAxis, yAxis, chartType });
-    
-    // Preparar datos para Plotly
-    const xData = csvData.map(row => parseFloat(row[xAxis])).filter(val => !isNaN(val));
-    const yData = csvData.map(row => parseFloat(row[yAxis])).filter(val => !isNaN(val));
+    // Preparar datos para Plotly: solo las filas con dato en ambos ejes, para que X e Y sigan emparejados
+    const indices = getAlignedRowIndices([xAxis, yAxis]);
+    const xData = toDisplaySeries(xAxis, pickColumn(xAxis, indices));
+    const yData = toDisplaySeries(yAxis, pickColumn(yAxis, indices));
     
     // Configurar el tipo de gráfica
     let trace;
@@ -341,9 +1143,7 @@ function generateChart() {
                 type: 'scatter',
                 line: {
                     color: greenPalette.neon,
-                    width: 3,
-                    shape: 'spline',
-                    smoothing: 0.3
+                    width: 3
                 },
                 marker: {
                     color: greenPalette.bright,
@@ -389,7 +1189,7 @@ function generateChart() {
         },
         xaxis: {
             title: {
-                text: xAxis,
+                text: getAxisTitle(xAxis),
                 font: {
                     family: 'Roboto, sans-serif',
                     size: 16,
@@ -409,7 +1209,7 @@ function generateChart() {
         },
         yaxis: {
             title: {
-                text: yAxis,
+                text: getAxisTitle(yAxis),
                 font: {
                     family: 'Roboto, sans-serif',
                     size: 16,
@@ -465,18 +1265,187 @@ function generateChart() {
         displaylogo: false
     };
     
-    // Generar la gráfica
-    Plotly.newPlot('chart', [trace], layout, config);
+    // Superponer la serie filtrada sobre la original
+    const traces = [trace];
+    const filterConfig = readSignalFilterConfig();
+    if (filterConfig.type !== 'none') {
+        traces.push(buildFilteredTrace(xAxis, yAxis, filterConfig));
+    }
+    
+    // Sombrear las fases de vuelo cuando el eje X es el tiempo
+    if (document.getElementById('showPhases').checked && flightPhases && xAxis === 'Tiempo_ms') {
+        const phaseOverlay = buildPhaseShapes(csvData, flightPhases);
+        layout.shapes = phaseOverlay.shapes;
+        layout.annotations = phaseOverlay.annotations;
+    }
+    
+    // Generar la gráfica con un número acotado de puntos (se recupera el detalle al hacer zoom)
+    const plottedTraces = applyLevelOfDetail('chart', traces);
+    Plotly.newPlot('chart', plottedTraces, layout, config);
+    attachLevelOfDetail('chart');
     
     // Mostrar sección de visualización
     showVisualizationSection();
     
     // Actualizar descripción
-    updateChartDescription(xAxis, yAxis, chartType, xData.length);
+    updateChartDescription(xAxis, yAxis, chartType, xData.length, plottedTraces[0].x.length);
     
     console.log('✅ Gráfica generada exitosamente');
 }
 
+/**
+ * Reduce una serie a `threshold` puntos con Largest-Triangle-Three-Buckets.
+ * Devuelve los índices conservados para poder recortar también colores o textos por punto
+ */
+function downsampleLTTB(x, y, threshold) {
+    const length = x.length;
+    if (threshold >= length || threshold < 3) {
+        return Int32Array.from({ length }, (_, index) => index);
+    }
+    
+    const sampled = new Int32Array(threshold);
+    const bucketSize = (length - 2) / (threshold - 2);
+    let previous = 0;
+    sampled[0] = 0;
+    
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        // Punto medio del bucket siguiente: tercer vértice del triángulo
+        const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, length);
+        let averageX = 0;
+        let averageY = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageX += x[i];
+            averageY += y[i];
+        }
+        averageX /= nextEnd - nextStart;
+        averageY /= nextEnd - nextStart;
+        
+        // Del bucket actual se conserva el punto que forma el triángulo de mayor área
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+        let maxArea = -1;
+        let chosen = start;
+        for (let i = start; i < end; i++) {
+            const area = Math.abs((x[previous] - averageX) * (y[i] - y[previous]) - (x[previous] - x[i]) * (averageY - y[previous]));
+            if (area > maxArea) {
+                maxArea = area;
+                chosen = i;
+            }
+        }
+        sampled[bucket + 1] = chosen;
+        previous = chosen;
+    }
+    
+    sampled[threshold - 1] = length - 1;
+    return sampled;
+}
+
+/**
+ * Índices de los puntos dentro del rango visible, más el vecino a cada lado para no cortar las líneas en el borde
+ */
+function selectVisibleIndices(x, y, xRange, yRange) {
+    const inside = index => (!xRange || (x[index] >= xRange[0] && x[index] <= xRange[1])) &&
+        (!yRange || (y[index] >= yRange[0] && y[index] <= yRange[1]));
+    const indices = [];
+    for (let i = 0; i < x.length; i++) {
+        if (inside(i) || (i > 0 && inside(i - 1)) || (i < x.length - 1 && inside(i + 1))) {
+            indices.push(i);
+        }
+    }
+    return Int32Array.from(indices);
+}
+
+/**
+ * Recorta una traza a los índices dados, incluidos sus valores por punto (colores, textos...)
+ */
+function pickTracePoints(series, indices) {
+    const pick = values => Array.from(indices, index => values[index]);
+    const update = { x: pick(series.x), y: pick(series.y) };
+    Object.entries(series.perPoint).forEach(([path, values]) => {
+        update[path] = pick(values);
+    });
+    return update;
+}
+
+/**
+ * Guarda las trazas completas de una gráfica y devuelve versiones reducidas con LTTB;
+ * las series grandes se dibujan con WebGL (scattergl) y marcadores más pequeños
+ */
+function applyLevelOfDetail(chartId, traces) {
+    levelOfDetailSeries[chartId] = traces.map(trace => ({
+        x: trace.x,
+        y: trace.y,
+        perPoint: {
+            ...(Array.isArray(trace.marker && trace.marker.color) ? { 'marker.color': trace.marker.color } : {}),
+            ...(Array.isArray(trace.text) ? { text: trace.text } : {})
+        }
+    }));
+    
+    return traces.map((trace, traceIndex) => {
+        const series = levelOfDetailSeries[chartId][traceIndex];
+        if (series.x.length <= levelOfDetailSettings.maxPoints) {
+            return trace;
+        }
+        
+        const reduced = pickTracePoints(series, downsampleLTTB(series.x, series.y, levelOfDetailSettings.maxPoints));
+        const plotted = { ...trace, x: reduced.x, y: reduced.y };
+        if (reduced.text) {
+            plotted.text = reduced.text;
+        }
+        if (trace.marker) {
+            plotted.marker = { ...trace.marker, size: Math.min(trace.marker.size || 6, 6) };
+            if (reduced['marker.color']) {
+                plotted.marker.color = reduced['marker.color'];
+            }
+        }
+        if (trace.type === 'scatter' && series.x.length > levelOfDetailSettings.webglThreshold) {
+            plotted.type = 'scattergl';
+        }
+        return plotted;
+    });
+}
+
+/**
+ * Vuelve a muestrear las trazas de una gráfica con el rango visible tras un zoom o al restablecer los ejes
+ */
+function attachLevelOfDetail(chartId) {
+    const chart = document.getElementById(chartId);
+    chart.on('plotly_relayout', event => {
+        // Los cambios de formas (cursor de reproducción, fases) no alteran el rango visible
+        if (!Object.keys(event).some(key => key.startsWith('xaxis') || key.startsWith('yaxis'))) {
+            return;
+        }
+        const readRange = axis => axis && !axis.autorange && axis.range ? axis.range : null;
+        const xRange = readRange(chart.layout.xaxis);
+        const yRange = readRange(chart.layout.yaxis);
+        
+        levelOfDetailSeries[chartId].forEach((series, traceIndex) => {
+            if (series.x.length <= levelOfDetailSettings.maxPoints) {
+                return;
+            }
+            let kept;
+            if (xRange || yRange) {
+                const visible = selectVisibleIndices(series.x, series.y, xRange, yRange);
+                const sampled = downsampleLTTB(
+                    Float64Array.from(visible, index => series.x[index]),
+                    Float64Array.from(visible, index => series.y[index]),
+                    levelOfDetailSettings.maxPoints
+                );
+                kept = Array.from(sampled, index => visible[index]);
+            } else {
+                kept = downsampleLTTB(series.x, series.y, levelOfDetailSettings.maxPoints);
+            }
+            const reduced = pickTracePoints(series, kept);
+            const update = {};
+            Object.entries(reduced).forEach(([path, values]) => {
+                update[path] = [values];
+            });
+            Plotly.restyle(chart, update, [traceIndex]);
+        });
+    });
+}
+
 /**
  * Muestra el preview del archivo CSV
  */
@@ -498,6 +1467,27 @@ function showCSVPreview(data, headers) {
 function displayPreviewInfo(data, headers) {
     const previewInfo = document.getElementById('previewInfo');
     
+    // Formato de importación usado (se puede corregir con las opciones del panel de carga)
+    let formatHTML = '';
+    if (importFormat && importFormat.type === 'json') {
+        formatHTML = `
+            <div class="preview-stat">
+                <div class="preview-stat-value">JSON</div>
+                <div class="preview-stat-label">Formato</div>
+            </div>`;
+    } else if (importFormat) {
+        const delimiter = Object.values(importDelimiters).find(definition => definition.char === importFormat.delimiter);
+        formatHTML = `
+            <div class="preview-stat">
+                <div class="preview-stat-value">${delimiter ? delimiter.label : importFormat.delimiter}</div>
+                <div class="preview-stat-label">Delimitador${importFormat.detected.delimiter ? ' (detectado)' : ''}</div>
+            </div>
+            <div class="preview-stat">
+                <div class="preview-stat-value">${importFormat.decimal === ',' ? 'Coma' : 'Punto'}</div>
+                <div class="preview-stat-label">Decimal${importFormat.detected.decimal ? ' (detectado)' : ''}</div>
+            </div>`;
+    }
+    
     const infoHTML = `
         <h3>Información del Archivo</h3>
         <div class="preview-stats">
@@ -517,6 +1507,7 @@ function displayPreviewInfo(data, headers) {
                 <div class="preview-stat-value">${headers.filter(h => !expectedVariables.includes(h)).length}</div>
                 <div class="preview-stat-label">Variables Adicionales</div>
             </div>
+            ${formatHTML}
         </div>
     `;
     
@@ -529,8 +1520,12 @@ function displayPreviewInfo(data, headers) {
 function displayPreviewTable(data, headers) {
     const previewTable = document.getElementById('previewTable');
     
-    // Mostrar solo las primeras 20 filas para el preview
-    const previewData = data.slice(0, 20);
+    // Mostrar un número limitado de filas: las primeras o repartidas uniformemente por el archivo
+    const limit = parseInt(document.getElementById('previewRowLimit').value) || 20;
+    const sampled = document.getElementById('previewRowMode').value === 'sample' && data.length > limit;
+    const previewData = sampled
+        ? Array.from({ length: limit }, (_, i) => data[Math.floor(i * data.length / limit)])
+        : data.slice(0, limit);
     
     // Crear encabezados de la tabla
     let tableHTML = '<table class="preview-table"><thead><tr>';
@@ -555,9 +1550,9 @@ function displayPreviewTable(data, headers) {
     tableHTML += '</tbody></table>';
     
     // Agregar nota si hay más datos
-    if (data.length > 20) {
+    if (data.length > limit) {
         tableHTML += `<p style="text-align: center; color: var(--light-gray); margin-top: 15px; font-style: italic;">
-            Mostrando las primeras 20 filas de ${data.length} total
+            ${sampled ? `Mostrando ${limit} filas muestreadas` : `Mostrando las primeras ${limit} filas`} de ${data.length} total
         </p>`;
     }
     
@@ -573,8 +1568,8 @@ function proceedWithPreview() {
     // Ocultar sección de preview
     document.getElementById('csvPreviewSection').style.display = 'none';
     
-    // Mostrar sección de configuración de altura base
-    showAltitudeConfigSection();
+    // Mostrar sección de mapeo de columnas
+    showColumnMappingSection();
 }
 
 /**
@@ -586,14 +1581,6 @@ function changeFile() {
     // Ocultar sección de preview
     document.getElementById('csvPreviewSection').style.display = 'none';
     
-    // Limpiar datos anteriores
-    originalData = null;
-    cleanedData = null;
-    currentData = null;
-    csvData = null;
-    csvHeaders = [];
-    isDataCleaned = false;
-    
     // Mostrar sección de carga de archivos
     document.getElementById('uploadSection').style.display = 'block';
     document.getElementById('uploadSection').scrollIntoView({ behavior: 'smooth' });
@@ -601,6 +1588,9 @@ function changeFile() {
     // Limpiar información del archivo
     document.getElementById('fileName').textContent = '📄 Selecciona un archivo CSV';
     document.getElementById('fileStats').textContent = '';
+    
+    // Descartar el vuelo pendiente (los vuelos ya analizados se conservan)
+    discardPendingFlight();
 }
 
 /**
@@ -649,7 +1639,9 @@ function toggleDataCleaning() {
         cleanBtn.classList.add('active');
         cleanBtn.textContent = 'Ocultar Limpieza';
         
-        // Ejecutar limpieza automáticamente
+        // Mostrar reglas y ejecutar limpieza automáticamente
+        renderCleaningRulesEditor();
+        renderAnomalyConfig();
         cleanData();
     } else {
         cleaningContent.style.display = 'none';
@@ -667,14 +1659,56 @@ function cleanData() {
         return;
     }
 
-    const baseAltitude = configuredBaseAltitude; // Usar la altura base configurada
+    const settings = {
+        baseAltitude: configuredBaseAltitude, // Usar la altura base configurada
+        rules: cleaningRules,
+        anomalySettings: anomalySettings,
+        timeBaseSettings: readTimeBaseSettings()
+    };
+    
+    const { resample, rateHz } = settings.timeBaseSettings;
+    if (resample && !(isFinite(rateHz) && rateHz > 0)) {
+        alert('❌ La tasa de remuestreo debe ser un número mayor que 0');
+        return;
+    }
     
-    console.log(`🧹 Iniciando limpieza con altura base: ${baseAltitude}m`);
+    console.log(`🧹 Iniciando limpieza con altura base: ${settings.baseAltitude}m`);
+    
+    // La limpieza corre en el worker de carga; solo se aplica el resultado de la última petición
+    // y si el vuelo sigue activo
+    const flight = getActiveFlight();
+    const requestId = ++cleaningRequestId;
+    runParserJob('clean', { rows: originalData, headers: csvHeaders, settings }, {
+        onComplete: result => {
+            if (requestId !== cleaningRequestId || getActiveFlight() !== flight) {
+                return;
+            }
+            if (result.columns) {
+                seedColumnarData(result.data, result.columns, result.statistics);
+            }
+            applyCleaningResult(result, settings);
+        },
+        onError: error => {
+            console.error('❌ Error al limpiar los datos:', error);
+            alert(`❌ Error al limpiar los datos: ${error.message || error}`);
+        }
+    });
+}
+
+/**
+ * Limpia una copia de las filas (duplicados, base de tiempo, reglas, altura base y anomalías)
+ * sin tocar el DOM ni el estado global, para poder ejecutarse en el worker de carga
+ */
+function computeCleaning(sourceRows, headers, settings) {
+    const baseAltitude = settings.baseAltitude;
     
-    // Siempre usar los datos originales como base para evitar problemas de ajuste múltiple
-    let data = [...originalData];
+    // Siempre usar copias de los datos originales para no alterarlos al corregir celdas
+    let data = sourceRows.map(row => ({ ...row }));
     const originalCount = data.length;
     
+    // Posición de cada fila en el archivo original para el registro de auditoría
+    const sourceIndex = new Map(data.map((row, index) => [row, index]));
+    
     // Arrays para almacenar detalles de eliminación
     const duplicateDetails = [];
     const outlierDetails = [];
@@ -689,7 +1723,8 @@ function cleanData() {
             duplicatesRemoved.push({
                 index: index,
                 time: time,
-                reason: 'Duplicado de tiempo'
+                reason: 'Duplicado de tiempo',
+                row: { ...row }
             });
             return false; // Duplicado, eliminar
         }
@@ -697,72 +1732,158 @@ function cleanData() {
         return true;
     });
     
-    // 2. Filtrar por rangos físicos
-    const physicalRanges = {
-        'Temperatura_C': [-50, 85],
-        'Presion_hPa': [300, 1100],
-        'Humedad_%': [0, 100],
-        'Accel_X_m_s2': [-160, 160],
-        'Accel_Y_m_s2': [-160, 160],
-        'Accel_Z_m_s2': [-160, 160],
-        'Gyro_X_deg_s': [-2000, 2000],
-        'Gyro_Y_deg_s': [-2000, 2000],
-        'Gyro_Z_deg_s': [-2000, 2000],
-        'Altitud_m': [-500, 100000]
-    };
+    // 2. Analizar la base de tiempo de las muestras registradas
+    const timeBaseSettings = settings.timeBaseSettings;
+    const timeBase = analyzeTimeBase(getNumericColumn(data, 'Tiempo_ms'), timeBaseSettings.gapThresholdMs);
+    
+    // 3. Aplicar las reglas de rango físico configuradas
+    const activeRules = settings.rules.filter(rule => rule.enabled && rule.column);
+    const outliersRemoved = [];
+    const cellsModified = [];
     
-    let outliersRemoved = [];
     data = data.filter((row, index) => {
-        for (const [column, range] of Object.entries(physicalRanges)) {
-            if (row[column] !== undefined && row[column] !== null) {
-                const value = parseFloat(row[column]);
-                if (isNaN(value) || value < range[0] || value > range[1]) {
-                    outliersRemoved.push({
-                        index: index,
-                        column: column,
-                        value: value,
-                        minRange: range[0],
-                        maxRange: range[1],
-                        reason: isNaN(value) ? 'Valor no numérico' : 
-                               (value < range[0] ? `Valor muy bajo (${value} < ${range[0]})` : 
-                                `Valor muy alto (${value} > ${range[1]})`)
-                    });
-                    return false;
-                }
+        const rowModifications = [];
+        
+        for (const rule of activeRules) {
+            if (row[rule.column] === undefined || row[rule.column] === null) {
+                continue;
+            }
+            
+            const value = parseFloat(row[rule.column]);
+            const min = rule.min === null ? -Infinity : rule.min;
+            const max = rule.max === null ? Infinity : rule.max;
+            if (!isNaN(value) && value >= min && value <= max) {
+                continue;
+            }
+            
+            const reason = isNaN(value) ? 'Valor no numérico' : 
+                          (value < min ? `Valor muy bajo (${value} < ${min})` : 
+                           `Valor muy alto (${value} > ${max})`);
+            
+            if (rule.action === 'drop') {
+                outliersRemoved.push({
+                    index: index,
+                    sourceIndex: sourceIndex.has(row) ? sourceIndex.get(row) : null,
+                    column: rule.column,
+                    value: value,
+                    minRange: min,
+                    maxRange: max,
+                    reason: reason,
+                    row: { ...row }
+                });
+                return false;
+            }
+            
+            // Una celda ya vacía no requiere corrección
+            if (isNaN(value) && row[rule.column] === '') {
+                continue;
             }
+            
+            // No se puede recortar un valor no numérico: se vacía la celda
+            const newValue = rule.action === 'clamp' && !isNaN(value) ? Math.min(Math.max(value, min), max) : '';
+            rowModifications.push({
+                index: index,
+                sourceIndex: sourceIndex.has(row) ? sourceIndex.get(row) : null,
+                column: rule.column,
+                value: row[rule.column],
+                newValue: newValue,
+                action: newValue === '' ? 'blank' : 'clamp',
+                reason: reason
+            });
+            row[rule.column] = newValue;
         }
+        
+        cellsModified.push(...rowModifications);
         return true;
     });
     
-    // 3. Ajustar altitud restando la altura base (siempre desde el valor original)
+    // 4. Ajustar altitud restando la altura base
     data.forEach(row => {
-        if (row['Altitud_m'] !== undefined && row['Altitud_m'] !== null) {
-            // Buscar el valor original de altitud en los datos originales
-            const originalRow = originalData.find(origRow => origRow['Tiempo_ms'] === row['Tiempo_ms']);
-            if (originalRow) {
-                row['Altitud_m'] = parseFloat(originalRow['Altitud_m']) - baseAltitude;
-            }
+        const altitude = parseFloat(row['Altitud_m']);
+        if (!isNaN(altitude)) {
+            row['Altitud_m'] = altitude - baseAltitude;
         }
     });
     
+    // 5. Remuestrear, si se pide, solo las filas que superaron las reglas: así un valor fuera de
+    // rango no se reparte por interpolación entre las muestras vecinas
+    if (timeBaseSettings.resample && timeBase.intervals.length > 0) {
+        data = resampleRows(data, headers, timeBaseSettings.rateHz, timeBaseSettings.method);
+        timeBase.resampledCount = data.length;
+    }
+    // Las reglas y el ajuste de altitud modificaron las celdas: descartar columnas en caché
+    invalidateColumnarData(data);
+    
+    // 6. Detectar anomalías en las series temporales (se aplican al aceptarlas)
+    const anomalies = detectAnomalies(data, settings.anomalySettings);
+    
+    // Interpolado solo existe en el conjunto remuestreado
+    const sourceHeaders = headers.filter(header => header !== 'Interpolado' ||
+        (sourceRows.length > 0 && 'Interpolado' in sourceRows[0]));
+    
+    return {
+        data,
+        headers: timeBase.resampledCount !== undefined && !sourceHeaders.includes('Interpolado')
+            ? [...sourceHeaders, 'Interpolado']
+            : sourceHeaders,
+        originalCount,
+        activeRules,
+        timeBase,
+        duplicatesRemoved,
+        outliersRemoved,
+        cellsModified,
+        anomalies,
+        anomalySourceIndices: anomalies.map(anomaly => sourceIndex.has(anomaly.row) ? sourceIndex.get(anomaly.row) : null)
+    };
+}
+
+/**
+ * Guarda el resultado de la limpieza en el vuelo activo y muestra su resumen
+ */
+function applyCleaningResult(result, settings) {
+    const { data, originalCount, timeBase, duplicatesRemoved, outliersRemoved, cellsModified } = result;
+    const baseAltitude = settings.baseAltitude;
+    
+    detectedAnomalies = result.anomalies;
+    
     const cleanedCount = data.length;
-    const totalRemoved = originalCount - cleanedCount;
     
-    // Guardar datos limpios
+    // Guardar datos limpios (con sus columnas, que pueden incluir Interpolado)
     cleanedData = data;
+    cleanedHeaders = result.headers;
     isDataCleaned = true;
     
+    // Registro de auditoría completo (la interfaz solo muestra los primeros elementos)
+    cleaningAudit = buildCleaningAudit({
+        originalCount,
+        cleanedCount,
+        baseAltitude,
+        rules: result.activeRules,
+        timeBaseSettings: settings.timeBaseSettings,
+        timeBase,
+        duplicatesRemoved,
+        outliersRemoved,
+        cellsModified,
+        anomalies: detectedAnomalies.map((anomaly, index) => ({
+            ...anomaly,
+            sourceIndex: result.anomalySourceIndices[index]
+        }))
+    });
+    
     // Mostrar resumen de limpieza
-    displayCleaningSummary(originalCount, cleanedCount, duplicatesRemoved.length, outliersRemoved.length, baseAltitude);
+    displayCleaningSummary(originalCount, cleanedCount, duplicatesRemoved.length, outliersRemoved.length, baseAltitude, cellsModified.length);
     
     // Mostrar detalles de limpieza
-    displayCleaningDetails(duplicatesRemoved, outliersRemoved, baseAltitude);
+    displayCleaningDetails(duplicatesRemoved, outliersRemoved, baseAltitude, cellsModified, detectedAnomalies, timeBase);
+    
+    // Mostrar histograma de intervalos de muestreo
+    generateSampleIntervalChart(timeBase);
 }
 
 /**
  * Muestra el resumen de limpieza de datos
  */
-function displayCleaningSummary(originalCount, cleanedCount, duplicatesRemoved, outliersRemoved, baseAltitude) {
+function displayCleaningSummary(originalCount, cleanedCount, duplicatesRemoved, outliersRemoved, baseAltitude, cellsModified) {
     const summaryContainer = document.getElementById('cleaningSummary');
     
     const summaryHTML = `
@@ -784,6 +1905,10 @@ function displayCleaningSummary(originalCount, cleanedCount, duplicatesRemoved,
                 <div class="stat-value">${outliersRemoved}</div>
                 <div class="stat-label">Valores Fuera de Rango</div>
             </div>
+            <div class="summary-stat">
+                <div class="stat-value">${cellsModified}</div>
+                <div class="stat-label">Celdas Corregidas</div>
+            </div>
             <div class="summary-stat">
                 <div class="stat-value">${originalCount - cleanedCount}</div>
                 <div class="stat-label">Total Eliminados</div>
@@ -801,7 +1926,7 @@ function displayCleaningSummary(originalCount, cleanedCount, duplicatesRemoved,
 /**
  * Muestra los detalles de qué datos fueron eliminados
  */
-function displayCleaningDetails(duplicatesRemoved, outliersRemoved, baseAltitude) {
+function displayCleaningDetails(duplicatesRemoved, outliersRemoved, baseAltitude, cellsModified, anomalies, timeBase) {
     const detailsContainer = document.getElementById('cleaningDetails');
     
     // Crear HTML para duplicados (siempre mostrar, incluso si es 0)
@@ -840,11 +1965,77 @@ function displayCleaningDetails(duplicatesRemoved, outliersRemoved, baseAltitude
         </div>
     `;
     
+    // Crear HTML para celdas vaciadas o recortadas (siempre mostrar, incluso si es 0)
+    const modifiedHTML = `
+        <div class="detail-card modified">
+            <div class="detail-card-title">Celdas Corregidas (${cellsModified.length})</div>
+            <div class="detail-card-description">Valores vaciados o recortados al límite sin eliminar la fila</div>
+            <div class="detail-card-count">${cellsModified.length}</div>
+            <div class="detail-list">
+                ${cellsModified.length > 0 ? 
+                    cellsModified.slice(0, 10).map(cell => 
+                        `<div class="detail-item">Fila ${cell.index}: ${cell.column} = ${cell.value} → ${cell.newValue === '' ? 'vacío' : cell.newValue} - ${cell.reason}</div>`
+                    ).join('') + 
+                    (cellsModified.length > 10 ? `<div class="detail-item">... y ${cellsModified.length - 10} más</div>` : '') :
+                    '<div class="detail-item">No se corrigieron celdas</div>'
+                }
+            </div>
+        </div>
+    `;
+    
+    // Crear HTML para anomalías detectadas, con revisión punto por punto
+    const acceptedCount = anomalies.filter(anomaly => anomaly.accepted).length;
+    const anomaliesHTML = `
+        <div class="detail-card anomalies">
+            <div class="detail-card-title">Anomalías (${anomalies.length})</div>
+            <div class="detail-card-description">Picos dentro de rango detectados en la serie temporal. Marque los que deben vaciarse.</div>
+            <div class="detail-card-count">${acceptedCount} / ${anomalies.length} aceptadas</div>
+            ${anomalies.length > 0 ? `
+                <div class="anomaly-actions">
+                    <button class="anomaly-toggle-btn" data-accept="all">Aceptar todas</button>
+                    <button class="anomaly-toggle-btn" data-accept="none">Rechazar todas</button>
+                </div>` : ''}
+            <div class="detail-list">
+                ${anomalies.length > 0 ? 
+                    anomalies.slice(0, anomalyListLimit).map((anomaly, i) => `
+                        <label class="detail-item anomaly-item">
+                            <input type="checkbox" data-anomaly-index="${i}" ${anomaly.accepted ? 'checked' : ''}>
+                            Tiempo ${anomaly.time}ms: ${anomaly.column} = ${anomaly.value} (esperado ≈ ${anomaly.expected.toFixed(2)}) - ${anomaly.detectors.map(key => anomalyDetectorLabels[key]).join(', ')}
+                        </label>`
+                    ).join('') + 
+                    (anomalies.length > anomalyListLimit ? `<div class="detail-item">... y ${anomalies.length - anomalyListLimit} más (incluidas en Aceptar/Rechazar todas)</div>` : '') :
+                    `<div class="detail-item">${hasActiveAnomalyDetectors() ? 'No se detectaron anomalías' : 'No hay detectores de anomalías activos'}</div>`
+                }
+            </div>
+        </div>
+    `;
+    
+    // Crear HTML para la base de tiempo (huecos y remuestreo)
+    const gapsHTML = `
+        <div class="detail-card gaps">
+            <div class="detail-card-title">Huecos Temporales (${timeBase.gaps.length})</div>
+            <div class="detail-card-description">Intervalo típico ${isNaN(timeBase.medianInterval) ? '-' : timeBase.medianInterval.toFixed(1)}ms (${isNaN(timeBase.sampleRate) ? '-' : timeBase.sampleRate.toFixed(2)} Hz), umbral ${timeBase.gapThreshold.toFixed(0)}ms${timeBase.outOfOrder > 0 ? `, ${timeBase.outOfOrder} muestras fuera de orden` : ''}</div>
+            <div class="detail-card-count">${timeBase.resampledCount !== undefined ? `Remuestreado a ${timeBase.resampledCount} filas` : timeBase.gaps.length}</div>
+            <div class="detail-list">
+                ${timeBase.gaps.length > 0 ? 
+                    timeBase.gaps.slice(0, 10).map(gap => 
+                        `<div class="detail-item">Tiempo ${gap.startTime}ms → ${gap.endTime}ms: hueco de ${gap.duration.toFixed(0)}ms</div>`
+                    ).join('') + 
+                    (timeBase.gaps.length > 10 ? `<div class="detail-item">... y ${timeBase.gaps.length - 10} más</div>` : '') :
+                    '<div class="detail-item">No se encontraron huecos</div>'
+                }
+            </div>
+        </div>
+    `;
+    
     const detailsHTML = `
         <div class="details-title">Detalles de Limpieza</div>
         <div class="details-grid">
             ${duplicatesHTML}
+            ${gapsHTML}
             ${outliersHTML}
+            ${modifiedHTML}
+            ${anomaliesHTML}
             <div class="detail-card adjusted">
                 <div class="detail-card-title">Altitud Ajustada</div>
                 <div class="detail-card-description">Altura base restada: ${baseAltitude}m</div>
@@ -866,22 +2057,33 @@ function proceedWithCleanedData() {
         return;
     }
     
+    // Vaciar las celdas de las anomalías aceptadas
+    applyAcceptedAnomalies();
+    recordAnomalyDecisions();
+    
     // Usar los datos limpios
     currentData = cleanedData;
     csvData = cleanedData;
+    csvHeaders = [...cleanedHeaders, ...csvHeaders.filter(header => !cleanedHeaders.includes(header) && header !== 'Interpolado')];
     
     // Ocultar sección de limpieza
     document.getElementById('dataCleaningSection').style.display = 'none';
     
+    // Detectar las fases de vuelo sobre los datos seleccionados
+    updateFlightPhases();
+    
     // Mostrar secciones de análisis
-    showChartSection();
-    showStatsSection();
-    showAirQualitySection();
-    showApogeeSection();
+    showAnalysisSections();
+    
+    // Recalcular las variables derivadas guardadas
+    applyDerivedVariables();
     
     // Actualizar dropdowns
     updateColumnDropdowns();
     
+    // El vuelo queda disponible en la lista y en la comparación
+    markActiveFlightReady();
+    
     alert('Datos limpios cargados exitosamente. Puede proceder con el análisis.');
 }
 
@@ -897,23 +2099,55 @@ function resetToOriginalData() {
     // Usar los datos originales
     currentData = originalData;
     csvData = originalData;
+    if (originalData.length === 0 || !('Interpolado' in originalData[0])) {
+        csvHeaders = csvHeaders.filter(header => header !== 'Interpolado');
+    }
     isDataCleaned = false;
+    cleaningAudit = null;
     
     // Ocultar sección de limpieza
     document.getElementById('dataCleaningSection').style.display = 'none';
     
+    // Detectar las fases de vuelo sobre los datos seleccionados
+    updateFlightPhases();
+    
     // Mostrar secciones de análisis
-    showChartSection();
-    showStatsSection();
-    showAirQualitySection();
-    showApogeeSection();
+    showAnalysisSections();
+    
+    // Recalcular las variables derivadas guardadas
+    applyDerivedVariables();
     
     // Actualizar dropdowns
     updateColumnDropdowns();
     
+    // El vuelo queda disponible en la lista y en la comparación
+    markActiveFlightReady();
+    
     alert('Datos originales restaurados. Puede proceder con el análisis.');
 }
 
+/**
+ * Muestra todas las secciones de análisis del vuelo activo
+ */
+function showAnalysisSections() {
+    showReplaySection();
+    showExportSection();
+    showReportSection();
+    showUnitsSection();
+    showChartSection();
+    showStatsSection();
+    showAirQualitySection();
+    showAtmosphereSection();
+    showApogeeSection();
+    showDescentSection();
+    showBarometricSection();
+    showKinematicsSection();
+    showSpectrumSection();
+    showAttitudeSection();
+    showAttitudeEstimateSection();
+    showDerivedSection();
+}
+
 /**
  * Muestra la sección de configuración de gráfica
  */
@@ -949,6 +2183,27 @@ function showApogeeSection() {
     document.getElementById('apogeeSection').style.display = 'block';
 }
 
+/**
+ * Muestra la sección de variables derivadas
+ */
+function showDerivedSection() {
+    document.getElementById('derivedSection').style.display = 'block';
+}
+
+/**
+ * Muestra la sección de altitud barométrica
+ */
+function showBarometricSection() {
+    document.getElementById('baroSection').style.display = 'block';
+}
+
+/**
+ * Muestra la sección de análisis de descenso
+ */
+function showDescentSection() {
+    document.getElementById('descentSection').style.display = 'block';
+}
+
 /**
  * Alterna la visualización del análisis de apogeo
  */
@@ -979,41 +2234,48 @@ function analyzeApogee() {
         return;
     }
 
-    if (!csvHeaders.includes('Altitud_m') || !csvHeaders.includes('Tiempo_ms')) {
+    // Serie de altitud seleccionada (registrada o filtrada)
+    const altitudeColumn = document.getElementById('apogeeAltitudeSource').value || 'Altitud_m';
+
+    if (!csvHeaders.includes(altitudeColumn) || !csvHeaders.includes('Tiempo_ms')) {
         alert('El archivo debe contener columnas de Altitud_m y Tiempo_ms para analizar el apogeo');
         return;
     }
 
-    // Encontrar el apogeo (altitud máxima)
-    let maxAltitude = -Infinity;
-    let apogeeIndex = 0;
-    let apogeeTime = 0;
-    
-    csvData.forEach((row, index) => {
-        if (row['Altitud_m'] !== undefined && row['Altitud_m'] !== null) {
-            const altitude = parseFloat(row['Altitud_m']);
-            if (!isNaN(altitude) && altitude > maxAltitude) {
-                maxAltitude = altitude;
-                apogeeIndex = index;
-                apogeeTime = parseFloat(row['Tiempo_ms']) || 0;
-            }
-        }
-    });
-
-    // Obtener todos los datos en el momento del apogeo
-    const apogeeRow = csvData[apogeeIndex];
+    // Encontrar el apogeo y los datos en ese momento
+    const { maxAltitude, apogeeIndex, apogeeTime, apogeeRow } = findApogee(csvData, altitudeColumn);
     
     // Mostrar resumen
-    displayApogeeOverview(maxAltitude, apogeeTime, apogeeIndex);
+    displayApogeeOverview(toDisplayValue(altitudeColumn, maxAltitude), apogeeTime, apogeeIndex, getUnitForVariable(altitudeColumn));
     
     // Mostrar detalles con todas las métricas
     displayApogeeDetails(apogeeRow, maxAltitude, apogeeTime);
 }
 
+/**
+ * Encuentra el apogeo (altitud máxima) de una serie de altitud
+ */
+function findApogee(rows, altitudeColumn) {
+    const altitudes = getColumn(altitudeColumn, rows);
+    const times = getColumn('Tiempo_ms', rows);
+    let maxAltitude = -Infinity;
+    let apogeeIndex = 0;
+    
+    for (let i = 0; i < altitudes.length; i++) {
+        if (altitudes[i] > maxAltitude) {
+            maxAltitude = altitudes[i];
+            apogeeIndex = i;
+        }
+    }
+    const apogeeTime = times[apogeeIndex] || 0;
+    
+    return { maxAltitude, apogeeIndex, apogeeTime, apogeeRow: rows[apogeeIndex] };
+}
+
 /**
  * Muestra el resumen del apogeo
  */
-function displayApogeeOverview(maxAltitude, apogeeTime, apogeeIndex) {
+function displayApogeeOverview(maxAltitude, apogeeTime, apogeeIndex, altitudeUnit) {
     const overviewContainer = document.getElementById('apogeeOverview');
     
     const overviewHTML = `
@@ -1021,7 +2283,7 @@ function displayApogeeOverview(maxAltitude, apogeeTime, apogeeIndex) {
         <div class="apogee-grid">
             <div class="apogee-card">
                 <div class="apogee-card-title">Altura del Apogeo</div>
-                <div class="apogee-card-value">${maxAltitude.toFixed(2)}<span class="apogee-card-unit">m</span></div>
+                <div class="apogee-card-value">${maxAltitude.toFixed(2)}<span class="apogee-card-unit">${altitudeUnit}</span></div>
             </div>
             <div class="apogee-card">
                 <div class="apogee-card-title">Tiempo al Apogeo</div>
@@ -1053,7 +2315,7 @@ function displayApogeeDetails(apogeeRow, maxAltitude, apogeeTime) {
                 const unit = getUnitForVariable(varName);
                 metrics.push({
                     label: varName,
-                    value: value,
+                    value: toDisplayValue(varName, value),
                     unit: unit
                 });
             }
@@ -1079,26 +2341,16 @@ function displayApogeeDetails(apogeeRow, maxAltitude, apogeeTime) {
 }
 
 /**
- * Obtiene la unidad para una variable
+ * Obtiene el símbolo de la unidad de visualización de una variable
  */
 function getUnitForVariable(varName) {
-    const units = {
-        'Tiempo_ms': 'ms',
-        'Temperatura_C': '°C',
-        'Humedad_%': '%',
-        'Presion_hPa': 'hPa',
-        'Resistencia_kOhms': 'kΩ',
-        'Accel_X_m_s2': 'm/s²',
-        'Accel_Y_m_s2': 'm/s²',
-        'Accel_Z_m_s2': 'm/s²',
-        'Gyro_X_deg_s': 'deg/s',
-        'Gyro_Y_deg_s': 'deg/s',
-        'Gyro_Z_deg_s': 'deg/s',
-        'Roll_deg': '°',
-        'Pitch_deg': '°',
-        'Altitud_m': 'm'
-    };
-    return units[varName] || '';
+    const channel = getChannelUnit(varName);
+    if (!channel) {
+        return '';
+    }
+    const definition = unitRegistry[channel.quantity];
+    const unit = displayUnitQuantities.includes(channel.quantity) ? getDisplayUnit(channel.quantity) : channel.unit;
+    return definition.units[unit].symbol;
 }
 
 /**
@@ -1114,7 +2366,7 @@ function formatValue(value, unit) {
 /**
  * Actualiza la descripción de la gráfica
  */
-function updateChartDescription(xAxis, yAxis, chartType, dataPoints) {
+function updateChartDescription(xAxis, yAxis, chartType, dataPoints, plottedPoints = dataPoints) {
     const description = document.getElementById('chartDescription');
     const chartTypeNames = {
         'scatter': 'Dispersión',
@@ -1124,6 +2376,7 @@ function updateChartDescription(xAxis, yAxis, chartType, dataPoints) {
     
     description.textContent = 
         `Gráfica de ${chartTypeNames[chartType]} mostrando ${dataPoints} puntos de datos. ` +
+        (plottedPoints < dataPoints ? `Se dibujan ${plottedPoints} puntos representativos; el zoom recupera la resolución completa. ` : '') +
         `Eje X: ${xAxis}, Eje Y: ${yAxis}`;
 }
 
@@ -1155,12 +2408,24 @@ function generateStatistics() {
     const statsGrid = document.getElementById('statsGrid');
     statsGrid.innerHTML = '';
     
+    const phaseKey = document.getElementById('statsPhaseFilter').value;
+    const indices = flightPhases && phaseKey !== 'all' ? getPhaseRowIndices(phaseKey) : null;
+    
     csvHeaders.forEach(header => {
-        const values = csvData.map(row => parseFloat(row[header])).filter(val => !isNaN(val));
+        // El vuelo completo reutiliza las estadísticas calculadas al cargar; una fase se calcula aquí
+        const values = indices ? pickColumn(header, indices).filter(val => !isNaN(val)) : null;
+        const rawStats = indices
+            ? (values.length > 0 ? { ...calculateStats(values), count: values.length } : null)
+            : getColumnStatistics(header);
         
-        if (values.length > 0) {
-            const stats = calculateStats(values);
-            const unit = variableUnits[header] || '';
+        if (rawStats) {
+            // Las conversiones de unidades son crecientes y afines: conservan mínimo, máximo y promedio
+            const stats = {
+                mean: toDisplayValue(header, rawStats.mean),
+                min: toDisplayValue(header, rawStats.min),
+                max: toDisplayValue(header, rawStats.max)
+            };
+            const unit = getUnitForVariable(header);
             
             const statCard = document.createElement('div');
             statCard.className = 'stat-card';
@@ -1171,7 +2436,7 @@ function generateStatistics() {
                 <div style="margin-top: 10px;">
                     <div style="font-size: 0.9rem; color: #666;">Min: ${stats.min.toFixed(2)} ${unit}</div>
                     <div style="font-size: 0.9rem; color: #666;">Max: ${stats.max.toFixed(2)} ${unit}</div>
-                    <div style="font-size: 0.9rem; color: #666;">Puntos: ${values.length}</div>
+                    <div style="font-size: 0.9rem; color: #666;">Puntos: ${rawStats.count}</div>
                 </div>
             `;
             
@@ -1184,7 +2449,7 @@ function generateStatistics() {
  * Calcula estadísticas básicas para un array de valores
  */
 function calculateStats(values) {
-    const sorted = [...values].sort((a, b) => a - b);
+    const sorted = Float64Array.from(values).sort();
     const sum = values.reduce((acc, val) => acc + val, 0);
     const mean = sum / values.length;
     
@@ -1215,29 +2480,498 @@ function isValidNumber(value) {
     return !isNaN(parseFloat(value)) && isFinite(value);
 }
 
-// Exportar funciones para uso global si es necesario
-window.GAIACANSAT = {
-    generateChart,
-    processFile,
-    calculateStats,
-    formatNumber
-};
+// Modelo columnar: cada conjunto de filas se convierte una sola vez en columnas Float64Array
+// que comparten el índice de fila (NaN marca la ausencia de dato)
+const columnarCache = new WeakMap();
 
-// Métricas de calidad del aire basadas en resistencia de gases
-const airQualityMetrics = {
-    excellent: { min: 300, max: Infinity, label: 'Excelente', color: '#00ff88' },
-    good: { min: 200, max: 300, label: 'Buena', color: '#00ccff' },
-    moderate: { min: 100, max: 200, label: 'Moderada', color: '#ffaa00' },
-    poor: { min: 50, max: 100, label: 'Mala', color: '#ff6600' },
-    veryPoor: { min: 0, max: 50, label: 'Muy mala', color: '#ff0000' }
-};
+/**
+ * Devuelve la caché columnar de un conjunto de filas, descartándola si cambió su longitud
+ */
+function getColumnarData(rows = csvData) {
+    let columnar = columnarCache.get(rows);
+    if (!columnar || columnar.length !== rows.length) {
+        columnar = { length: rows.length, columns: new Map(), statistics: new Map() };
+        columnarCache.set(rows, columnar);
+    }
+    return columnar;
+}
 
 /**
- * Alterna la visualización del análisis de calidad del aire
+ * Obtiene una columna numérica tipada alineada con las filas (NaN si no es válido)
  */
-function toggleAirQualityAnalysis() {
-    const airQualityBtn = document.getElementById('airQualityBtn');
-    const airQualityContent = document.getElementById('airQualityContent');
+function getColumn(column, rows = csvData) {
+    const columnar = getColumnarData(rows);
+    let values = columnar.columns.get(column);
+    if (!values) {
+        values = new Float64Array(rows.length);
+        for (let i = 0; i < rows.length; i++) {
+            const value = parseFloat(rows[i][column]);
+            values[i] = isFinite(value) ? value : NaN;
+        }
+        columnar.columns.set(column, values);
+    }
+    return values;
+}
+
+/**
+ * Descarta la columna en caché tras modificarla en las filas
+ */
+function invalidateColumn(column, rows = csvData) {
+    const columnar = columnarCache.get(rows);
+    if (columnar) {
+        columnar.columns.delete(column);
+        columnar.statistics.delete(column);
+    }
+}
+
+/**
+ * Descarta todas las columnas en caché de un conjunto de filas
+ */
+function invalidateColumnarData(rows = csvData) {
+    columnarCache.delete(rows);
+}
+
+/**
+ * Carga en la caché columnas y estadísticas ya calculadas (por el worker de carga) para unas filas
+ */
+function seedColumnarData(rows, columns, statistics) {
+    const columnar = getColumnarData(rows);
+    Object.entries(columns).forEach(([column, values]) => {
+        columnar.columns.set(column, values);
+        columnar.statistics.set(column, statistics[column]);
+    });
+}
+
+/**
+ * Estadísticas de una columna completa (null si no tiene datos), calculadas una sola vez
+ */
+function getColumnStatistics(column, rows = csvData) {
+    const columnar = getColumnarData(rows);
+    if (!columnar.statistics.has(column)) {
+        const values = getColumn(column, rows).filter(value => !isNaN(value));
+        columnar.statistics.set(column, values.length > 0 ? { ...calculateStats(values), count: values.length } : null);
+    }
+    return columnar.statistics.get(column);
+}
+
+/**
+ * Índices de fila de una fase de vuelo (todas las filas si no hay fase)
+ */
+function getPhaseRowIndices(phaseKey) {
+    if (!flightPhases || !phaseKey || phaseKey === 'all') {
+        return Int32Array.from({ length: csvData.length }, (_, index) => index);
+    }
+    const indices = [];
+    flightPhases.forEach((phase, index) => {
+        if (phase === phaseKey) {
+            indices.push(index);
+        }
+    });
+    return Int32Array.from(indices);
+}
+
+/**
+ * Índices de fila (de una fase) en los que todas las columnas indicadas tienen dato
+ */
+function getAlignedRowIndices(columns, phaseKey = 'all') {
+    const series = columns.map(column => getColumn(column));
+    return getPhaseRowIndices(phaseKey).filter(index => series.every(values => !isNaN(values[index])));
+}
+
+/**
+ * Extrae los valores de una columna en los índices de fila indicados
+ */
+function pickColumn(column, indices) {
+    const values = getColumn(column);
+    return Float64Array.from(indices, index => values[index]);
+}
+
+/**
+ * Obtiene una columna numérica conservando la alineación con las filas (NaN si no es válido)
+ */
+function getNumericColumn(rows, column) {
+    return Array.from(getColumn(column, rows));
+}
+
+/**
+ * Calcula la mediana de un array de valores ignorando los NaN
+ */
+function median(values) {
+    const sorted = values.filter(val => !isNaN(val)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return NaN;
+    }
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Rellena los huecos (NaN) con el último valor válido, o el primero disponible al inicio
+ */
+function fillMissingValues(values) {
+    const firstValid = values.find(val => !isNaN(val));
+    let lastValid = firstValid !== undefined ? firstValid : NaN;
+    return values.map(val => {
+        if (!isNaN(val)) {
+            lastValid = val;
+        }
+        return lastValid;
+    });
+}
+
+/**
+ * Aplica una media móvil centrada con la ventana indicada
+ */
+function movingAverage(values, windowSize) {
+    const half = Math.floor(windowSize / 2);
+    return values.map((_, index) => {
+        let sum = 0;
+        let count = 0;
+        for (let i = Math.max(0, index - half); i <= Math.min(values.length - 1, index + half); i++) {
+            if (!isNaN(values[i])) {
+                sum += values[i];
+                count++;
+            }
+        }
+        return count > 0 ? sum / count : NaN;
+    });
+}
+
+/**
+ * Construye el layout base de Plotly con el tema espacial de la aplicación
+ */
+function buildChartLayout(title, xTitle, yTitle) {
+    const axisStyle = text => ({
+        title: {
+            text: text,
+            font: {
+                family: 'Roboto, sans-serif',
+                size: 14,
+                color: '#ffffff'
+            }
+        },
+        gridcolor: '#2a2a2a',
+        color: '#ffffff',
+        tickfont: { color: '#ffffff' },
+        showline: true,
+        linecolor: '#00ff88',
+        linewidth: 2,
+        zeroline: false
+    });
+
+    return {
+        title: {
+            text: title,
+            font: {
+                family: 'Orbitron, monospace',
+                size: 18,
+                color: '#00ff88'
+            },
+            x: 0.5,
+            xanchor: 'center'
+        },
+        xaxis: axisStyle(xTitle),
+        yaxis: axisStyle(yTitle),
+        plot_bgcolor: '#0a0a0a',
+        paper_bgcolor: '#0a0a0a',
+        font: { family: 'Roboto, sans-serif', color: '#ffffff' },
+        margin: { l: 60, r: 20, t: 100, b: 60 },
+        hovermode: 'closest',
+        showlegend: true,
+        legend: {
+            x: 0.5,
+            y: 1.01,
+            xanchor: 'center',
+            yanchor: 'bottom',
+            orientation: 'h',
+            bgcolor: 'rgba(0,0,0,0.5)',
+            bordercolor: '#00ff88',
+            borderwidth: 1,
+            font: { color: '#ffffff', size: 12 }
+        }
+    };
+}
+
+// Configuración común de Plotly para las gráficas de análisis
+const defaultChartConfig = {
+    responsive: true,
+    displayModeBar: true,
+    modeBarButtonsToRemove: ['pan2d', 'lasso2d', 'select2d'],
+    displaylogo: false
+};
+
+// Exportar funciones para uso global si es necesario
+self.GAIACANSAT = {
+    generateChart,
+    processFile,
+    calculateStats,
+    formatNumber
+};
+
+// Categorías predeterminadas del índice de calidad del aire (0 = aire limpio, 500 = muy contaminado);
+// cada categoría cubre desde el máximo de la anterior hasta su propio máximo
+const defaultAirQualityMetrics = {
+    excellent: { min: 0, max: 50, label: 'Excelente', color: '#00ff88' },
+    good: { min: 50, max: 100, label: 'Buena', color: '#00ccff' },
+    moderate: { min: 100, max: 200, label: 'Moderada', color: '#ffaa00' },
+    poor: { min: 200, max: 300, label: 'Mala', color: '#ff6600' },
+    veryPoor: { min: 300, max: 500, label: 'Muy mala', color: '#ff0000' }
+};
+
+// Calibración predeterminada del modelo de calidad del aire
+const defaultAirQualityCalibration = {
+    humidityCoefficient: 0.02,    // 1/%HR: la resistencia del sensor MOX baja al subir la humedad
+    temperatureCoefficient: 0.01, // 1/°C
+    humidityWeight: 0.25,         // Peso de la humedad en el índice (el resto es el gas)
+    humidityOptimum: 40,          // %HR considerada ideal para la componente de humedad
+    baseline: 'pad',              // Línea base: muestras en plataforma o primeros segundos
+    baselineSeconds: 30
+};
+
+// Filas iniciales usadas como línea base cuando no hay fase en plataforma ni Tiempo_ms
+const airQualityFallbackBaselineRows = 30;
+
+// Campos editables de la calibración
+const airQualityCalibrationFields = [
+    { key: 'humidityCoefficient', label: 'Compensación de Humedad (1/%HR)', step: '0.001' },
+    { key: 'temperatureCoefficient', label: 'Compensación de Temperatura (1/°C)', step: '0.001' },
+    { key: 'humidityWeight', label: 'Peso de la Humedad (0–1)', step: '0.05' },
+    { key: 'baselineSeconds', label: 'Segundos Iniciales de Línea Base', step: '1' }
+];
+
+// Clave de localStorage de las categorías y la calibración de calidad del aire
+const airQualityStorageKey = 'gaiaCansatAirQuality';
+
+/**
+ * Ordena y encadena las categorías: el mínimo de cada una es el máximo de la anterior
+ */
+function normalizeAirQualityMetrics(metrics) {
+    const normalized = {};
+    let previousMax = 0;
+    Object.keys(defaultAirQualityMetrics).forEach(key => {
+        const source = Object.assign({}, defaultAirQualityMetrics[key], metrics && metrics[key]);
+        const max = Math.max(parseFloat(source.max) || previousMax, previousMax);
+        normalized[key] = { min: previousMax, max, label: source.label, color: source.color };
+        previousMax = max;
+    });
+    return normalized;
+}
+
+/**
+ * Carga las categorías y la calibración guardadas o las predeterminadas
+ */
+function loadStoredAirQualitySettings() {
+    airQualityMetrics = normalizeAirQualityMetrics(null);
+    airQualityCalibration = { ...defaultAirQualityCalibration };
+    try {
+        const stored = JSON.parse(localStorage.getItem(airQualityStorageKey));
+        if (stored) {
+            airQualityMetrics = normalizeAirQualityMetrics(stored.metrics);
+            airQualityCalibration = { ...defaultAirQualityCalibration, ...stored.calibration };
+        }
+    } catch (error) {
+        console.warn('⚠️ Configuración de calidad del aire guardada no válida, usando la predeterminada:', error);
+    }
+}
+
+/**
+ * Guarda las categorías y la calibración actuales en el navegador
+ */
+function storeAirQualitySettings() {
+    try {
+        localStorage.setItem(airQualityStorageKey, JSON.stringify({ metrics: airQualityMetrics, calibration: airQualityCalibration }));
+    } catch (error) {
+        console.warn('⚠️ No se pudo guardar la configuración de calidad del aire:', error);
+    }
+}
+
+/**
+ * Devuelve la categoría de calidad del aire de un valor del índice
+ */
+function getAirQualityCategory(value) {
+    const keys = Object.keys(airQualityMetrics);
+    return keys.find(key => value < airQualityMetrics[key].max) || keys[keys.length - 1];
+}
+
+/**
+ * Calcula la resistencia compensada y el índice de calidad del aire (0–500) de cada fila.
+ * La resistencia se lleva a la humedad y temperatura de la línea base, se compara con la
+ * resistencia de aire limpio en plataforma y se combina con la desviación de la humedad óptima
+ */
+function computeAirQualityIndex(rows, phases) {
+    const calibration = airQualityCalibration;
+    const resistance = getNumericColumn(rows, 'Resistencia_kOhms');
+    const humidity = getNumericColumn(rows, 'Humedad_%');
+    const temperature = getNumericColumn(rows, 'Temperatura_C');
+    const times = getNumericColumn(rows, 'Tiempo_ms');
+
+    // Muestras de aire limpio: fase en plataforma o, si no hay fases, los primeros segundos
+    let baselineIndices = calibration.baseline === 'pad' && phases && phases.includes('pad')
+        ? rows.map((_, i) => i).filter(i => phases[i] === 'pad')
+        : [];
+    let baselineSource = 'pad';
+    if (baselineIndices.length === 0) {
+        const start = times.find(time => !isNaN(time));
+        baselineIndices = rows.map((_, i) => i).filter(i => times[i] - start <= calibration.baselineSeconds * 1000);
+        baselineSource = 'first';
+    }
+    // Sin Tiempo_ms no se pueden medir los segundos iniciales: se usan las primeras filas
+    if (baselineIndices.length === 0) {
+        baselineIndices = rows.slice(0, airQualityFallbackBaselineRows).map((_, i) => i);
+        baselineSource = 'rows';
+    }
+
+    const referenceHumidity = median(baselineIndices.map(i => humidity[i]));
+    const referenceTemperature = median(baselineIndices.map(i => temperature[i]));
+    const compensated = resistance.map((value, i) => {
+        let factor = 1;
+        if (!isNaN(humidity[i]) && !isNaN(referenceHumidity)) {
+            factor *= Math.exp(calibration.humidityCoefficient * (humidity[i] - referenceHumidity));
+        }
+        if (!isNaN(temperature[i]) && !isNaN(referenceTemperature)) {
+            factor *= Math.exp(calibration.temperatureCoefficient * (temperature[i] - referenceTemperature));
+        }
+        return value * factor;
+    });
+    const baseline = median(baselineIndices.map(i => compensated[i]));
+
+    const optimum = calibration.humidityOptimum;
+    const index = compensated.map((value, i) => {
+        if (isNaN(value) || !(baseline > 0)) {
+            return NaN;
+        }
+        const gasScore = Math.min(value / baseline, 1);
+        if (isNaN(humidity[i])) {
+            return 500 * (1 - gasScore);
+        }
+        const humidityScore = humidity[i] >= optimum
+            ? Math.max(0, (100 - humidity[i]) / (100 - optimum))
+            : Math.max(0, humidity[i] / optimum);
+        const weight = Math.min(Math.max(calibration.humidityWeight, 0), 1);
+        return 500 * (1 - (weight * humidityScore + (1 - weight) * gasScore));
+    });
+
+    return { index, compensated, baseline, baselineSource, baselineSamples: baselineIndices.length };
+}
+
+/**
+ * Calcula el modelo sobre todo el vuelo y guarda Resistencia_Comp_kOhms e Indice_IAQ como canales
+ */
+function applyAirQualityModel() {
+    const model = computeAirQualityIndex(csvData, flightPhases);
+    addDerivedColumn('Resistencia_Comp_kOhms', model.compensated);
+    addDerivedColumn('Indice_IAQ', model.index);
+    return model;
+}
+
+/**
+ * Dibuja los campos de calibración del modelo de calidad del aire
+ */
+function renderAirQualityCalibrationControls() {
+    const container = document.getElementById('airQualityCalibration');
+    const fieldsHTML = airQualityCalibrationFields.map(field => `
+        <div class="control-group">
+            <label for="iaq_${field.key}" class="control-label">${field.label}:</label>
+            <input type="number" id="iaq_${field.key}" class="control-input" data-field="${field.key}" value="${airQualityCalibration[field.key]}" min="0" step="${field.step}">
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="control-group">
+            <label for="iaq_baseline" class="control-label">Línea Base de Aire Limpio:</label>
+            <select id="iaq_baseline" class="control-select" data-field="baseline">
+                <option value="pad" ${airQualityCalibration.baseline === 'pad' ? 'selected' : ''}>Muestras en plataforma</option>
+                <option value="first" ${airQualityCalibration.baseline === 'first' ? 'selected' : ''}>Primeros segundos</option>
+            </select>
+        </div>
+        ${fieldsHTML}
+    `;
+}
+
+/**
+ * Dibuja la tabla editable de categorías del índice
+ */
+function renderAirQualityThresholdsEditor() {
+    const rowsHTML = Object.entries(airQualityMetrics).map(([key, metric]) => `
+        <tr>
+            <td>${metric.label}</td>
+            <td>${metric.min}</td>
+            <td><input type="number" class="control-input rule-input" data-key="${key}" data-field="max" value="${metric.max}" min="0" max="500" step="1"></td>
+            <td><input type="color" class="rule-input" data-key="${key}" data-field="color" value="${metric.color}"></td>
+        </tr>
+    `).join('');
+
+    document.getElementById('airQualityThresholds').innerHTML = `
+        <table class="rules-table">
+            <thead>
+                <tr><th>Categoría</th><th>Índice Desde</th><th>Índice Hasta</th><th>Color</th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Actualiza la calibración cuando cambia uno de sus campos y vuelve a dibujar el análisis
+ */
+function handleAirQualityCalibrationChange(e) {
+    const field = e.target.dataset.field;
+    if (!field) {
+        return;
+    }
+    if (field === 'baseline') {
+        airQualityCalibration.baseline = e.target.value;
+    } else {
+        const value = parseFloat(e.target.value);
+        airQualityCalibration[field] = isNaN(value) ? defaultAirQualityCalibration[field] : value;
+    }
+    storeAirQualitySettings();
+
+    if (csvData && document.getElementById('airQualityContent').style.display !== 'none') {
+        updateAirQualityAnalysis();
+    }
+}
+
+/**
+ * Actualiza un umbral o color de categoría y vuelve a dibujar el análisis
+ */
+function handleAirQualityThresholdChange(e) {
+    const key = e.target.dataset.key;
+    const field = e.target.dataset.field;
+    if (!key || !airQualityMetrics[key]) {
+        return;
+    }
+    airQualityMetrics[key][field] = field === 'max' ? parseFloat(e.target.value) : e.target.value;
+    airQualityMetrics = normalizeAirQualityMetrics(airQualityMetrics);
+    storeAirQualitySettings();
+    renderAirQualityThresholdsEditor();
+
+    if (csvData && document.getElementById('airQualityContent').style.display !== 'none') {
+        updateAirQualityAnalysis();
+    }
+}
+
+/**
+ * Restaura las categorías y la calibración predeterminadas y vuelve a dibujar el análisis
+ */
+function resetAirQualitySettings() {
+    airQualityMetrics = normalizeAirQualityMetrics(null);
+    airQualityCalibration = { ...defaultAirQualityCalibration };
+    storeAirQualitySettings();
+    renderAirQualityCalibrationControls();
+    renderAirQualityThresholdsEditor();
+
+    if (csvData && document.getElementById('airQualityContent').style.display !== 'none') {
+        updateAirQualityAnalysis();
+    }
+}
+
+/**
+ * Alterna la visualización del análisis de calidad del aire
+ */
+function toggleAirQualityAnalysis() {
+    const airQualityBtn = document.getElementById('airQualityBtn');
+    const airQualityContent = document.getElementById('airQualityContent');
     
     if (airQualityContent.style.display === 'none') {
         // Mostrar análisis de calidad del aire
@@ -1264,24 +2998,25 @@ function updateAirQualityAnalysis() {
     
     console.log('🔄 Actualizando análisis de calidad del aire...');
     
-    // Obtener datos de resistencia
-    const resistanceData = csvData.map(row => parseFloat(row['Resistencia_kOhms'])).filter(val => !isNaN(val));
+    // Calcular el índice en todo el vuelo y tomar el de la fase seleccionada
+    const model = applyAirQualityModel();
+    const { indexData, altitudeData } = getAirQualityProfile(document.getElementById('qualityPhaseFilter').value);
     
     // Procesar datos según el intervalo seleccionado
     const interval = document.getElementById('altitudeInterval').value;
-    const processedData = processAltitudeData(resistanceData, interval);
+    const processedData = processAltitudeData(indexData, altitudeData, interval);
     
     // Clasificar datos por calidad del aire
-    const qualityAnalysis = classifyAirQuality(processedData.map(d => d.resistance));
+    const qualityAnalysis = classifyAirQuality(processedData.map(d => d.value));
     
     // Generar resumen
     generateQualityOverview(qualityAnalysis);
     
     // Generar gráfica de perfil vertical
-    generateQualityChart(resistanceData);
+    generateQualityChart(indexData, altitudeData);
     
     // Generar métricas detalladas
-    generateQualityMetrics(qualityAnalysis, processedData.map(d => d.resistance));
+    generateQualityMetrics(qualityAnalysis, processedData.map(d => d.value), model);
 }
 
 /**
@@ -1295,46 +3030,34 @@ function generateAirQualityAnalysis() {
     
     console.log('🌬️ Generando análisis de calidad del aire...');
     
-    // Obtener datos de resistencia
-    const resistanceData = csvData.map(row => parseFloat(row['Resistencia_kOhms'])).filter(val => !isNaN(val));
+    // Calcular el índice en todo el vuelo y tomar el de la fase seleccionada
+    const model = applyAirQualityModel();
+    const { indexData, altitudeData } = getAirQualityProfile(document.getElementById('qualityPhaseFilter').value);
     
     // Clasificar datos por calidad del aire
-    const qualityAnalysis = classifyAirQuality(resistanceData);
+    const qualityAnalysis = classifyAirQuality(indexData);
     
     // Generar resumen
     generateQualityOverview(qualityAnalysis);
     
     // Generar gráfica de perfil vertical
-    generateQualityChart(resistanceData);
+    generateQualityChart(indexData, altitudeData);
     
     // Generar métricas detalladas
-    generateQualityMetrics(qualityAnalysis, resistanceData);
+    generateQualityMetrics(qualityAnalysis, indexData, model);
 }
 
 /**
- * Clasifica los datos de resistencia según la calidad del aire
+ * Clasifica los valores del índice según las categorías de calidad del aire
  */
-function classifyAirQuality(resistanceData) {
-    const classification = {
-        excellent: [],
-        good: [],
-        moderate: [],
-        poor: [],
-        veryPoor: []
-    };
+function classifyAirQuality(indexData) {
+    const classification = {};
+    Object.keys(airQualityMetrics).forEach(key => {
+        classification[key] = [];
+    });
     
-    resistanceData.forEach(value => {
-        if (value >= 300) {
-            classification.excellent.push(value);
-        } else if (value >= 200) {
-            classification.good.push(value);
-        } else if (value >= 100) {
-            classification.moderate.push(value);
-        } else if (value >= 50) {
-            classification.poor.push(value);
-        } else {
-            classification.veryPoor.push(value);
-        }
+    indexData.forEach(value => {
+        classification[getAirQualityCategory(value)].push(value);
     });
     
     return classification;
@@ -1355,7 +3078,8 @@ function generateQualityOverview(qualityAnalysis) {
         const percentage = totalData > 0 ? ((data.length / totalData) * 100).toFixed(1) : 0;
         
         const card = document.createElement('div');
-        card.className = `quality-card ${key}`;
+        card.className = 'quality-card';
+        card.style.borderLeftColor = metric.color;
         card.innerHTML = `
             <div class="quality-title">${metric.label}</div>
             <div class="quality-value">${data.length}</div>
@@ -1369,35 +3093,23 @@ function generateQualityOverview(qualityAnalysis) {
 /**
  * Genera la gráfica de perfil vertical de calidad del aire
  */
-function generateQualityChart(resistanceData) {
+function generateQualityChart(indexData, altitudeData) {
     const interval = document.getElementById('altitudeInterval').value;
-    const processedData = processAltitudeData(resistanceData, interval);
+    const processedData = processAltitudeData(indexData, altitudeData, interval);
     
-    // Crear colores individuales para cada punto según su calidad
-    const colors = processedData.map(point => {
-        if (point.resistance >= 300) return '#00ff88';      // Excelente - Verde neón brillante
-        if (point.resistance >= 200) return '#00ccff';      // Buena - Azul cian muy distinguible
-        if (point.resistance >= 100) return '#ffaa00';     // Moderada - Naranja
-        if (point.resistance >= 50) return '#ff6600';       // Mala - Naranja oscuro
-        return '#ff0000';                                    // Muy mala - Rojo
-    });
+    // Crear colores individuales para cada punto según su categoría
+    const colors = processedData.map(point => airQualityMetrics[getAirQualityCategory(point.value)].color);
     
     // Crear texto de hover con información detallada
     const hoverText = processedData.map(point => {
-        let quality = '';
-        if (point.resistance >= 300) quality = 'Excelente';
-        else if (point.resistance >= 200) quality = 'Buena';
-        else if (point.resistance >= 100) quality = 'Moderada';
-        else if (point.resistance >= 50) quality = 'Mala';
-        else quality = 'Muy mala';
-        
-        return `Altitud: ${point.altitude.toFixed(1)}m<br>Resistencia: ${point.resistance.toFixed(2)}kΩ<br>Calidad: ${quality}`;
+        const quality = airQualityMetrics[getAirQualityCategory(point.value)].label;
+        return `Altitud: ${toDisplayUnit(point.altitude, 'length').toFixed(1)} ${getDisplayUnitSymbol('length')}<br>Índice IAQ: ${point.value.toFixed(0)}<br>Calidad: ${quality}`;
     });
     
     // Crear una sola traza con todos los puntos coloreados individualmente
     const trace = {
-        x: processedData.map(d => d.altitude),
-        y: processedData.map(d => d.resistance),
+        x: processedData.map(d => toDisplayUnit(d.altitude, 'length')),
+        y: processedData.map(d => d.value),
         mode: 'markers',
         type: 'scatter',
         name: 'Calidad del Aire',
@@ -1427,7 +3139,7 @@ function generateQualityChart(resistanceData) {
         },
         xaxis: {
             title: {
-                text: 'Altitud (m)',
+                text: `Altitud (${getDisplayUnitSymbol('length')})`,
                 font: {
                     family: 'Roboto, sans-serif',
                     size: 14,
@@ -1443,7 +3155,7 @@ function generateQualityChart(resistanceData) {
         },
         yaxis: {
             title: {
-                text: 'Resistencia (kΩ)',
+                text: 'Índice de Calidad del Aire (0–500)',
                 font: {
                     family: 'Roboto, sans-serif',
                     size: 14,
@@ -1480,7 +3192,8 @@ function generateQualityChart(resistanceData) {
                 y: 0.98,
                 xref: 'paper',
                 yref: 'paper',
-                text: '🟢 Excelente (>300kΩ) 🔵 Buena (200-300kΩ) 🟠 Moderada (100-200kΩ) 🔶 Mala (50-100kΩ) 🔴 Muy mala (<50kΩ)',
+                text: Object.values(airQualityMetrics).map(metric =>
+                    `<span style="color: ${metric.color};">●</span> ${metric.label} (${metric.min}–${metric.max})`).join('  '),
                 showarrow: false,
                 font: { color: '#ffffff', size: 10 },
                 bgcolor: 'rgba(0,0,0,0.7)',
@@ -1498,40 +3211,47 @@ function generateQualityChart(resistanceData) {
         displaylogo: false
     };
     
-    Plotly.newPlot('qualityChart', [trace], layout, config);
+    Plotly.newPlot('qualityChart', applyLevelOfDetail('qualityChart', [trace]), layout, config);
+    attachLevelOfDetail('qualityChart');
+}
+
+/**
+ * Obtiene el índice IAQ de una fase con su altitud, ambos de las mismas filas
+ * (sin Altitud_m se usa la posición de la lectura)
+ */
+function getAirQualityProfile(phaseKey) {
+    if (!csvHeaders.includes('Altitud_m')) {
+        const indexData = pickColumn('Indice_IAQ', getAlignedRowIndices(['Indice_IAQ'], phaseKey));
+        return { indexData, altitudeData: Float64Array.from(indexData, (_, index) => index) };
+    }
+    const indices = getAlignedRowIndices(['Indice_IAQ', 'Altitud_m'], phaseKey);
+    return { indexData: pickColumn('Indice_IAQ', indices), altitudeData: pickColumn('Altitud_m', indices) };
 }
 
 /**
  * Procesa los datos de altitud según el intervalo seleccionado
  */
-function processAltitudeData(resistanceData, interval) {
+function processAltitudeData(valueData, altitudeData, interval) {
     if (interval === 'all') {
         // Usar todas las lecturas
-        const altitudeData = csvHeaders.includes('Altitud_m') 
-            ? csvData.map(row => parseFloat(row['Altitud_m'])).filter(val => !isNaN(val))
-            : Array(resistanceData.length).fill(0);
-        
-        return resistanceData.map((resistance, index) => ({
-            altitude: altitudeData[index] || index,
-            resistance: resistance
+        return Array.from(valueData, (value, index) => ({
+            altitude: altitudeData[index],
+            value: value
         }));
     } else {
         // Calcular promedios por intervalos de altitud
         const intervalSize = parseInt(interval);
-        const altitudeData = csvHeaders.includes('Altitud_m') 
-            ? csvData.map(row => parseFloat(row['Altitud_m'])).filter(val => !isNaN(val))
-            : Array(resistanceData.length).fill(0);
         
         // Crear grupos por intervalos de altitud
         const groups = {};
-        resistanceData.forEach((resistance, index) => {
-            const altitude = altitudeData[index] || index;
+        valueData.forEach((value, index) => {
+            const altitude = altitudeData[index];
             const groupKey = Math.floor(altitude / intervalSize) * intervalSize;
             
             if (!groups[groupKey]) {
                 groups[groupKey] = [];
             }
-            groups[groupKey].push({ altitude, resistance });
+            groups[groupKey].push({ altitude, value });
         });
         
         // Calcular promedios para cada grupo
@@ -1539,11 +3259,11 @@ function processAltitudeData(resistanceData, interval) {
         Object.keys(groups).forEach(groupKey => {
             const group = groups[groupKey];
             const avgAltitude = group.reduce((sum, point) => sum + point.altitude, 0) / group.length;
-            const avgResistance = group.reduce((sum, point) => sum + point.resistance, 0) / group.length;
+            const avgValue = group.reduce((sum, point) => sum + point.value, 0) / group.length;
             
             processedData.push({
                 altitude: avgAltitude,
-                resistance: avgResistance,
+                value: avgValue,
                 count: group.length
             });
         });
@@ -1555,34 +3275,37 @@ function processAltitudeData(resistanceData, interval) {
 /**
  * Genera métricas detalladas de calidad del aire
  */
-function generateQualityMetrics(qualityAnalysis, resistanceData) {
+function generateQualityMetrics(qualityAnalysis, indexData, model) {
     const metrics = document.getElementById('qualityMetrics');
-    const totalData = resistanceData.length;
+    const totalData = indexData.length;
     
     // Calcular estadísticas generales
-    const avgResistance = resistanceData.reduce((sum, val) => sum + val, 0) / totalData;
-    const maxResistance = Math.max(...resistanceData);
-    const minResistance = Math.min(...resistanceData);
+    const { mean: avgIndex, max: maxIndex, min: minIndex } = calculateStats(indexData);
     
     // Determinar calidad predominante
     const predominantQuality = Object.keys(qualityAnalysis).reduce((a, b) => 
         qualityAnalysis[a].length > qualityAnalysis[b].length ? a : b
     );
+    const baselineDescription = {
+        pad: `Mediana de ${model.baselineSamples} muestras en plataforma`,
+        first: `Mediana de los primeros ${airQualityCalibration.baselineSeconds} s`,
+        rows: `Mediana de las primeras ${model.baselineSamples} muestras (sin Tiempo_ms)`
+    }[model.baselineSource];
     
     metrics.innerHTML = `
         <div class="quality-metric-card">
-            <div class="quality-metric-title">Resistencia Promedio</div>
-            <div class="quality-metric-value">${avgResistance.toFixed(2)} kΩ</div>
+            <div class="quality-metric-title">Índice Promedio</div>
+            <div class="quality-metric-value">${avgIndex.toFixed(0)}</div>
             <div class="quality-metric-description">Valor promedio durante el vuelo</div>
         </div>
         <div class="quality-metric-card">
-            <div class="quality-metric-title">Resistencia Máxima</div>
-            <div class="quality-metric-value">${maxResistance.toFixed(2)} kΩ</div>
+            <div class="quality-metric-title">Mejor Índice</div>
+            <div class="quality-metric-value">${minIndex.toFixed(0)}</div>
             <div class="quality-metric-description">Mejor calidad registrada</div>
         </div>
         <div class="quality-metric-card">
-            <div class="quality-metric-title">Resistencia Mínima</div>
-            <div class="quality-metric-value">${minResistance.toFixed(2)} kΩ</div>
+            <div class="quality-metric-title">Peor Índice</div>
+            <div class="quality-metric-value">${maxIndex.toFixed(0)}</div>
             <div class="quality-metric-description">Peor calidad registrada</div>
         </div>
         <div class="quality-metric-card">
@@ -1590,7 +3313,6175 @@ function generateQualityMetrics(qualityAnalysis, resistanceData) {
             <div class="quality-metric-value">${airQualityMetrics[predominantQuality].label}</div>
             <div class="quality-metric-description">Durante ${((qualityAnalysis[predominantQuality].length / totalData) * 100).toFixed(1)}% del vuelo</div>
         </div>
+        <div class="quality-metric-card">
+            <div class="quality-metric-title">Línea Base (Aire Limpio)</div>
+            <div class="quality-metric-value">${isNaN(model.baseline) ? '-' : model.baseline.toFixed(2) + ' kΩ'}</div>
+            <div class="quality-metric-description">${baselineDescription}, compensada por humedad y temperatura</div>
+        </div>
     `;
 }
 
+// Definición de las fases de vuelo y su color en las gráficas
+const flightPhaseDefinitions = {
+    pad: { label: 'En Plataforma', color: 'rgba(102, 102, 102, 0.2)' },
+    boost: { label: 'Impulso', color: 'rgba(255, 102, 0, 0.2)' },
+    ascent: { label: 'Ascenso', color: 'rgba(0, 136, 255, 0.2)' },
+    apogee: { label: 'Apogeo', color: 'rgba(0, 255, 136, 0.3)' },
+    descent: { label: 'Descenso', color: 'rgba(255, 170, 0, 0.2)' },
+    landed: { label: 'Aterrizado', color: 'rgba(255, 255, 255, 0.08)' }
+};
+
+// Umbrales usados por el detector de fases
+const phaseDetectionSettings = {
+    smoothingWindow: 5,          // Muestras de la media móvil sobre la altitud
+    launchAltitudeThreshold: 5,  // m sobre el suelo para considerar despegue
+    boostAccelThreshold: 14.7,   // m/s² (~1.5 g) de aceleración total durante el impulso
+    apogeeBand: 2,               // m por debajo del máximo que aún se consideran apogeo
+    landedTolerance: 3,          // m de variación permitida una vez en tierra
+    minFlightHeight: 10          // m mínimos sobre el suelo para considerar que hubo vuelo
+};
+
+/**
+ * Obtiene la serie de altitud para detectar fases (Altitud_m o, si falta, derivada de Presion_hPa)
+ */
+function getFlightAltitudeSeries(rows) {
+    if (rows.length > 0 && rows.some(row => isFinite(parseFloat(row['Altitud_m'])))) {
+        return getNumericColumn(rows, 'Altitud_m');
+    }
+
+    const pressure = getNumericColumn(rows, 'Presion_hPa');
+    const padSamples = Math.max(5, Math.floor(rows.length * 0.05));
+    const groundPressure = median(pressure.slice(0, padSamples));
+    if (isNaN(groundPressure)) {
+        return null;
+    }
+
+    return pressure.map(p => pressureToAltitudeISA(p, groundPressure));
+}
+
+/**
+ * Calcula la magnitud de la aceleración total a partir de los tres ejes
+ */
+function computeAccelMagnitude(rows) {
+    const ax = getNumericColumn(rows, 'Accel_X_m_s2');
+    const ay = getNumericColumn(rows, 'Accel_Y_m_s2');
+    const az = getNumericColumn(rows, 'Accel_Z_m_s2');
+    return ax.map((x, i) => Math.sqrt(x * x + ay[i] * ay[i] + az[i] * az[i]));
+}
+
+/**
+ * Etiqueta cada fila con su fase de vuelo (plataforma, impulso, ascenso, apogeo, descenso, aterrizado)
+ */
+function detectFlightPhases(rows) {
+    const settings = phaseDetectionSettings;
+    const n = rows.length;
+    const rawAltitude = n > 0 ? getFlightAltitudeSeries(rows) : null;
+
+    if (!rawAltitude || rawAltitude.every(val => isNaN(val))) {
+        return null;
+    }
+
+    const phases = new Array(n).fill('pad');
+    const altitude = movingAverage(fillMissingValues(rawAltitude), settings.smoothingWindow);
+    const padSamples = Math.min(n, Math.max(5, Math.floor(n * 0.05)));
+    const groundLevel = median(altitude.slice(0, padSamples));
+
+    // Apogeo: altitud máxima suavizada
+    let apogeeIndex = 0;
+    altitude.forEach((alt, index) => {
+        if (alt > altitude[apogeeIndex]) {
+            apogeeIndex = index;
+        }
+    });
+    const apogeeAltitude = altitude[apogeeIndex];
+
+    if (apogeeAltitude - groundLevel < settings.minFlightHeight) {
+        return { phases, events: null, groundLevel };
+    }
+
+    // Lanzamiento: última muestra cercana al suelo antes del apogeo
+    let launchIndex = 0;
+    for (let i = apogeeIndex; i >= 0; i--) {
+        if (altitude[i] <= groundLevel + settings.launchAltitudeThreshold) {
+            launchIndex = i + 1;
+            break;
+        }
+    }
+
+    // Impulso: mientras la aceleración total supere el umbral
+    const accelMagnitude = computeAccelMagnitude(rows);
+    let burnoutIndex = launchIndex;
+    if (accelMagnitude.some(val => !isNaN(val))) {
+        while (launchIndex > 0 && accelMagnitude[launchIndex - 1] > settings.boostAccelThreshold) {
+            launchIndex--;
+        }
+        burnoutIndex = launchIndex;
+        while (burnoutIndex < apogeeIndex && accelMagnitude[burnoutIndex] > settings.boostAccelThreshold) {
+            burnoutIndex++;
+        }
+    }
+
+    // Sin datos de aceleración útiles: el impulso termina al alcanzar la velocidad máxima de ascenso
+    if (burnoutIndex === launchIndex) {
+        const times = fillMissingValues(getNumericColumn(rows, 'Tiempo_ms'));
+        let maxSpeed = -Infinity;
+        for (let i = launchIndex + 1; i <= apogeeIndex; i++) {
+            const dt = (times[i] - times[i - 1]) / 1000;
+            const speed = dt > 0 ? (altitude[i] - altitude[i - 1]) / dt : NaN;
+            if (speed > maxSpeed) {
+                maxSpeed = speed;
+                burnoutIndex = i;
+            }
+        }
+    }
+
+    // Ventana de apogeo: muestras contiguas cercanas a la altitud máxima
+    const band = Math.max(settings.apogeeBand, 0.02 * (apogeeAltitude - groundLevel));
+    let apogeeStart = apogeeIndex;
+    while (apogeeStart > burnoutIndex && altitude[apogeeStart - 1] >= apogeeAltitude - band) {
+        apogeeStart--;
+    }
+    let apogeeEnd = apogeeIndex;
+    while (apogeeEnd < n - 1 && altitude[apogeeEnd + 1] >= apogeeAltitude - band) {
+        apogeeEnd++;
+    }
+
+    // Aterrizaje: a partir de donde la altitud queda estable cerca del nivel final
+    const finalLevel = median(altitude.slice(n - padSamples));
+    let landingIndex = n;
+    const reachedGround = finalLevel - groundLevel <= Math.max(settings.landedTolerance, 0.1 * (apogeeAltitude - groundLevel));
+    if (reachedGround) {
+        landingIndex = apogeeEnd + 1;
+        for (let i = n - 1; i > apogeeEnd; i--) {
+            if (Math.abs(altitude[i] - finalLevel) > settings.landedTolerance) {
+                landingIndex = i + 1;
+                break;
+            }
+        }
+    }
+
+    for (let i = 0; i < n; i++) {
+        if (i < launchIndex) phases[i] = 'pad';
+        else if (i < burnoutIndex) phases[i] = 'boost';
+        else if (i < apogeeStart) phases[i] = 'ascent';
+        else if (i <= apogeeEnd) phases[i] = 'apogee';
+        else if (i < landingIndex) phases[i] = 'descent';
+        else phases[i] = 'landed';
+    }
+
+    return {
+        phases,
+        events: { launchIndex, burnoutIndex, apogeeIndex, landingIndex: landingIndex < n ? landingIndex : null },
+        groundLevel
+    };
+}
+
+/**
+ * Agrupa las fases consecutivas en segmentos con índice de inicio y fin
+ */
+function getPhaseSegments(phases) {
+    const segments = [];
+    phases.forEach((phase, index) => {
+        const last = segments[segments.length - 1];
+        if (last && last.phase === phase) {
+            last.end = index;
+        } else {
+            segments.push({ phase, start: index, end: index });
+        }
+    });
+    return segments;
+}
+
+/**
+ * Recalcula las fases de vuelo para los datos actuales y actualiza los filtros
+ */
+function updateFlightPhases() {
+    const result = csvData ? detectFlightPhases(csvData) : null;
+    flightPhases = result ? result.phases : null;
+    flightEvents = result ? result.events : null;
+
+    if (result) {
+        console.log('🛰️ Fases de vuelo detectadas:', flightEvents);
+    } else {
+        console.warn('⚠️ No se pudieron detectar fases de vuelo (faltan Altitud_m y Presion_hPa)');
+    }
+
+    populatePhaseFilters();
+    displayFlightPhaseSummary();
+}
+
+/**
+ * Pobla los selects de filtro por fase en estadísticas y calidad del aire
+ */
+function populatePhaseFilters() {
+    ['statsPhaseFilter', 'qualityPhaseFilter'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '<option value="all">Todo el vuelo</option>';
+
+        if (!flightPhases) {
+            return;
+        }
+
+        Object.keys(flightPhaseDefinitions).forEach(key => {
+            const count = flightPhases.filter(phase => phase === key).length;
+            if (count > 0) {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = `${flightPhaseDefinitions[key].label} (${count})`;
+                select.appendChild(option);
+            }
+        });
+    });
+}
+
+/**
+ * Devuelve las filas de csvData que pertenecen a la fase indicada
+ */
+function getRowsForPhase(phaseKey) {
+    if (!flightPhases || !phaseKey || phaseKey === 'all') {
+        return csvData;
+    }
+    return csvData.filter((_, index) => flightPhases[index] === phaseKey);
+}
+
+/**
+ * Muestra la duración de cada fase detectada en el panel de gráficas
+ */
+function displayFlightPhaseSummary() {
+    const summary = document.getElementById('phaseSummary');
+
+    if (!flightPhases) {
+        summary.innerHTML = '<p class="phase-summary-empty">No se detectaron fases de vuelo en estos datos</p>';
+        return;
+    }
+
+    const times = getNumericColumn(csvData, 'Tiempo_ms');
+    const chipsHTML = getPhaseSegments(flightPhases).map(segment => {
+        const definition = flightPhaseDefinitions[segment.phase];
+        const duration = (times[segment.end] - times[segment.start]) / 1000;
+        return `
+            <div class="phase-chip" style="border-color: ${definition.color.replace(/[\d.]+\)$/, '1)')};">
+                <span class="phase-chip-label">${definition.label}</span>
+                <span class="phase-chip-value">${isNaN(duration) ? '-' : duration.toFixed(1) + ' s'}</span>
+            </div>
+        `;
+    }).join('');
+
+    summary.innerHTML = `<div class="phase-summary-title">Fases Detectadas</div><div class="phase-chips">${chipsHTML}</div>`;
+}
+
+/**
+ * Construye las bandas sombreadas y etiquetas de fase para una gráfica con eje X temporal
+ */
+function buildPhaseShapes(rows, phases) {
+    const times = getNumericColumn(rows, 'Tiempo_ms');
+    const shapes = [];
+    const annotations = [];
+
+    getPhaseSegments(phases).forEach(segment => {
+        const definition = flightPhaseDefinitions[segment.phase];
+        const x0 = times[segment.start];
+        const x1 = times[Math.min(segment.end + 1, times.length - 1)];
+        if (isNaN(x0) || isNaN(x1)) {
+            return;
+        }
+
+        shapes.push({
+            type: 'rect',
+            xref: 'x',
+            yref: 'paper',
+            x0: x0,
+            x1: x1,
+            y0: 0,
+            y1: 1,
+            fillcolor: definition.color,
+            line: { width: 0 },
+            layer: 'below'
+        });
+        annotations.push({
+            x: (x0 + x1) / 2,
+            y: 1,
+            xref: 'x',
+            yref: 'paper',
+            yanchor: 'bottom',
+            text: definition.label,
+            showarrow: false,
+            font: { color: '#ffffff', size: 10 }
+        });
+    });
+
+    return { shapes, annotations };
+}
+
+// Parámetros del análisis de descenso
+const descentAnalysisSettings = {
+    impactWindowSeconds: 2,       // Segundos antes del aterrizaje usados para estimar el impacto
+    steadyStateStart: 0.3,        // Fracción del descenso a partir de la cual se busca el régimen estable
+    steadyStateEnd: 0.9           // Fracción del descenso donde termina la ventana estable
+};
+
+/**
+ * Calcula la velocidad vertical (m/s, positiva hacia arriba) a partir de la altitud suavizada
+ */
+function computeVerticalSpeed(times, altitudes, smoothingWindow) {
+    const t = fillMissingValues(times).map(ms => ms / 1000);
+    const alt = movingAverage(fillMissingValues(altitudes), smoothingWindow);
+
+    return alt.map((_, i) => {
+        const prev = Math.max(0, i - 1);
+        const next = Math.min(alt.length - 1, i + 1);
+        const dt = t[next] - t[prev];
+        return dt > 0 ? (alt[next] - alt[prev]) / dt : NaN;
+    });
+}
+
+/**
+ * Calcula las métricas de descenso y rendimiento del paracaídas para un conjunto de filas
+ */
+function computeDescentAnalysis(rows, phases, smoothingWindow) {
+    const times = getNumericColumn(rows, 'Tiempo_ms');
+    const altitudes = getNumericColumn(rows, 'Altitud_m');
+
+    if (altitudes.every(val => isNaN(val)) || times.every(val => isNaN(val))) {
+        return null;
+    }
+
+    // Inicio del descenso: fin de la ventana de apogeo, o la altitud máxima si no hay fases
+    let startIndex = phases ? phases.indexOf('descent') : -1;
+    if (startIndex === -1) {
+        startIndex = altitudes.reduce((best, alt, i) => alt > altitudes[best] ? i : best, 0);
+    }
+
+    // Fin del descenso: primera muestra en tierra, o el final del registro
+    const landedIndex = phases ? phases.indexOf('landed', startIndex) : -1;
+    const endIndex = landedIndex > startIndex ? landedIndex - 1 : rows.length - 1;
+
+    if (endIndex - startIndex < 2) {
+        return null;
+    }
+
+    const verticalSpeed = computeVerticalSpeed(times, altitudes, smoothingWindow);
+    const smoothedAltitude = movingAverage(fillMissingValues(altitudes), smoothingWindow);
+    const descentTimes = [];
+    const descentAltitudes = [];
+    const descentRates = [];
+
+    for (let i = startIndex; i <= endIndex; i++) {
+        if (!isNaN(verticalSpeed[i]) && !isNaN(times[i])) {
+            descentTimes.push(times[i]);
+            descentAltitudes.push(smoothedAltitude[i]);
+            descentRates.push(-verticalSpeed[i]);
+        }
+    }
+
+    const duration = (times[endIndex] - times[startIndex]) / 1000;
+    const meanRate = (smoothedAltitude[startIndex] - smoothedAltitude[endIndex]) / duration;
+
+    // Régimen estable: mediana de la tasa en la parte central del descenso (tras el despliegue)
+    const steadyRates = descentRates.slice(
+        Math.floor(descentRates.length * descentAnalysisSettings.steadyStateStart),
+        Math.ceil(descentRates.length * descentAnalysisSettings.steadyStateEnd)
+    );
+    const steadyRate = median(steadyRates);
+
+    // Velocidad de impacto: promedio en los últimos segundos antes del aterrizaje
+    const impactStart = times[endIndex] - descentAnalysisSettings.impactWindowSeconds * 1000;
+    const impactRates = descentRates.filter((_, i) => descentTimes[i] >= impactStart);
+    const impactVelocity = impactRates.length > 0
+        ? impactRates.reduce((sum, val) => sum + val, 0) / impactRates.length
+        : NaN;
+
+    return {
+        startIndex,
+        endIndex,
+        landingDetected: landedIndex > startIndex,
+        duration,
+        meanRate,
+        steadyRate,
+        maxRate: descentRates.reduce((max, rate) => Math.max(max, rate), -Infinity),
+        impactVelocity,
+        times: descentTimes,
+        altitudes: descentAltitudes,
+        rates: descentRates
+    };
+}
+
+/**
+ * Alterna la visualización del análisis de descenso
+ */
+function toggleDescentAnalysis() {
+    const descentContent = document.getElementById('descentContent');
+    const descentBtn = document.getElementById('descentBtn');
+    
+    if (descentContent.style.display === 'none' || descentContent.style.display === '') {
+        descentContent.style.display = 'block';
+        descentBtn.classList.add('active');
+        descentBtn.textContent = 'Ocultar Análisis de Descenso';
+        
+        // Ejecutar análisis automáticamente
+        analyzeDescent();
+    } else {
+        descentContent.style.display = 'none';
+        descentBtn.classList.remove('active');
+        descentBtn.textContent = 'Analizar Descenso';
+    }
+}
+
+/**
+ * Analiza el descenso del CANSAT y muestra las métricas del paracaídas
+ */
+function analyzeDescent() {
+    if (!csvData || csvData.length === 0) {
+        alert('No hay datos disponibles para analizar el descenso');
+        return;
+    }
+
+    if (!csvHeaders.includes('Altitud_m') || !csvHeaders.includes('Tiempo_ms')) {
+        alert('El archivo debe contener columnas de Altitud_m y Tiempo_ms para analizar el descenso');
+        return;
+    }
+
+    const smoothingWindow = parseInt(document.getElementById('descentSmoothing').value);
+    const analysis = computeDescentAnalysis(csvData, flightPhases, smoothingWindow);
+
+    if (!analysis) {
+        document.getElementById('descentOverview').innerHTML = '<h3>Resumen del Descenso</h3><p class="descent-empty">No se encontró un tramo de descenso en los datos</p>';
+        Plotly.purge('descentChart');
+        return;
+    }
+
+    displayDescentOverview(analysis);
+    generateDescentChart(analysis);
+}
+
+/**
+ * Muestra el resumen del descenso
+ */
+function displayDescentOverview(analysis) {
+    const overviewContainer = document.getElementById('descentOverview');
+    const speedUnit = getDisplayUnitSymbol('velocity');
+    const cards = [
+        { title: 'Tasa Media de Descenso', value: toDisplayUnit(analysis.meanRate, 'velocity'), unit: speedUnit },
+        { title: 'Tasa en Régimen Estable', value: toDisplayUnit(analysis.steadyRate, 'velocity'), unit: speedUnit },
+        { title: 'Tiempo Bajo Paracaídas', value: analysis.duration, unit: 's' },
+        { title: 'Velocidad de Impacto Estimada', value: toDisplayUnit(analysis.impactVelocity, 'velocity'), unit: speedUnit },
+        { title: 'Tasa Máxima de Descenso', value: toDisplayUnit(analysis.maxRate, 'velocity'), unit: speedUnit }
+    ];
+    
+    const overviewHTML = `
+        <h3>Resumen del Descenso</h3>
+        <div class="apogee-grid">
+            ${cards.map(card => `
+                <div class="apogee-card">
+                    <div class="apogee-card-title">${card.title}</div>
+                    <div class="apogee-card-value">${isNaN(card.value) ? '-' : card.value.toFixed(2)}<span class="apogee-card-unit">${card.unit}</span></div>
+                </div>
+            `).join('')}
+        </div>
+        ${analysis.landingDetected ? '' : '<p class="descent-note">⚠️ No se detectó aterrizaje: el registro termina durante el descenso</p>'}
+    `;
+    
+    overviewContainer.innerHTML = overviewHTML;
+}
+
+/**
+ * Genera la gráfica de velocidad de descenso frente a la altitud
+ */
+function generateDescentChart(analysis) {
+    const speedUnit = getDisplayUnitSymbol('velocity');
+    const lengthUnit = getDisplayUnitSymbol('length');
+    const rates = analysis.rates.map(rate => toDisplayUnit(rate, 'velocity'));
+    const altitudes = analysis.altitudes.map(altitude => toDisplayUnit(altitude, 'length'));
+    const steadyRate = toDisplayUnit(analysis.steadyRate, 'velocity');
+
+    const trace = {
+        x: rates,
+        y: altitudes,
+        mode: 'lines+markers',
+        type: 'scatter',
+        name: 'Velocidad de descenso',
+        line: { color: greenPalette.neon, width: 2 },
+        marker: { color: greenPalette.bright, size: 5 },
+        hovertemplate: `Altitud: %{y:.1f} ${lengthUnit}<br>Velocidad: %{x:.2f} ${speedUnit}<extra></extra>`
+    };
+
+    const steadyTrace = {
+        x: [steadyRate, steadyRate],
+        y: [
+            altitudes.reduce((min, altitude) => Math.min(min, altitude), Infinity),
+            altitudes.reduce((max, altitude) => Math.max(max, altitude), -Infinity)
+        ],
+        mode: 'lines',
+        type: 'scatter',
+        name: 'Régimen estable',
+        line: { color: '#0088ff', width: 2, dash: 'dash' },
+        hoverinfo: 'skip'
+    };
+
+    const layout = buildChartLayout('Velocidad de Descenso vs Altitud', `Velocidad de descenso (${speedUnit})`, `Altitud (${lengthUnit})`);
+
+    Plotly.newPlot('descentChart', [trace, steadyTrace], layout, defaultChartConfig);
+}
+
+// Constantes de la atmósfera estándar internacional (ISA)
+const standardAtmosphere = {
+    seaLevelPressure: 1013.25,   // hPa
+    seaLevelTemperature: 288.15, // K
+    lapseRate: 0.0065,           // K/m
+    gasConstant: 287.05,         // J/(kg·K) del aire seco
+    gravity: 9.80665             // m/s²
+};
+
+/**
+ * Convierte presión a altura sobre la referencia con la atmósfera estándar
+ */
+function pressureToAltitudeISA(pressure, referencePressure) {
+    if (isNaN(pressure) || isNaN(referencePressure) || pressure <= 0) {
+        return NaN;
+    }
+    const atm = standardAtmosphere;
+    const exponent = (atm.gasConstant * atm.lapseRate) / atm.gravity;
+    return (atm.seaLevelTemperature / atm.lapseRate) * (1 - Math.pow(pressure / referencePressure, exponent));
+}
+
+/**
+ * Convierte presión a altura con la ecuación hipsométrica usando la temperatura media de la capa
+ */
+function pressureToAltitudeHypsometric(pressure, referencePressure, temperatureC, groundTemperatureC) {
+    if (isNaN(pressure) || isNaN(referencePressure) || pressure <= 0) {
+        return NaN;
+    }
+    const atm = standardAtmosphere;
+    const meanTemperatureK = ((isNaN(temperatureC) ? groundTemperatureC : temperatureC) + groundTemperatureC) / 2 + 273.15;
+    return (atm.gasConstant * meanTemperatureK / atm.gravity) * Math.log(referencePressure / pressure);
+}
+
+/**
+ * Deriva un canal de altitud independiente a partir de Presion_hPa (y Temperatura_C)
+ */
+function computeBarometricAltitude(rows, options) {
+    const pressure = getNumericColumn(rows, 'Presion_hPa');
+    if (pressure.every(val => isNaN(val))) {
+        return null;
+    }
+
+    const temperature = getNumericColumn(rows, 'Temperatura_C');
+    const padIndices = options.phases
+        ? rows.map((_, i) => i).filter(i => options.phases[i] === 'pad')
+        : [];
+    const referenceIndices = padIndices.length > 0
+        ? padIndices
+        : rows.map((_, i) => i).slice(0, Math.max(5, Math.floor(rows.length * 0.05)));
+
+    const groundPressure = options.reference === 'qnh'
+        ? options.qnh
+        : median(referenceIndices.map(i => pressure[i]));
+    const groundTemperature = median(referenceIndices.map(i => temperature[i]));
+    const useHypsometric = options.model === 'hypsometric' && !isNaN(groundTemperature);
+
+    const altitude = pressure.map((p, i) => {
+        const height = useHypsometric
+            ? pressureToAltitudeHypsometric(p, groundPressure, temperature[i], groundTemperature)
+            : pressureToAltitudeISA(p, groundPressure);
+        return height + options.offset;
+    });
+
+    return {
+        altitude,
+        groundPressure,
+        groundTemperature,
+        model: useHypsometric ? 'hypsometric' : 'isa'
+    };
+}
+
+/**
+ * Alterna la visualización del análisis de altitud barométrica
+ */
+function toggleBarometricAnalysis() {
+    const baroContent = document.getElementById('baroContent');
+    const baroBtn = document.getElementById('baroBtn');
+    
+    if (baroContent.style.display === 'none' || baroContent.style.display === '') {
+        baroContent.style.display = 'block';
+        baroBtn.classList.add('active');
+        baroBtn.textContent = 'Ocultar Altitud Barométrica';
+        
+        updateBaroReferenceControls();
+        analyzeBarometricAltitude();
+    } else {
+        baroContent.style.display = 'none';
+        baroBtn.classList.remove('active');
+        baroBtn.textContent = 'Altitud Barométrica';
+    }
+}
+
+/**
+ * Habilita el campo QNH solo cuando es la referencia seleccionada
+ */
+function updateBaroReferenceControls() {
+    const reference = document.getElementById('baroReference').value;
+    document.getElementById('baroQnh').disabled = reference !== 'qnh';
+}
+
+/**
+ * Calcula la altitud barométrica, la agrega como canal y la compara con la altitud registrada
+ */
+function analyzeBarometricAltitude() {
+    if (!csvData || !csvHeaders.includes('Presion_hPa')) {
+        alert('❌ No se encontró la variable Presion_hPa en los datos');
+        return;
+    }
+
+    const reference = document.getElementById('baroReference').value;
+    const qnh = parseFloat(document.getElementById('baroQnh').value) || standardAtmosphere.seaLevelPressure;
+
+    // Expresar el resultado en la misma referencia que Altitud_m (ajustada o no por la altura base)
+    const offset = reference === 'qnh'
+        ? (isDataCleaned ? -configuredBaseAltitude : 0)
+        : (isDataCleaned ? 0 : configuredBaseAltitude);
+
+    const result = computeBarometricAltitude(csvData, {
+        reference,
+        qnh,
+        model: document.getElementById('baroModel').value,
+        phases: flightPhases,
+        offset
+    });
+
+    if (!result) {
+        alert('❌ La columna Presion_hPa no contiene valores numéricos');
+        return;
+    }
+
+    addDerivedColumn('Altitud_Baro_m', result.altitude);
+
+    // Sin columna de altitud registrada, la altitud barométrica la sustituye para el resto de análisis.
+    // La columna generada se sobrescribe en cada cálculo y nunca se compara consigo misma
+    if (!baroAltitudeFill) {
+        baroAltitudeFill = !(csvHeaders.includes('Altitud_m') && csvData.some(row => isFinite(parseFloat(row['Altitud_m']))));
+    }
+    const hasLoggedAltitude = !baroAltitudeFill;
+    if (baroAltitudeFill) {
+        addDerivedColumn('Altitud_m', result.altitude);
+        updateFlightPhases();
+    }
+
+    const logged = hasLoggedAltitude ? getNumericColumn(csvData, 'Altitud_m') : null;
+    const residuals = logged ? logged.map((alt, i) => alt - result.altitude[i]) : [];
+
+    displayBarometricOverview(result, residuals, hasLoggedAltitude);
+    generateBarometricChart(result.altitude, logged, residuals);
+}
+
+/**
+ * Muestra el resumen de la comparación entre altitud barométrica y registrada
+ */
+function displayBarometricOverview(result, residuals, hasLoggedAltitude) {
+    const overviewContainer = document.getElementById('baroOverview');
+    const validResiduals = residuals.filter(val => !isNaN(val));
+    const meanResidual = validResiduals.reduce((sum, val) => sum + val, 0) / validResiduals.length;
+    const rmsResidual = Math.sqrt(validResiduals.reduce((sum, val) => sum + val * val, 0) / validResiduals.length);
+    const maxResidual = validResiduals.length > 0 ? validResiduals.reduce((max, val) => Math.max(max, Math.abs(val)), 0) : NaN;
+
+    const lengthUnit = getDisplayUnitSymbol('length');
+    const cards = [
+        { title: 'Presión de Referencia', value: toDisplayUnit(result.groundPressure, 'pressure'), unit: getDisplayUnitSymbol('pressure') },
+        { title: 'Residuo Medio', value: toDisplayUnit(meanResidual, 'length'), unit: lengthUnit },
+        { title: 'Residuo RMS', value: toDisplayUnit(rmsResidual, 'length'), unit: lengthUnit },
+        { title: 'Residuo Máximo', value: toDisplayUnit(maxResidual, 'length'), unit: lengthUnit }
+    ];
+    const modelName = result.model === 'hypsometric' ? 'ecuación hipsométrica' : 'atmósfera estándar (ISA)';
+
+    overviewContainer.innerHTML = `
+        <h3>Altitud Barométrica</h3>
+        <div class="apogee-grid">
+            ${cards.map(card => `
+                <div class="apogee-card">
+                    <div class="apogee-card-title">${card.title}</div>
+                    <div class="apogee-card-value">${isNaN(card.value) ? '-' : card.value.toFixed(2)}<span class="apogee-card-unit">${card.unit}</span></div>
+                </div>
+            `).join('')}
+        </div>
+        <p class="baro-note">Canal <strong>Altitud_Baro_m</strong> calculado con ${modelName}.
+            ${hasLoggedAltitude ? 'Residuo = Altitud_m − Altitud_Baro_m.' : 'El archivo no tiene Altitud_m: se usa la altitud barométrica en su lugar.'}</p>
+    `;
+}
+
+/**
+ * Genera la gráfica de altitud registrada vs barométrica con el residuo en un panel inferior
+ */
+function generateBarometricChart(baroAltitude, loggedAltitude, residuals) {
+    const times = getNumericColumn(csvData, 'Tiempo_ms');
+    const lengthUnit = getDisplayUnitSymbol('length');
+    const traces = [{
+        x: times,
+        y: baroAltitude.map(altitude => toDisplayUnit(altitude, 'length')),
+        mode: 'lines',
+        type: 'scatter',
+        name: 'Altitud barométrica',
+        line: { color: '#0088ff', width: 2 }
+    }];
+
+    const layout = buildChartLayout('Altitud Registrada vs Barométrica', 'Tiempo (ms)', `Altitud (${lengthUnit})`);
+
+    if (loggedAltitude) {
+        traces.unshift({
+            x: times,
+            y: loggedAltitude.map(altitude => toDisplayUnit(altitude, 'length')),
+            mode: 'lines',
+            type: 'scatter',
+            name: 'Altitud registrada',
+            line: { color: greenPalette.neon, width: 2 }
+        });
+        traces.push({
+            x: times,
+            y: residuals.map(residual => toDisplayUnit(residual, 'length')),
+            mode: 'lines',
+            type: 'scatter',
+            name: 'Residuo',
+            yaxis: 'y2',
+            line: { color: '#ffaa00', width: 1 }
+        });
+
+        layout.yaxis.domain = [0.35, 1];
+        layout.yaxis2 = Object.assign({}, layout.yaxis, {
+            title: { text: `Residuo (${lengthUnit})`, font: layout.yaxis.title.font },
+            domain: [0, 0.25],
+            zeroline: true,
+            zerolinecolor: '#666666'
+        });
+    }
+
+    Plotly.newPlot('baroChart', traces, layout, defaultChartConfig);
+}
+
+// Reglas de limpieza por defecto: rangos físicos realistas de los sensores
+const defaultCleaningRules = [
+    { column: 'Temperatura_C', min: -50, max: 85, enabled: true, action: 'drop' },
+    { column: 'Presion_hPa', min: 300, max: 1100, enabled: true, action: 'drop' },
+    { column: 'Humedad_%', min: 0, max: 100, enabled: true, action: 'drop' },
+    { column: 'Accel_X_m_s2', min: -160, max: 160, enabled: true, action: 'drop' },
+    { column: 'Accel_Y_m_s2', min: -160, max: 160, enabled: true, action: 'drop' },
+    { column: 'Accel_Z_m_s2', min: -160, max: 160, enabled: true, action: 'drop' },
+    { column: 'Gyro_X_deg_s', min: -2000, max: 2000, enabled: true, action: 'drop' },
+    { column: 'Gyro_Y_deg_s', min: -2000, max: 2000, enabled: true, action: 'drop' },
+    { column: 'Gyro_Z_deg_s', min: -2000, max: 2000, enabled: true, action: 'drop' },
+    { column: 'Altitud_m', min: -500, max: 100000, enabled: true, action: 'drop' }
+];
+
+// Acciones disponibles para un valor fuera de rango
+const cleaningRuleActions = {
+    drop: 'Eliminar fila',
+    blank: 'Vaciar celda',
+    clamp: 'Recortar al límite'
+};
+
+// Clave de localStorage donde se guardan las reglas entre sesiones
+const cleaningRulesStorageKey = 'gaiaCansatCleaningRules';
+
+/**
+ * Valida y normaliza una lista de reglas leída de JSON
+ */
+function normalizeCleaningRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('El archivo de reglas debe contener una lista');
+    }
+
+    const toBound = value => value === null || value === '' || value === undefined ? null : parseFloat(value);
+
+    return rules.map(rule => {
+        if (!rule || typeof rule.column !== 'string') {
+            throw new Error('Cada regla debe indicar una columna');
+        }
+        const normalized = {
+            column: rule.column,
+            min: toBound(rule.min),
+            max: toBound(rule.max),
+            enabled: rule.enabled !== false,
+            action: cleaningRuleActions[rule.action] ? rule.action : 'drop'
+        };
+        if ((normalized.min !== null && isNaN(normalized.min)) || (normalized.max !== null && isNaN(normalized.max))) {
+            throw new Error(`Límites no numéricos en la regla de ${rule.column}`);
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Carga las reglas guardadas en el navegador o las predeterminadas
+ */
+function loadStoredCleaningRules() {
+    try {
+        const stored = localStorage.getItem(cleaningRulesStorageKey);
+        if (stored) {
+            return normalizeCleaningRules(JSON.parse(stored));
+        }
+    } catch (error) {
+        console.warn('⚠️ Reglas de limpieza guardadas no válidas, usando las predeterminadas:', error);
+    }
+    return defaultCleaningRules.map(rule => ({ ...rule }));
+}
+
+/**
+ * Guarda las reglas actuales en el navegador
+ */
+function storeCleaningRules() {
+    try {
+        localStorage.setItem(cleaningRulesStorageKey, JSON.stringify(cleaningRules));
+    } catch (error) {
+        console.warn('⚠️ No se pudieron guardar las reglas de limpieza:', error);
+    }
+}
+
+/**
+ * Dibuja la tabla editable de reglas de limpieza
+ */
+function renderCleaningRulesEditor() {
+    const table = document.getElementById('rulesTable');
+    const columns = [...new Set([...csvHeaders, ...cleaningRules.map(rule => rule.column)])];
+    const formatBound = value => value === null ? '' : value;
+
+    const rowsHTML = cleaningRules.map((rule, index) => `
+        <tr class="${rule.enabled ? '' : 'rule-disabled'}">
+            <td><input type="checkbox" data-index="${index}" data-field="enabled" ${rule.enabled ? 'checked' : ''}></td>
+            <td>
+                <select class="control-select rule-input" data-index="${index}" data-field="column">
+                    ${columns.map(column => `<option value="${column}" ${column === rule.column ? 'selected' : ''}>${column}${csvHeaders.includes(column) ? '' : ' (no está en el archivo)'}</option>`).join('')}
+                </select>
+            </td>
+            <td><input type="number" class="control-input rule-input" data-index="${index}" data-field="min" value="${formatBound(rule.min)}" placeholder="Sin límite"></td>
+            <td><input type="number" class="control-input rule-input" data-index="${index}" data-field="max" value="${formatBound(rule.max)}" placeholder="Sin límite"></td>
+            <td>
+                <select class="control-select rule-input" data-index="${index}" data-field="action">
+                    ${Object.entries(cleaningRuleActions).map(([key, label]) => `<option value="${key}" ${key === rule.action ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </td>
+            <td><button class="rule-delete-btn" data-index="${index}" title="Eliminar regla">✕</button></td>
+        </tr>
+    `).join('');
+
+    table.innerHTML = `
+        <table class="rules-table">
+            <thead>
+                <tr><th>Activa</th><th>Columna</th><th>Mínimo</th><th>Máximo</th><th>Acción</th><th></th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Actualiza la regla correspondiente cuando cambia un campo del editor
+ */
+function handleCleaningRuleChange(e) {
+    const field = e.target.dataset.field;
+    const rule = cleaningRules[parseInt(e.target.dataset.index)];
+    if (!field || !rule) {
+        return;
+    }
+
+    if (field === 'enabled') {
+        rule.enabled = e.target.checked;
+        e.target.closest('tr').classList.toggle('rule-disabled', !rule.enabled);
+    } else if (field === 'min' || field === 'max') {
+        const value = parseFloat(e.target.value);
+        rule[field] = isNaN(value) ? null : value;
+    } else {
+        rule[field] = e.target.value;
+    }
+
+    storeCleaningRules();
+}
+
+/**
+ * Elimina una regla al pulsar su botón de borrado
+ */
+function handleCleaningRuleClick(e) {
+    if (!e.target.classList.contains('rule-delete-btn')) {
+        return;
+    }
+    cleaningRules.splice(parseInt(e.target.dataset.index), 1);
+    storeCleaningRules();
+    renderCleaningRulesEditor();
+}
+
+/**
+ * Agrega una regla nueva sobre la primera columna sin regla
+ */
+function addCleaningRule() {
+    const column = csvHeaders.find(header => !cleaningRules.some(rule => rule.column === header)) || csvHeaders[0] || '';
+    cleaningRules.push({ column, min: null, max: null, enabled: true, action: 'drop' });
+    storeCleaningRules();
+    renderCleaningRulesEditor();
+}
+
+/**
+ * Restaura las reglas predeterminadas
+ */
+function resetCleaningRules() {
+    cleaningRules = defaultCleaningRules.map(rule => ({ ...rule }));
+    storeCleaningRules();
+    renderCleaningRulesEditor();
+}
+
+/**
+ * Descarga un archivo con el contenido indicado
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Guarda las reglas de limpieza como archivo JSON
+ */
+function saveCleaningRulesFile() {
+    downloadFile(JSON.stringify(cleaningRules, null, 2), 'reglas_limpieza.json', 'application/json');
+}
+
+/**
+ * Carga las reglas de limpieza desde un archivo JSON
+ */
+function loadCleaningRulesFile(e) {
+    const file = e.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function() {
+        try {
+            cleaningRules = normalizeCleaningRules(JSON.parse(reader.result));
+            storeCleaningRules();
+            renderCleaningRulesEditor();
+            console.log(`✅ ${cleaningRules.length} reglas de limpieza cargadas desde ${file.name}`);
+        } catch (error) {
+            console.error('❌ Error al cargar las reglas:', error);
+            alert(`❌ No se pudieron cargar las reglas: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    // Permitir volver a cargar el mismo archivo
+    e.target.value = '';
+}
+
+// Parámetros por defecto de los detectores de anomalías
+const defaultAnomalyParams = {
+    hampelWindow: 7,      // Muestras a cada lado del punto
+    hampelThreshold: 3,   // Desviaciones (MAD escalada) permitidas
+    zScoreWindow: 21,     // Muestras a cada lado del punto
+    zScoreThreshold: 4    // Desviaciones estándar permitidas
+};
+
+// Cambio máximo por segundo sugerido para el límite de tasa de cada canal
+const defaultRateLimits = {
+    'Temperatura_C': 5,
+    'Humedad_%': 20,
+    'Presion_hPa': 50,
+    'Resistencia_kOhms': 500,
+    'Accel_X_m_s2': 1000,
+    'Accel_Y_m_s2': 1000,
+    'Accel_Z_m_s2': 1000,
+    'Gyro_X_deg_s': 5000,
+    'Gyro_Y_deg_s': 5000,
+    'Gyro_Z_deg_s': 5000,
+    'Roll_deg': 720,
+    'Pitch_deg': 720,
+    'Altitud_m': 400
+};
+
+// Nombre visible de cada detector
+const anomalyDetectorLabels = {
+    hampel: 'Hampel (MAD)',
+    rate: 'Tasa de cambio',
+    zscore: 'Z-score móvil'
+};
+
+// Anomalías listadas para revisión individual; el resto solo se cuenta
+const anomalyListLimit = 50;
+
+// Clave de localStorage para la configuración de anomalías
+const anomalySettingsStorageKey = 'gaiaCansatAnomalySettings';
+
+/**
+ * Carga la configuración de detectores guardada o la predeterminada (todos desactivados)
+ */
+function loadStoredAnomalySettings() {
+    const settings = { params: { ...defaultAnomalyParams }, channels: {} };
+    try {
+        const stored = JSON.parse(localStorage.getItem(anomalySettingsStorageKey));
+        if (stored) {
+            Object.assign(settings.params, stored.params);
+            Object.assign(settings.channels, stored.channels);
+        }
+    } catch (error) {
+        console.warn('⚠️ Configuración de anomalías guardada no válida:', error);
+    }
+    return settings;
+}
+
+/**
+ * Guarda la configuración de detectores en el navegador
+ */
+function storeAnomalySettings() {
+    try {
+        localStorage.setItem(anomalySettingsStorageKey, JSON.stringify(anomalySettings));
+    } catch (error) {
+        console.warn('⚠️ No se pudo guardar la configuración de anomalías:', error);
+    }
+}
+
+/**
+ * Obtiene (creándola si falta) la configuración de detectores de un canal
+ */
+function getChannelAnomalySettings(column) {
+    if (!anomalySettings.channels[column]) {
+        anomalySettings.channels[column] = {
+            hampel: false,
+            rate: false,
+            zscore: false,
+            maxRate: defaultRateLimits[column] || 100
+        };
+    }
+    return anomalySettings.channels[column];
+}
+
+/**
+ * Indica si hay algún detector activo en los canales del archivo
+ */
+function hasActiveAnomalyDetectors() {
+    return csvHeaders.some(column => {
+        const channel = anomalySettings.channels[column];
+        return channel && (channel.hampel || channel.rate || channel.zscore);
+    });
+}
+
+/**
+ * Filtro de Hampel: marca puntos alejados de la mediana local más de n MAD escaladas
+ */
+function detectHampelOutliers(values, halfWindow, threshold) {
+    const flagged = [];
+    values.forEach((value, i) => {
+        if (isNaN(value)) {
+            return;
+        }
+        const windowValues = values.slice(Math.max(0, i - halfWindow), i + halfWindow + 1);
+        const localMedian = median(windowValues);
+        const mad = 1.4826 * median(windowValues.map(val => Math.abs(val - localMedian)));
+        if (mad > 0 && Math.abs(value - localMedian) > threshold * mad) {
+            flagged.push({ index: i, expected: localMedian });
+        }
+    });
+    return flagged;
+}
+
+/**
+ * Límite de tasa de cambio: marca saltos respecto al último valor aceptado mayores que maxRate por segundo
+ */
+function detectRateOfChangeOutliers(values, times, maxRate) {
+    const flagged = [];
+    const maxConsecutive = 5; // Tras varios saltos seguidos se asume un cambio de nivel real
+    let referenceIndex = -1;
+    let consecutive = 0;
+
+    values.forEach((value, i) => {
+        if (isNaN(value) || isNaN(times[i])) {
+            return;
+        }
+        if (referenceIndex === -1) {
+            referenceIndex = i;
+            return;
+        }
+
+        const dt = (times[i] - times[referenceIndex]) / 1000;
+        const rate = dt > 0 ? Math.abs(value - values[referenceIndex]) / dt : 0;
+        if (rate > maxRate && consecutive < maxConsecutive) {
+            flagged.push({ index: i, expected: values[referenceIndex] });
+            consecutive++;
+        } else {
+            referenceIndex = i;
+            consecutive = 0;
+        }
+    });
+
+    // Un cambio de nivel sostenido no es un pico: descartar esas rachas
+    return flagged.filter((item, k) => {
+        let run = 1;
+        for (let j = k + 1; j < flagged.length && flagged[j].expected === item.expected; j++) run++;
+        for (let j = k - 1; j >= 0 && flagged[j].expected === item.expected; j--) run++;
+        return run < maxConsecutive;
+    });
+}
+
+/**
+ * Z-score móvil: marca puntos alejados de la media local (excluyendo el propio punto)
+ */
+function detectRollingZScoreOutliers(values, halfWindow, threshold) {
+    const flagged = [];
+    values.forEach((value, i) => {
+        if (isNaN(value)) {
+            return;
+        }
+        const neighbours = [];
+        for (let j = Math.max(0, i - halfWindow); j <= Math.min(values.length - 1, i + halfWindow); j++) {
+            if (j !== i && !isNaN(values[j])) {
+                neighbours.push(values[j]);
+            }
+        }
+        if (neighbours.length < 3) {
+            return;
+        }
+        const mean = neighbours.reduce((sum, val) => sum + val, 0) / neighbours.length;
+        const std = Math.sqrt(neighbours.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / neighbours.length);
+        if (std > 0 && Math.abs(value - mean) / std > threshold) {
+            flagged.push({ index: i, expected: mean });
+        }
+    });
+    return flagged;
+}
+
+/**
+ * Ejecuta los detectores activos sobre cada canal y agrupa los puntos marcados
+ */
+function detectAnomalies(rows, settings) {
+    const times = getNumericColumn(rows, 'Tiempo_ms');
+    const params = settings.params;
+    const found = new Map();
+
+    Object.entries(settings.channels).forEach(([column, channel]) => {
+        if (!rows.length || !(column in rows[0])) {
+            return;
+        }
+        const values = getNumericColumn(rows, column);
+        const results = {
+            hampel: channel.hampel ? detectHampelOutliers(values, params.hampelWindow, params.hampelThreshold) : [],
+            rate: channel.rate ? detectRateOfChangeOutliers(values, times, channel.maxRate) : [],
+            zscore: channel.zscore ? detectRollingZScoreOutliers(values, params.zScoreWindow, params.zScoreThreshold) : []
+        };
+
+        Object.entries(results).forEach(([detector, flagged]) => {
+            flagged.forEach(item => {
+                const key = `${item.index}|${column}`;
+                if (!found.has(key)) {
+                    found.set(key, {
+                        index: item.index,
+                        time: rows[item.index]['Tiempo_ms'],
+                        column: column,
+                        value: values[item.index],
+                        expected: item.expected,
+                        detectors: [],
+                        accepted: false,
+                        row: rows[item.index]
+                    });
+                }
+                found.get(key).detectors.push(detector);
+            });
+        });
+    });
+
+    return [...found.values()].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Vacía en los datos limpios las celdas de las anomalías aceptadas
+ */
+function applyAcceptedAnomalies() {
+    const accepted = detectedAnomalies.filter(anomaly => anomaly.accepted);
+    accepted.forEach(anomaly => {
+        anomaly.row[anomaly.column] = '';
+        invalidateColumn(anomaly.column, cleanedData);
+    });
+    if (accepted.length > 0) {
+        console.log(`🧹 ${accepted.length} anomalías aceptadas y vaciadas`);
+    }
+}
+
+/**
+ * Dibuja la configuración de detectores por canal
+ */
+function renderAnomalyConfig() {
+    const container = document.getElementById('anomalyConfig');
+    const params = anomalySettings.params;
+    const channels = csvHeaders.filter(header => header !== 'Tiempo_ms');
+
+    const rowsHTML = channels.map(column => {
+        const channel = getChannelAnomalySettings(column);
+        return `
+            <tr>
+                <td>${column}</td>
+                <td><input type="checkbox" data-column="${column}" data-field="hampel" ${channel.hampel ? 'checked' : ''}></td>
+                <td><input type="checkbox" data-column="${column}" data-field="zscore" ${channel.zscore ? 'checked' : ''}></td>
+                <td><input type="checkbox" data-column="${column}" data-field="rate" ${channel.rate ? 'checked' : ''}></td>
+                <td><input type="number" class="control-input rule-input" data-column="${column}" data-field="maxRate" value="${channel.maxRate}" min="0"></td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="anomaly-params">
+            ${[
+                ['hampelWindow', 'Ventana Hampel (±muestras)'],
+                ['hampelThreshold', 'Umbral Hampel (MAD)'],
+                ['zScoreWindow', 'Ventana Z-score (±muestras)'],
+                ['zScoreThreshold', 'Umbral Z-score (σ)']
+            ].map(([key, label]) => `
+                <div class="control-group">
+                    <label class="control-label">${label}</label>
+                    <input type="number" class="control-input rule-input" data-param="${key}" value="${params[key]}" min="1" step="any">
+                </div>
+            `).join('')}
+        </div>
+        <table class="rules-table">
+            <thead>
+                <tr><th>Canal</th><th>Hampel</th><th>Z-score</th><th>Tasa</th><th>Cambio máx. (/s)</th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Actualiza la configuración cuando cambia un parámetro o un detector de canal y repite la detección
+ */
+function handleAnomalySettingChange(e) {
+    const target = e.target;
+    if (target.dataset.param) {
+        const value = parseFloat(target.value);
+        if (!isNaN(value) && value > 0) {
+            anomalySettings.params[target.dataset.param] = value;
+        }
+    } else if (target.dataset.column) {
+        const channel = getChannelAnomalySettings(target.dataset.column);
+        if (target.dataset.field === 'maxRate') {
+            const value = parseFloat(target.value);
+            channel.maxRate = isNaN(value) ? channel.maxRate : value;
+        } else {
+            channel[target.dataset.field] = target.checked;
+        }
+    }
+    storeAnomalySettings();
+
+    // Volver a limpiar para detectar las anomalías con la nueva configuración mientras se revisa la limpieza
+    const cleaningVisible = document.getElementById('dataCleaningSection').style.display !== 'none' &&
+        document.getElementById('cleaningContent').style.display === 'block';
+    if (originalData && cleaningVisible) {
+        cleanData();
+    }
+}
+
+/**
+ * Marca o desmarca una anomalía individual como aceptada
+ */
+function handleAnomalyReview(e) {
+    const index = e.target.dataset.anomalyIndex;
+    if (index === undefined) {
+        return;
+    }
+    detectedAnomalies[parseInt(index)].accepted = e.target.checked;
+    updateAnomalyCount();
+}
+
+/**
+ * Acepta o rechaza todas las anomalías detectadas
+ */
+function handleAnomalyBulkReview(e) {
+    const accept = e.target.dataset.accept;
+    if (!accept) {
+        return;
+    }
+    detectedAnomalies.forEach(anomaly => {
+        anomaly.accepted = accept === 'all';
+    });
+    document.querySelectorAll('[data-anomaly-index]').forEach(checkbox => {
+        checkbox.checked = accept === 'all';
+    });
+    updateAnomalyCount();
+}
+
+/**
+ * Actualiza el contador de anomalías aceptadas de la tarjeta
+ */
+function updateAnomalyCount() {
+    const count = document.querySelector('.detail-card.anomalies .detail-card-count');
+    const accepted = detectedAnomalies.filter(anomaly => anomaly.accepted).length;
+    count.textContent = `${accepted} / ${detectedAnomalies.length} aceptadas`;
+}
+
+// Filas máximas que puede generar el remuestreo (una tasa alta sobre un vuelo largo agotaría la memoria)
+const maxResampledRows = 1000000;
+
+/**
+ * Lee la configuración de base de tiempo del panel de limpieza
+ */
+function readTimeBaseSettings() {
+    const gapThreshold = parseFloat(document.getElementById('gapThreshold').value);
+    return {
+        gapThresholdMs: isNaN(gapThreshold) || gapThreshold <= 0 ? null : gapThreshold,
+        resample: document.getElementById('resampleEnabled').checked,
+        rateHz: document.getElementById('resampleRate').value.trim() === ''
+            ? 10
+            : parseFloat(document.getElementById('resampleRate').value),
+        method: document.getElementById('resampleMethod').value
+    };
+}
+
+/**
+ * Analiza los intervalos de muestreo y encuentra huecos mayores que el umbral
+ * (sin umbral se usa 3 veces el intervalo típico)
+ */
+function analyzeTimeBase(times, gapThresholdMs) {
+    const intervals = [];
+    const gaps = [];
+    let outOfOrder = 0;
+    let previous = NaN;
+
+    times.forEach(time => {
+        if (isNaN(time)) {
+            return;
+        }
+        if (!isNaN(previous)) {
+            const dt = time - previous;
+            if (dt < 0) {
+                outOfOrder++;
+            } else {
+                intervals.push({ dt, startTime: previous, endTime: time });
+            }
+        }
+        previous = time;
+    });
+
+    const medianInterval = median(intervals.map(interval => interval.dt));
+    const gapThreshold = gapThresholdMs || 3 * medianInterval || 0;
+
+    intervals.forEach(interval => {
+        if (gapThreshold > 0 && interval.dt > gapThreshold) {
+            gaps.push({ startTime: interval.startTime, endTime: interval.endTime, duration: interval.dt });
+        }
+    });
+
+    return {
+        intervals: intervals.map(interval => interval.dt),
+        medianInterval,
+        sampleRate: 1000 / medianInterval,
+        gapThreshold,
+        gaps,
+        outOfOrder
+    };
+}
+
+/**
+ * Calcula las segundas derivadas de un spline cúbico natural (algoritmo de Thomas)
+ */
+function buildNaturalCubicSpline(xs, ys) {
+    const n = xs.length;
+    const secondDerivatives = new Array(n).fill(0);
+    if (n < 3) {
+        return secondDerivatives;
+    }
+
+    const c = new Array(n).fill(0);
+    const d = new Array(n).fill(0);
+    for (let i = 1; i < n - 1; i++) {
+        const h0 = xs[i] - xs[i - 1];
+        const h1 = xs[i + 1] - xs[i];
+        const a = h0 / 6;
+        const b = (h0 + h1) / 3 - a * c[i - 1];
+        c[i] = (h1 / 6) / b;
+        d[i] = ((ys[i + 1] - ys[i]) / h1 - (ys[i] - ys[i - 1]) / h0 - a * d[i - 1]) / b;
+    }
+    for (let i = n - 2; i > 0; i--) {
+        secondDerivatives[i] = d[i] - c[i] * secondDerivatives[i + 1];
+    }
+    return secondDerivatives;
+}
+
+/**
+ * Interpola una serie (xs crecientes) en los tiempos objetivo con el método indicado
+ */
+function interpolateSeries(xs, ys, targets, method) {
+    const secondDerivatives = method === 'spline' ? buildNaturalCubicSpline(xs, ys) : null;
+    let k = 0;
+
+    return targets.map(t => {
+        if (xs.length === 0 || t < xs[0] || t > xs[xs.length - 1]) {
+            return NaN;
+        }
+        while (k < xs.length - 2 && xs[k + 1] < t) {
+            k++;
+        }
+
+        const x0 = xs[k];
+        const x1 = xs[Math.min(k + 1, xs.length - 1)];
+        const h = x1 - x0;
+        if (h <= 0) {
+            return ys[k];
+        }
+        const a = (x1 - t) / h;
+        const b = (t - x0) / h;
+
+        if (method === 'nearest') {
+            return b < 0.5 ? ys[k] : ys[k + 1];
+        }
+        if (method === 'spline') {
+            return a * ys[k] + b * ys[k + 1] +
+                ((a * a * a - a) * secondDerivatives[k] + (b * b * b - b) * secondDerivatives[k + 1]) * h * h / 6;
+        }
+        return a * ys[k] + b * ys[k + 1];
+    });
+}
+
+/**
+ * Remuestrea todas las columnas a una tasa uniforme y marca con Interpolado = 1
+ * los instantes sin una muestra original a menos de medio paso
+ */
+function resampleRows(rows, headers, rateHz, method) {
+    const sorted = rows
+        .map(row => ({ row, time: parseFloat(row['Tiempo_ms']) }))
+        .filter(item => !isNaN(item.time))
+        .sort((a, b) => a.time - b.time);
+    if (sorted.length < 2) {
+        return rows;
+    }
+
+    if (!(isFinite(rateHz) && rateHz > 0)) {
+        throw new Error(`Tasa de remuestreo no válida: ${rateHz} Hz`);
+    }
+    const step = 1000 / rateHz;
+    const startTime = sorted[0].time;
+    const endTime = sorted[sorted.length - 1].time;
+    const count = Math.floor((endTime - startTime) / step + 1e-9) + 1;
+    if (count > maxResampledRows) {
+        throw new Error(`El remuestreo a ${rateHz} Hz generaría ${count} filas (máximo ${maxResampledRows})`);
+    }
+    // Cada instante se calcula desde el inicio para no acumular error: la rejilla queda uniforme
+    const targets = Array.from({ length: count }, (_, k) => startTime + k * step);
+
+    const originalTimes = sorted.map(item => item.time);
+    const resampled = targets.map(t => ({ 'Tiempo_ms': t }));
+
+    headers.filter(header => header !== 'Tiempo_ms' && header !== 'Interpolado').forEach(header => {
+        const xs = [];
+        const ys = [];
+        sorted.forEach(item => {
+            const value = parseFloat(item.row[header]);
+            if (isFinite(value)) {
+                xs.push(item.time);
+                ys.push(value);
+            }
+        });
+        const values = interpolateSeries(xs, ys, targets, method);
+        resampled.forEach((row, i) => {
+            row[header] = isNaN(values[i]) ? '' : values[i];
+        });
+    });
+
+    // Marcar puntos sin muestra original cercana
+    let k = 0;
+    resampled.forEach(row => {
+        const t = row['Tiempo_ms'];
+        while (k < originalTimes.length - 1 && originalTimes[k + 1] <= t) {
+            k++;
+        }
+        const nearest = Math.min(
+            Math.abs(originalTimes[k] - t),
+            k + 1 < originalTimes.length ? Math.abs(originalTimes[k + 1] - t) : Infinity
+        );
+        row['Interpolado'] = nearest > step / 2 ? 1 : 0;
+    });
+
+    console.log(`⏱️ Remuestreo ${method} a ${rateHz} Hz: ${rows.length} → ${resampled.length} filas`);
+    return resampled;
+}
+
+/**
+ * Genera el histograma de intervalos de muestreo del panel de limpieza
+ */
+function generateSampleIntervalChart(timeBase) {
+    const trace = {
+        x: timeBase.intervals,
+        type: 'histogram',
+        name: 'Intervalos',
+        marker: {
+            color: greenPalette.bright,
+            line: { color: greenPalette.neon, width: 1 }
+        }
+    };
+
+    const layout = buildChartLayout('Histograma de Intervalos de Muestreo', 'Intervalo entre muestras (ms)', 'Número de muestras');
+    layout.showlegend = false;
+    layout.shapes = timeBase.gapThreshold > 0 ? [{
+        type: 'line',
+        xref: 'x',
+        yref: 'paper',
+        x0: timeBase.gapThreshold,
+        x1: timeBase.gapThreshold,
+        y0: 0,
+        y1: 1,
+        line: { color: '#ff6600', width: 2, dash: 'dash' }
+    }] : [];
+
+    Plotly.newPlot('sampleIntervalChart', [trace], layout, defaultChartConfig);
+}
+
+// Filtros de suavizado disponibles y sufijo de la columna derivada que generan
+const signalFilters = {
+    none: { label: 'Sin filtro', suffix: '' },
+    movingAverage: { label: 'Media móvil', suffix: 'MA' },
+    savitzkyGolay: { label: 'Savitzky–Golay', suffix: 'SG' },
+    butterworth: { label: 'Butterworth pasa-bajos', suffix: 'LP' },
+    kalman: { label: 'Kalman 1-D', suffix: 'KF' }
+};
+
+/**
+ * Lee el filtro seleccionado y sus parámetros del panel de gráficas
+ */
+function readSignalFilterConfig() {
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) || value <= 0 ? fallback : value;
+    };
+    return {
+        type: document.getElementById('chartFilter').value,
+        window: Math.max(3, Math.round(readNumber('filterWindow', 11))),
+        polyOrder: Math.round(readNumber('filterPolyOrder', 2)),
+        cutoffHz: readNumber('filterCutoff', 1),
+        processNoise: readNumber('filterProcessNoise', 0.01),
+        measurementNoise: readNumber('filterMeasurementNoise', 1)
+    };
+}
+
+/**
+ * Muestra solo los parámetros que usa el filtro seleccionado
+ */
+function updateFilterParamVisibility() {
+    const type = document.getElementById('chartFilter').value;
+    document.querySelectorAll('[data-filters]').forEach(group => {
+        group.style.display = group.dataset.filters.split(' ').includes(type) ? 'flex' : 'none';
+    });
+    document.getElementById('saveFilteredBtn').disabled = type === 'none';
+}
+
+/**
+ * Resuelve un sistema lineal pequeño por eliminación gaussiana con pivoteo parcial
+ */
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+/**
+ * Filtro de Savitzky–Golay: ajuste polinómico local por mínimos cuadrados (bordes reflejados)
+ */
+function savitzkyGolayFilter(values, windowSize, polyOrder) {
+    const half = Math.floor((windowSize % 2 === 0 ? windowSize + 1 : windowSize) / 2);
+    const order = Math.min(polyOrder, 2 * half);
+
+    // Coeficientes de convolución para el punto central: primera fila de (AᵀA)⁻¹Aᵀ
+    const normal = [];
+    for (let i = 0; i <= order; i++) {
+        normal.push([]);
+        for (let j = 0; j <= order; j++) {
+            let sum = 0;
+            for (let k = -half; k <= half; k++) sum += Math.pow(k, i + j);
+            normal[i].push(sum);
+        }
+    }
+    const unit = new Array(order + 1).fill(0);
+    unit[0] = 1;
+    const solution = solveLinearSystem(normal, unit);
+    const coefficients = [];
+    for (let k = -half; k <= half; k++) {
+        coefficients.push(solution.reduce((sum, c, j) => sum + c * Math.pow(k, j), 0));
+    }
+
+    const filled = fillMissingValues(values);
+    const n = filled.length;
+    const reflect = i => i < 0 ? filled[Math.min(-i, n - 1)] : (i >= n ? filled[Math.max(2 * n - i - 2, 0)] : filled[i]);
+    return filled.map((_, i) => coefficients.reduce((sum, c, k) => sum + c * reflect(i + k - half), 0));
+}
+
+/**
+ * Filtro Butterworth pasa-bajos de 2º orden aplicado en ambos sentidos (sin desfase)
+ */
+function butterworthLowPassFilter(values, cutoffHz, sampleRateHz) {
+    const nyquist = sampleRateHz / 2;
+    const cutoff = Math.min(cutoffHz, nyquist * 0.99);
+    const k = Math.tan(Math.PI * cutoff / sampleRateHz);
+    const norm = 1 / (1 + Math.SQRT2 * k + k * k);
+    const b0 = k * k * norm;
+    const b1 = 2 * b0;
+    const b2 = b0;
+    const a1 = 2 * (k * k - 1) * norm;
+    const a2 = (1 - Math.SQRT2 * k + k * k) * norm;
+
+    const pass = input => {
+        const output = new Array(input.length);
+        // Estado inicial en régimen estacionario para evitar el transitorio de arranque
+        let x1 = input[0], x2 = input[0], y1 = input[0], y2 = input[0];
+        input.forEach((x, i) => {
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            output[i] = y;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+        });
+        return output;
+    };
+
+    const forward = pass(fillMissingValues(values));
+    return pass(forward.reverse()).reverse();
+}
+
+/**
+ * Filtro de Kalman 1-D con modelo de paseo aleatorio (Q: ruido de proceso, R: ruido de medida)
+ */
+function kalmanFilter1D(values, processNoise, measurementNoise) {
+    const firstValid = values.find(val => !isNaN(val));
+    let estimate = firstValid !== undefined ? firstValid : NaN;
+    let errorCovariance = measurementNoise;
+
+    return values.map(measurement => {
+        errorCovariance += processNoise;
+        if (!isNaN(measurement)) {
+            const gain = errorCovariance / (errorCovariance + measurementNoise);
+            estimate += gain * (measurement - estimate);
+            errorCovariance *= (1 - gain);
+        }
+        return estimate;
+    });
+}
+
+/**
+ * Aplica el filtro configurado a una serie alineada con sus tiempos
+ */
+function applySignalFilter(values, times, config) {
+    switch (config.type) {
+        case 'movingAverage':
+            return movingAverage(values, config.window);
+        case 'savitzkyGolay':
+            return savitzkyGolayFilter(values, config.window, config.polyOrder);
+        case 'butterworth': {
+            const intervals = times.slice(1).map((t, i) => t - times[i]).filter(dt => dt > 0);
+            const sampleRate = 1000 / median(intervals);
+            return butterworthLowPassFilter(values, config.cutoffHz, isNaN(sampleRate) ? 10 : sampleRate);
+        }
+        case 'kalman':
+            return kalmanFilter1D(values, config.processNoise, config.measurementNoise);
+        default:
+            return values;
+    }
+}
+
+/**
+ * Calcula la serie filtrada de una columna de csvData (NaN donde el dato original falta)
+ */
+function computeFilteredColumn(column, config) {
+    const values = getNumericColumn(csvData, column);
+    const times = getNumericColumn(csvData, 'Tiempo_ms');
+    const filtered = applySignalFilter(values, times, config);
+    return filtered.map((val, i) => isNaN(values[i]) ? NaN : val);
+}
+
+/**
+ * Construye la traza de la serie filtrada para superponerla en la gráfica principal
+ */
+function buildFilteredTrace(xAxis, yAxis, config) {
+    const xValues = getNumericColumn(csvData, xAxis);
+    const filtered = computeFilteredColumn(yAxis, config);
+    const valid = xValues.map((x, i) => !isNaN(x) && !isNaN(filtered[i]));
+
+    return {
+        x: toDisplaySeries(xAxis, xValues.filter((_, i) => valid[i])),
+        y: toDisplaySeries(yAxis, filtered.filter((_, i) => valid[i])),
+        mode: 'lines',
+        type: 'scatter',
+        line: { color: '#0088ff', width: 3 },
+        name: `${yAxis} (${signalFilters[config.type].label})`
+    };
+}
+
+/**
+ * Agrega la serie filtrada del eje Y como columna derivada para estadísticas y apogeo
+ */
+function saveFilteredSeries() {
+    const yAxis = document.getElementById('yAxis').value;
+    const config = readSignalFilterConfig();
+
+    if (!yAxis || config.type === 'none') {
+        alert('❌ Selecciona una variable en el eje Y y un filtro');
+        return;
+    }
+
+    const columnName = `${yAxis}_${signalFilters[config.type].suffix}`;
+    addDerivedColumn(columnName, computeFilteredColumn(yAxis, config));
+    
+    console.log(`✅ Serie filtrada guardada como ${columnName}`);
+    alert(`Serie filtrada guardada como "${columnName}". Ya está disponible en las gráficas, estadísticas y apogeo.`);
+}
+
+// Funciones permitidas en las fórmulas y su número de argumentos [mínimo, máximo]
+const formulaFunctions = {
+    sqrt: { arity: [1, 1], fn: Math.sqrt },
+    abs: { arity: [1, 1], fn: Math.abs },
+    sin: { arity: [1, 1], fn: Math.sin },
+    cos: { arity: [1, 1], fn: Math.cos },
+    tan: { arity: [1, 1], fn: Math.tan },
+    asin: { arity: [1, 1], fn: Math.asin },
+    acos: { arity: [1, 1], fn: Math.acos },
+    atan: { arity: [1, 1], fn: Math.atan },
+    atan2: { arity: [2, 2], fn: Math.atan2 },
+    exp: { arity: [1, 1], fn: Math.exp },
+    ln: { arity: [1, 1], fn: Math.log },
+    log: { arity: [1, 1], fn: Math.log },
+    log10: { arity: [1, 1], fn: Math.log10 },
+    pow: { arity: [2, 2], fn: Math.pow },
+    min: { arity: [1, Infinity], fn: Math.min },
+    max: { arity: [1, Infinity], fn: Math.max },
+    floor: { arity: [1, 1], fn: Math.floor },
+    ceil: { arity: [1, 1], fn: Math.ceil },
+    round: { arity: [1, 1], fn: Math.round },
+    deg: { arity: [1, 1], fn: rad => rad * 180 / Math.PI },
+    rad: { arity: [1, 1], fn: deg => deg * Math.PI / 180 },
+    prev: { arity: [1, 2], fn: null } // Valor de la expresión n muestras antes (por defecto 1)
+};
+
+// Constantes disponibles en las fórmulas
+const formulaConstants = {
+    pi: Math.PI,
+    e: Math.E,
+    g: 9.80665
+};
+
+// Clave de localStorage para las variables derivadas
+const derivedVariablesStorageKey = 'gaiaCansatDerivedVariables';
+
+/**
+ * Divide una fórmula en tokens (números, nombres, [columnas con espacios] y operadores)
+ */
+function tokenizeFormula(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_%]*)|\[([^\]]+)\]|([-+*/^(),]))/y;
+    let position = 0;
+
+    while (position < expression.length) {
+        if (/^\s*$/.test(expression.slice(position))) {
+            break;
+        }
+        pattern.lastIndex = position;
+        const match = pattern.exec(expression);
+        if (!match) {
+            throw new Error(`Carácter no válido en la posición ${position + 1}: "${expression.slice(position).trim()[0]}"`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else if (match[3] !== undefined) tokens.push({ type: 'column', value: match[3].trim() });
+        else tokens.push({ type: 'op', value: match[4] });
+        position = pattern.lastIndex;
+    }
+
+    return tokens;
+}
+
+/**
+ * Analiza una fórmula y devuelve su árbol sintáctico validado contra las columnas disponibles
+ */
+function parseFormula(expression, columns) {
+    const tokens = tokenizeFormula(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+    const expect = value => {
+        if (!isOp(value)) {
+            throw new Error(`Se esperaba "${value}"`);
+        }
+        position++;
+    };
+
+    function parseExpression() {
+        let node = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseTerm() };
+        }
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parseUnary();
+        while (isOp('*') || isOp('/')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOp('-')) {
+            position++;
+            return { type: 'negate', operand: parseUnary() };
+        }
+        if (isOp('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            position++;
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) {
+            throw new Error('La fórmula termina de forma inesperada');
+        }
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+        if (token.type === 'column') {
+            if (!columns.includes(token.value)) {
+                throw new Error(`Columna desconocida: ${token.value}`);
+            }
+            return { type: 'column', name: token.value };
+        }
+        if (token.type === 'name') {
+            if (isOp('(')) {
+                const definition = Object.prototype.hasOwnProperty.call(formulaFunctions, token.value.toLowerCase())
+                    ? formulaFunctions[token.value.toLowerCase()]
+                    : null;
+                if (!definition) {
+                    throw new Error(`Función desconocida: ${token.value}`);
+                }
+                position++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseExpression());
+                    while (isOp(',')) {
+                        position++;
+                        args.push(parseExpression());
+                    }
+                }
+                expect(')');
+                if (args.length < definition.arity[0] || args.length > definition.arity[1]) {
+                    throw new Error(`Número de argumentos incorrecto en ${token.value}()`);
+                }
+                return { type: 'call', name: token.value.toLowerCase(), args };
+            }
+            if (columns.includes(token.value)) {
+                return { type: 'column', name: token.value };
+            }
+            if (Object.prototype.hasOwnProperty.call(formulaConstants, token.value.toLowerCase())) {
+                return { type: 'number', value: formulaConstants[token.value.toLowerCase()] };
+            }
+            throw new Error(`Columna desconocida: ${token.value}`);
+        }
+        throw new Error(`Símbolo inesperado: "${token.value}"`);
+    }
+
+    if (tokens.length === 0) {
+        throw new Error('La fórmula está vacía');
+    }
+    const tree = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Símbolo inesperado: "${tokens[position].value}"`);
+    }
+    return tree;
+}
+
+/**
+ * Evalúa el árbol de una fórmula en la fila indicada (NaN si falta algún dato)
+ */
+function evaluateFormula(node, rows, index) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'column': {
+            if (index < 0 || index >= rows.length) return NaN;
+            const value = parseFloat(rows[index][node.name]);
+            return isFinite(value) ? value : NaN;
+        }
+        case 'negate':
+            return -evaluateFormula(node.operand, rows, index);
+        case 'binary': {
+            const left = evaluateFormula(node.left, rows, index);
+            const right = evaluateFormula(node.right, rows, index);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '^': return Math.pow(left, right);
+            }
+            return NaN;
+        }
+        case 'call': {
+            if (node.name === 'prev') {
+                const offset = node.args.length > 1 ? Math.round(evaluateFormula(node.args[1], rows, index)) : 1;
+                return evaluateFormula(node.args[0], rows, index - offset);
+            }
+            const args = node.args.map(arg => evaluateFormula(arg, rows, index));
+            return formulaFunctions[node.name].fn(...args);
+        }
+    }
+    return NaN;
+}
+
+/**
+ * Calcula los valores de una fórmula para todas las filas
+ */
+function computeFormulaColumn(expression, rows, columns) {
+    const tree = parseFormula(expression, columns);
+    return rows.map((_, index) => {
+        const value = evaluateFormula(tree, rows, index);
+        return isFinite(value) ? value : NaN;
+    });
+}
+
+/**
+ * Carga las variables derivadas guardadas en el navegador
+ */
+function loadStoredDerivedVariables() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(derivedVariablesStorageKey));
+        return Array.isArray(stored) ? stored.filter(item => item && item.name && item.expression) : [];
+    } catch (error) {
+        console.warn('⚠️ Variables derivadas guardadas no válidas:', error);
+        return [];
+    }
+}
+
+/**
+ * Guarda las variables derivadas en el navegador
+ */
+function storeDerivedVariables() {
+    try {
+        localStorage.setItem(derivedVariablesStorageKey, JSON.stringify(derivedVariables));
+    } catch (error) {
+        console.warn('⚠️ No se pudieron guardar las variables derivadas:', error);
+    }
+}
+
+/**
+ * Recalcula sobre los datos actuales las variables derivadas cuyas columnas existen
+ */
+function applyDerivedVariables() {
+    derivedVariables.forEach(variable => {
+        try {
+            const values = computeFormulaColumn(variable.expression, csvData, csvHeaders.filter(h => h !== variable.name));
+            addDerivedColumn(variable.name, values);
+            variable.error = null;
+        } catch (error) {
+            variable.error = error.message;
+            console.warn(`⚠️ No se pudo calcular ${variable.name}:`, error.message);
+        }
+    });
+    renderDerivedList();
+}
+
+/**
+ * Agrega una variable derivada desde el editor de fórmulas
+ */
+function addDerivedVariable() {
+    const nameInput = document.getElementById('derivedName');
+    const expressionInput = document.getElementById('derivedExpression');
+    const errorBox = document.getElementById('derivedError');
+    const name = nameInput.value.trim();
+    const expression = expressionInput.value.trim();
+
+    errorBox.textContent = '';
+
+    if (!/^[A-Za-z_][A-Za-z0-9_%]*$/.test(name)) {
+        errorBox.textContent = 'El nombre debe empezar por una letra y usar solo letras, números, _ o %';
+        return;
+    }
+    const existing = derivedVariables.find(variable => variable.name === name);
+    if (csvHeaders.includes(name) && !existing) {
+        errorBox.textContent = `Ya existe una columna llamada ${name}`;
+        return;
+    }
+
+    let values;
+    try {
+        values = computeFormulaColumn(expression, csvData, csvHeaders.filter(h => h !== name));
+    } catch (error) {
+        errorBox.textContent = `❌ ${error.message}`;
+        return;
+    }
+
+    addDerivedColumn(name, values);
+    if (existing) {
+        existing.expression = expression;
+        existing.error = null;
+    } else {
+        derivedVariables.push({ name, expression });
+    }
+    storeDerivedVariables();
+    renderDerivedList();
+
+    nameInput.value = '';
+    expressionInput.value = '';
+    console.log(`✅ Variable derivada ${name} = ${expression}`);
+}
+
+/**
+ * Elimina una variable derivada (y su columna) o la carga en el editor
+ */
+function handleDerivedListClick(e) {
+    const name = e.target.dataset.name;
+    if (!name) {
+        return;
+    }
+
+    if (e.target.classList.contains('rule-delete-btn')) {
+        derivedVariables = derivedVariables.filter(variable => variable.name !== name);
+        csvHeaders = csvHeaders.filter(header => header !== name);
+        csvData.forEach(row => delete row[name]);
+        storeDerivedVariables();
+        renderDerivedList();
+        updateColumnDropdowns();
+    } else {
+        const variable = derivedVariables.find(item => item.name === name);
+        document.getElementById('derivedName').value = variable.name;
+        document.getElementById('derivedExpression').value = variable.expression;
+    }
+}
+
+/**
+ * Dibuja la lista de variables derivadas definidas
+ */
+function renderDerivedList() {
+    const list = document.getElementById('derivedList');
+
+    if (derivedVariables.length === 0) {
+        list.innerHTML = '<div class="detail-item">No hay variables derivadas definidas</div>';
+        return;
+    }
+
+    list.innerHTML = derivedVariables.map(variable => `
+        <div class="derived-item ${variable.error ? 'derived-error' : ''}">
+            <div class="derived-formula" data-name="${variable.name}" title="Editar">
+                <strong>${variable.name}</strong> = ${variable.expression}
+                ${variable.error ? `<div class="derived-error-text">⚠️ ${variable.error}</div>` : ''}
+            </div>
+            <button class="rule-delete-btn" data-name="${variable.name}" title="Eliminar variable">✕</button>
+        </div>
+    `).join('');
+}
+
+// Nombres alternativos habituales de cada variable esperada (normalizados)
+const columnAliases = {
+    'Tiempo_ms': ['tiempo', 'time', 'time_ms', 'tiempo_ms', 'millis', 'ms', 'timestamp', 't_ms'],
+    'Temperatura_C': ['temperatura', 'temp', 'temperature', 'temp_c', 't_c', 'bme_temp', 'bme_temperature'],
+    'Humedad_%': ['humedad', 'humidity', 'hum', 'rh', 'bme_hum', 'bme_humidity'],
+    'Presion_hPa': ['presion', 'pressure', 'press', 'pres', 'p_hpa', 'bme_press', 'bme_pressure', 'baro'],
+    'Resistencia_kOhms': ['resistencia', 'gas', 'gas_resistance', 'bme_gas', 'voc', 'gas_kohms'],
+    'Accel_X_m_s2': ['accel_x', 'acc_x', 'ax', 'accx', 'acel_x'],
+    'Accel_Y_m_s2': ['accel_y', 'acc_y', 'ay', 'accy', 'acel_y'],
+    'Accel_Z_m_s2': ['accel_z', 'acc_z', 'az', 'accz', 'acel_z'],
+    'Gyro_X_deg_s': ['gyro_x', 'gyr_x', 'gx', 'gyrox'],
+    'Gyro_Y_deg_s': ['gyro_y', 'gyr_y', 'gy', 'gyroy'],
+    'Gyro_Z_deg_s': ['gyro_z', 'gyr_z', 'gz', 'gyroz'],
+    'Roll_deg': ['roll', 'alabeo', 'balanceo'],
+    'Pitch_deg': ['pitch', 'cabeceo'],
+    'Altitud_m': ['altitud', 'alt', 'altitude', 'height', 'alt_m', 'altura']
+};
+
+// Clave de localStorage para los perfiles de mapeo
+const mappingProfilesStorageKey = 'gaiaCansatMappingProfiles';
+
+/**
+ * Normaliza un nombre de columna: minúsculas, sin tildes y con _ como separador
+ */
+function normalizeColumnName(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9%]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Puntúa qué tan probable es que una columna del archivo corresponda a una variable esperada
+ */
+function scoreColumnMatch(variable, header) {
+    if (header === variable) {
+        return 100;
+    }
+    const normalizedHeader = normalizeColumnName(header);
+    if (normalizedHeader === normalizeColumnName(variable)) {
+        return 90;
+    }
+    const aliases = columnAliases[variable] || [];
+    if (aliases.includes(normalizedHeader)) {
+        return 80;
+    }
+    // Alias seguido de un sufijo, por ejemplo "pressure_raw" o "alt_m". Si el sufijo nombra otra unidad
+    // de la misma magnitud ("pressure_pa", "alt_ft") no se sugiere: los valores no se convierten al mapear
+    const alias = aliases.find(candidate => normalizedHeader.startsWith(candidate + '_'));
+    if (alias) {
+        const suffix = normalizedHeader.slice(alias.length + 1);
+        const channel = channelUnits[variable];
+        const suffixUnit = channel && Object.keys(unitRegistry[channel.quantity].units)
+            .find(unit => normalizeColumnName(unit) === suffix);
+        return suffixUnit && suffixUnit !== channel.unit ? 0 : 60;
+    }
+    return 0;
+}
+
+/**
+ * Sugiere una columna del archivo para cada variable esperada (cada columna se usa una sola vez)
+ */
+function suggestColumnMapping(headers) {
+    const candidates = [];
+    expectedVariables.forEach(variable => {
+        headers.forEach(header => {
+            const score = scoreColumnMatch(variable, header);
+            if (score > 0) {
+                candidates.push({ variable, header, score });
+            }
+        });
+    });
+
+    const mapping = {};
+    const usedHeaders = new Set();
+    candidates
+        .sort((a, b) => b.score - a.score)
+        .forEach(candidate => {
+            if (!mapping[candidate.variable] && !usedHeaders.has(candidate.header)) {
+                mapping[candidate.variable] = candidate.header;
+                usedHeaders.add(candidate.header);
+            }
+        });
+
+    return mapping;
+}
+
+/**
+ * Renombra las columnas de las filas según el mapeo (variable esperada → columna del archivo)
+ */
+function applyColumnMapping(rows, headers, mapping) {
+    const renames = {};
+    Object.entries(mapping).forEach(([variable, header]) => {
+        if (header) {
+            renames[header] = variable;
+        }
+    });
+
+    // Columnas no mapeadas cuyo nombre choca con una variable asignada a otra columna
+    const targets = new Set(Object.values(renames));
+    headers.forEach(header => {
+        if (!renames[header] && targets.has(header)) {
+            renames[header] = `${header}_original`;
+        }
+    });
+
+    const newHeaders = headers.map(header => renames[header] || header);
+    const newRows = rows.map(row => {
+        const newRow = {};
+        headers.forEach(header => {
+            newRow[renames[header] || header] = row[header];
+        });
+        return newRow;
+    });
+
+    return { rows: newRows, headers: newHeaders };
+}
+
+/**
+ * Muestra la sección de mapeo de columnas con las sugerencias automáticas
+ */
+function showColumnMappingSection() {
+    columnMapping = suggestColumnMapping(csvHeaders);
+    renderMappingTable();
+    populateMappingProfiles();
+
+    const mappingSection = document.getElementById('columnMappingSection');
+    mappingSection.style.display = 'block';
+    mappingSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Dibuja la tabla de mapeo: una fila por variable esperada
+ */
+function renderMappingTable() {
+    const table = document.getElementById('mappingTable');
+    const suggestion = suggestColumnMapping(csvHeaders);
+
+    const rowsHTML = expectedVariables.map(variable => {
+        const selected = columnMapping[variable] || '';
+        let status = '<span class="mapping-status missing">No disponible</span>';
+        if (selected === variable) {
+            status = '<span class="mapping-status exact">Exacta</span>';
+        } else if (selected && selected === suggestion[variable]) {
+            status = '<span class="mapping-status suggested">Sugerida</span>';
+        } else if (selected) {
+            status = '<span class="mapping-status manual">Manual</span>';
+        }
+
+        return `
+            <tr>
+                <td class="expected-column">${variable}</td>
+                <td>
+                    <select class="control-select rule-input" data-variable="${variable}">
+                        <option value="">— No disponible —</option>
+                        ${csvHeaders.map(header => `<option value="${header}" ${header === selected ? 'selected' : ''}>${header}</option>`).join('')}
+                    </select>
+                </td>
+                <td>${status}</td>
+            </tr>
+        `;
+    }).join('');
+
+    table.innerHTML = `
+        <table class="rules-table">
+            <thead>
+                <tr><th>Variable CANSAT</th><th>Columna del Archivo</th><th>Estado</th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Actualiza el mapeo cuando el usuario cambia una columna a mano
+ */
+function handleMappingChange(e) {
+    const variable = e.target.dataset.variable;
+    if (!variable) {
+        return;
+    }
+
+    // Una columna del archivo solo puede asignarse a una variable
+    if (e.target.value) {
+        Object.keys(columnMapping).forEach(key => {
+            if (key !== variable && columnMapping[key] === e.target.value) {
+                columnMapping[key] = '';
+            }
+        });
+    }
+    columnMapping[variable] = e.target.value;
+    renderMappingTable();
+}
+
+/**
+ * Lee los perfiles de mapeo guardados
+ */
+function loadMappingProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(mappingProfilesStorageKey)) || {};
+    } catch (error) {
+        console.warn('⚠️ Perfiles de mapeo guardados no válidos:', error);
+        return {};
+    }
+}
+
+/**
+ * Pobla el select de perfiles de mapeo
+ */
+function populateMappingProfiles() {
+    const select = document.getElementById('mappingProfileSelect');
+    const profiles = loadMappingProfiles();
+    const names = Object.keys(profiles).sort();
+
+    select.innerHTML = names.length > 0
+        ? names.map(name => `<option value="${name}">${name}</option>`).join('')
+        : '<option value="">No hay perfiles guardados</option>';
+}
+
+/**
+ * Aplica el perfil seleccionado sobre las columnas del archivo actual
+ */
+function applySelectedMappingProfile() {
+    const name = document.getElementById('mappingProfileSelect').value;
+    const profile = loadMappingProfiles()[name];
+    if (!profile) {
+        alert('❌ Selecciona un perfil guardado');
+        return;
+    }
+
+    const missing = [];
+    expectedVariables.forEach(variable => {
+        const header = profile[variable];
+        if (header && csvHeaders.includes(header)) {
+            columnMapping[variable] = header;
+        } else {
+            if (header) {
+                missing.push(header);
+            }
+            columnMapping[variable] = '';
+        }
+    });
+
+    renderMappingTable();
+    console.log(`✅ Perfil de mapeo "${name}" aplicado`);
+    if (missing.length > 0) {
+        alert(`⚠️ El archivo no contiene estas columnas del perfil: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Guarda el mapeo actual como perfil con nombre
+ */
+function saveMappingProfile() {
+    const nameInput = document.getElementById('mappingProfileName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert('❌ Escribe un nombre para el perfil (ej: Estación terrena v2)');
+        return;
+    }
+
+    const profiles = loadMappingProfiles();
+    profiles[name] = { ...columnMapping };
+    try {
+        localStorage.setItem(mappingProfilesStorageKey, JSON.stringify(profiles));
+    } catch (error) {
+        alert('❌ No se pudo guardar el perfil en el navegador');
+        return;
+    }
+
+    populateMappingProfiles();
+    document.getElementById('mappingProfileSelect').value = name;
+    nameInput.value = '';
+    console.log(`💾 Perfil de mapeo "${name}" guardado`);
+}
+
+/**
+ * Elimina el perfil de mapeo seleccionado
+ */
+function deleteMappingProfile() {
+    const name = document.getElementById('mappingProfileSelect').value;
+    const profiles = loadMappingProfiles();
+    if (!profiles[name]) {
+        return;
+    }
+    delete profiles[name];
+    localStorage.setItem(mappingProfilesStorageKey, JSON.stringify(profiles));
+    populateMappingProfiles();
+}
+
+/**
+ * Aplica el mapeo a los datos cargados y continúa con la configuración de altura base
+ */
+function proceedWithColumnMapping() {
+    const mapped = applyColumnMapping(originalData, csvHeaders, columnMapping);
+
+    originalData = mapped.rows;
+    currentData = mapped.rows;
+    csvData = mapped.rows;
+    csvHeaders = mapped.headers;
+
+    console.log('🔀 Mapeo de columnas aplicado:', columnMapping);
+    validateCSVStructure();
+    populateAxisSelects();
+
+    document.getElementById('columnMappingSection').style.display = 'none';
+    showAltitudeConfigSection();
+}
+
+// Sufijos de nombre de columna que declaran la unidad de canales no registrados (derivados, filtrados, etc.)
+const unitSuffixPatterns = [
+    { pattern: /_m_s2$/i, quantity: 'acceleration', unit: 'm_s2' },
+    { pattern: /_deg_s$/i, quantity: 'angularRate', unit: 'deg_s' },
+    { pattern: /_rad_s$/i, quantity: 'angularRate', unit: 'rad_s' },
+    { pattern: /_m_s$/i, quantity: 'velocity', unit: 'm_s' },
+    { pattern: /_ms$/i, quantity: 'time', unit: 'ms' },
+    { pattern: /_s$/i, quantity: 'time', unit: 's' },
+    { pattern: /_deg$/i, quantity: 'angle', unit: 'deg' },
+    { pattern: /_rad$/i, quantity: 'angle', unit: 'rad' },
+    { pattern: /_hPa$/i, quantity: 'pressure', unit: 'hPa' },
+    { pattern: /_Pa$/, quantity: 'pressure', unit: 'Pa' },
+    { pattern: /_C$/, quantity: 'temperature', unit: 'C' },
+    { pattern: /_K$/, quantity: 'temperature', unit: 'K' },
+    { pattern: /_m$/i, quantity: 'length', unit: 'm' },
+    { pattern: /_kOhms$/i, quantity: 'resistance', unit: 'kOhm' },
+    { pattern: /_%$/, quantity: 'humidity', unit: 'percent' }
+];
+
+// Magnitudes cuya unidad de visualización puede elegir el usuario
+const displayUnitQuantities = ['length', 'velocity', 'temperature', 'pressure', 'acceleration', 'angularRate', 'angle'];
+
+// Preferencias predefinidas de unidades de visualización
+const displayUnitPresets = {
+    metric: { length: 'm', velocity: 'm_s', temperature: 'C', pressure: 'hPa', acceleration: 'm_s2', angularRate: 'deg_s', angle: 'deg' },
+    imperial: { length: 'ft', velocity: 'ft_s', temperature: 'F', pressure: 'inHg', acceleration: 'g', angularRate: 'deg_s', angle: 'deg' }
+};
+
+const displayUnitsStorageKey = 'gaiaCansatDisplayUnits';
+
+/**
+ * Convierte un valor entre dos unidades de la misma magnitud
+ */
+function convertUnit(value, quantity, fromUnit, toUnit) {
+    if (fromUnit === toUnit || !unitRegistry[quantity]) {
+        return value;
+    }
+    const from = unitRegistry[quantity].units[fromUnit];
+    const to = unitRegistry[quantity].units[toUnit];
+    if (!from || !to) {
+        return value;
+    }
+    const baseValue = value * from.factor + (from.offset || 0);
+    return (baseValue - (to.offset || 0)) / to.factor;
+}
+
+/**
+ * Obtiene la magnitud y unidad registrada de un canal (por nombre o por el sufijo de la columna)
+ */
+function getChannelUnit(column) {
+    if (channelUnits[column]) {
+        return channelUnits[column];
+    }
+    // Las series filtradas conservan la unidad del canal original
+    const baseName = column.replace(/_(MA|SG|LP|KF)$/, '');
+    if (channelUnits[baseName]) {
+        return channelUnits[baseName];
+    }
+    const match = unitSuffixPatterns.find(entry => entry.pattern.test(baseName));
+    return match ? { quantity: match.quantity, unit: match.unit } : null;
+}
+
+/**
+ * Carga las preferencias de unidades guardadas o las del sistema métrico
+ */
+function loadStoredDisplayUnits() {
+    const units = { ...displayUnitPresets.metric };
+    try {
+        const stored = JSON.parse(localStorage.getItem(displayUnitsStorageKey));
+        if (stored) {
+            displayUnitQuantities.forEach(quantity => {
+                if (unitRegistry[quantity].units[stored[quantity]]) {
+                    units[quantity] = stored[quantity];
+                }
+            });
+        }
+    } catch (error) {
+        console.warn('⚠️ Preferencias de unidades guardadas no válidas:', error);
+    }
+    return units;
+}
+
+/**
+ * Guarda las preferencias de unidades en el navegador
+ */
+function storeDisplayUnits() {
+    try {
+        localStorage.setItem(displayUnitsStorageKey, JSON.stringify(displayUnits));
+    } catch (error) {
+        console.warn('⚠️ No se pudieron guardar las preferencias de unidades:', error);
+    }
+}
+
+/**
+ * Obtiene la unidad de visualización de una magnitud (la base si no es configurable)
+ */
+function getDisplayUnit(quantity) {
+    return (displayUnits && displayUnits[quantity]) || unitRegistry[quantity].base;
+}
+
+/**
+ * Convierte un valor de una magnitud a su unidad de visualización
+ */
+function toDisplayUnit(value, quantity, fromUnit = unitRegistry[quantity].base) {
+    return convertUnit(value, quantity, fromUnit, getDisplayUnit(quantity));
+}
+
+/**
+ * Obtiene el símbolo de la unidad de visualización de una magnitud
+ */
+function getDisplayUnitSymbol(quantity) {
+    return unitRegistry[quantity].units[getDisplayUnit(quantity)].symbol;
+}
+
+/**
+ * Convierte los valores de un canal a la unidad de visualización elegida
+ */
+function toDisplaySeries(column, values) {
+    const channel = getChannelUnit(column);
+    if (!channel || !displayUnitQuantities.includes(channel.quantity)) {
+        return values;
+    }
+    const displayUnit = getDisplayUnit(channel.quantity);
+    return values.map(value => convertUnit(value, channel.quantity, channel.unit, displayUnit));
+}
+
+/**
+ * Convierte un único valor de un canal a la unidad de visualización elegida
+ */
+function toDisplayValue(column, value) {
+    return toDisplaySeries(column, [value])[0];
+}
+
+/**
+ * Obtiene el título de eje de un canal con su unidad de visualización
+ */
+function getAxisTitle(column) {
+    const unit = getUnitForVariable(column);
+    return unit ? `${column} (${unit})` : column;
+}
+
+/**
+ * Construye los selectores de unidades de visualización
+ */
+function renderDisplayUnitControls() {
+    const container = document.getElementById('unitControls');
+    container.innerHTML = displayUnitQuantities.map(quantity => {
+        const definition = unitRegistry[quantity];
+        const options = Object.keys(definition.units).map(unit => `
+            <option value="${unit}" ${displayUnits[quantity] === unit ? 'selected' : ''}>${definition.units[unit].symbol}</option>
+        `).join('');
+        return `
+            <div class="control-group">
+                <label for="unit_${quantity}" class="control-label">${definition.label}:</label>
+                <select id="unit_${quantity}" class="control-select" data-quantity="${quantity}">${options}</select>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Actualiza la preferencia de unidad de una magnitud
+ */
+function handleDisplayUnitChange(e) {
+    const quantity = e.target.dataset.quantity;
+    if (!quantity) {
+        return;
+    }
+    displayUnits[quantity] = e.target.value;
+    storeDisplayUnits();
+    refreshAnalysisViews();
+}
+
+/**
+ * Aplica un conjunto predefinido de unidades (métrico o imperial)
+ */
+function applyDisplayUnitPreset(presetName) {
+    displayUnits = { ...displayUnitPresets[presetName] };
+    storeDisplayUnits();
+    renderDisplayUnitControls();
+    refreshAnalysisViews();
+}
+
+/**
+ * Vuelve a dibujar las vistas abiertas (tras cambiar de unidades o de vuelo activo)
+ */
+function refreshAnalysisViews() {
+    if (!csvData) {
+        return;
+    }
+    const visualizationSection = document.getElementById('visualizationSection');
+    if (visualizationSection.style.display !== 'none') {
+        // Sin ejes válidos (p. ej. el nuevo vuelo no tiene la variable) se oculta la gráfica anterior
+        if (document.getElementById('generateBtn').disabled) {
+            visualizationSection.style.display = 'none';
+        } else {
+            generateChart();
+        }
+    }
+    if (document.getElementById('statsContent').style.display !== 'none') {
+        generateStatistics();
+    }
+    if (document.getElementById('apogeeContent').style.display !== 'none') {
+        analyzeApogee();
+    }
+    if (document.getElementById('descentContent').style.display !== 'none') {
+        analyzeDescent();
+    }
+    if (document.getElementById('baroContent').style.display !== 'none' && document.getElementById('baroOverview').innerHTML.trim()) {
+        analyzeBarometricAltitude();
+    }
+    if (document.getElementById('airQualityContent').style.display !== 'none') {
+        generateAirQualityAnalysis();
+    }
+    if (document.getElementById('attitudeEstimateContent').style.display !== 'none') {
+        estimateAttitude(true);
+    }
+    if (document.getElementById('kinematicsContent').style.display !== 'none') {
+        analyzeVerticalKinematics(true);
+    }
+    if (document.getElementById('atmosphereContent').style.display !== 'none') {
+        analyzeAtmosphericProfile(true);
+    }
+    if (document.getElementById('spectrumContent').style.display !== 'none') {
+        populateSpectrumChannelSelect();
+        populateSpectrumRangeSelect();
+        analyzeSpectrum(true);
+    }
+    if (document.getElementById('attitudeContent').style.display !== 'none') {
+        generateAttitudeView();
+    }
+    // Las gráficas regeneradas pierden el cursor de reproducción
+    seekReplay(replayState.time);
+}
+
+/**
+ * Muestra la sección de unidades de visualización
+ */
+function showUnitsSection() {
+    document.getElementById('unitsSection').style.display = 'block';
+}
+
+// Formatos de exportación de los datos activos
+const exportFormats = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    json: { label: 'JSON (filas)', extension: 'json', mimeType: 'application/json' },
+    columnar: { label: 'JSON columnar', extension: 'columns.json', mimeType: 'application/json' }
+};
+
+/**
+ * Construye el registro de auditoría legible por máquina de una limpieza
+ */
+function buildCleaningAudit(details) {
+    return {
+        sourceFile: loadedFileName,
+        cleanedAt: new Date().toISOString(),
+        originalRowCount: details.originalCount,
+        cleanedRowCount: details.cleanedCount,
+        baseAltitude: {
+            value: details.baseAltitude,
+            unit: 'm',
+            appliedTo: 'Altitud_m'
+        },
+        rules: details.rules.map(rule => ({ ...rule })),
+        timeBase: {
+            gapThresholdMs: details.timeBase.gapThreshold,
+            medianIntervalMs: details.timeBase.medianInterval,
+            gaps: details.timeBase.gaps,
+            outOfOrder: details.timeBase.outOfOrder,
+            resampled: details.timeBase.resampledCount !== undefined,
+            resampleRateHz: details.timeBaseSettings.resample ? details.timeBaseSettings.rateHz : null,
+            resampleMethod: details.timeBaseSettings.resample ? details.timeBaseSettings.method : null
+        },
+        removedRows: [
+            ...details.duplicatesRemoved.map(dup => ({
+                stage: 'duplicate',
+                sourceIndex: dup.index,
+                reason: dup.reason,
+                row: dup.row
+            })),
+            ...details.outliersRemoved.map(outlier => ({
+                stage: 'rule',
+                sourceIndex: outlier.sourceIndex,
+                column: outlier.column,
+                value: outlier.value,
+                minRange: isFinite(outlier.minRange) ? outlier.minRange : null,
+                maxRange: isFinite(outlier.maxRange) ? outlier.maxRange : null,
+                reason: outlier.reason,
+                row: outlier.row
+            }))
+        ],
+        modifiedCells: details.cellsModified.map(cell => ({
+            stage: 'rule',
+            sourceIndex: cell.sourceIndex,
+            column: cell.column,
+            value: cell.value,
+            newValue: cell.newValue,
+            action: cell.action,
+            reason: cell.reason
+        })),
+        anomalies: details.anomalies.map(anomaly => ({
+            sourceIndex: anomaly.sourceIndex,
+            time: anomaly.time,
+            column: anomaly.column,
+            value: anomaly.value,
+            expected: anomaly.expected,
+            detectors: anomaly.detectors,
+            accepted: anomaly.accepted
+        }))
+    };
+}
+
+/**
+ * Copia al registro de auditoría la decisión (aceptar/rechazar) tomada sobre cada anomalía
+ */
+function recordAnomalyDecisions() {
+    if (!cleaningAudit) {
+        return;
+    }
+    cleaningAudit.anomalies.forEach((entry, i) => {
+        entry.accepted = detectedAnomalies[i].accepted;
+        entry.action = entry.accepted ? 'blank' : 'kept';
+    });
+}
+
+/**
+ * Obtiene el nombre base de los archivos exportados a partir del archivo cargado
+ */
+function getExportBaseName() {
+    const baseName = (loadedFileName || 'gaia_cansat').replace(/\.[^.]+$/, '');
+    return isDataCleaned ? `${baseName}_limpio` : baseName;
+}
+
+/**
+ * Prepara las columnas y valores a exportar, opcionalmente en las unidades de visualización
+ */
+function buildExportTable(useDisplayUnits) {
+    const columns = csvHeaders.map(header => {
+        const channel = getChannelUnit(header);
+        const converted = useDisplayUnits && channel && displayUnitQuantities.includes(channel.quantity) &&
+            getDisplayUnit(channel.quantity) !== channel.unit;
+        const unit = converted ? getUnitForVariable(header) : (channel ? unitRegistry[channel.quantity].units[channel.unit].symbol : null);
+        return {
+            name: converted ? `${header} (${unit})` : header,
+            source: header,
+            unit: unit,
+            converted: converted
+        };
+    });
+
+    const values = columns.map(column => {
+        const raw = csvData.map(row => row[column.source]);
+        const numeric = raw.every(value => value === '' || value === null || value === undefined || isValidNumber(value));
+        if (!numeric) {
+            column.type = 'string';
+            return raw.map(value => value === undefined || value === '' ? null : String(value));
+        }
+        column.type = 'double';
+        const numbers = raw.map(value => isValidNumber(value) ? parseFloat(value) : NaN);
+        const converted = column.converted ? toDisplaySeries(column.source, numbers) : numbers;
+        return converted.map(value => isNaN(value) ? null : value);
+    });
+
+    return { columns, values, rowCount: csvData.length };
+}
+
+/**
+ * Reúne los metadatos que acompañan a las exportaciones JSON
+ */
+function buildExportMetadata(table) {
+    return {
+        sourceFile: loadedFileName,
+        exportedAt: new Date().toISOString(),
+        cleaned: isDataCleaned,
+        baseAltitude: isDataCleaned ? configuredBaseAltitude : null,
+        units: Object.fromEntries(table.columns.map(column => [column.name, column.unit])),
+        cleaningAudit: cleaningAudit
+    };
+}
+
+/**
+ * Serializa la tabla de exportación en el formato indicado
+ */
+function serializeExportTable(table, format) {
+    if (format === 'csv') {
+        return Papa.unparse({
+            fields: table.columns.map(column => column.name),
+            data: Array.from({ length: table.rowCount }, (_, i) =>
+                table.values.map(columnValues => columnValues[i] === null ? '' : columnValues[i]))
+        });
+    }
+
+    if (format === 'columnar') {
+        return JSON.stringify({
+            format: 'gaia-cansat-columnar',
+            version: 1,
+            rowCount: table.rowCount,
+            schema: table.columns.map(column => ({ name: column.name, type: column.type, unit: column.unit })),
+            columns: Object.fromEntries(table.columns.map((column, c) => [column.name, table.values[c]])),
+            metadata: buildExportMetadata(table)
+        });
+    }
+
+    const data = Array.from({ length: table.rowCount }, (_, i) =>
+        Object.fromEntries(table.columns.map((column, c) => [column.name, table.values[c][i]])));
+    return JSON.stringify({ metadata: buildExportMetadata(table), data }, null, 2);
+}
+
+/**
+ * Descarga los datos activos en el formato seleccionado
+ */
+function exportData() {
+    if (!csvData || csvData.length === 0) {
+        alert('❌ No hay datos para exportar');
+        return;
+    }
+
+    const format = document.getElementById('exportFormat').value;
+    const table = buildExportTable(document.getElementById('exportDisplayUnits').checked);
+    const definition = exportFormats[format];
+
+    downloadFile(serializeExportTable(table, format), `${getExportBaseName()}.${definition.extension}`, definition.mimeType);
+    console.log(`💾 ${table.rowCount} filas exportadas como ${definition.label}`);
+}
+
+/**
+ * Descarga el registro de auditoría de la última limpieza
+ */
+function downloadCleaningAudit() {
+    if (!cleaningAudit) {
+        alert('❌ No hay registro de auditoría: los datos no se han limpiado');
+        return;
+    }
+    downloadFile(JSON.stringify(cleaningAudit, null, 2), `${getExportBaseName()}_auditoria.json`, 'application/json');
+}
+
+/**
+ * Muestra el resumen del registro de auditoría en la sección de exportación
+ */
+function displayAuditSummary() {
+    const summary = document.getElementById('auditSummary');
+    document.getElementById('downloadAuditBtn').disabled = !cleaningAudit;
+
+    if (!cleaningAudit) {
+        summary.innerHTML = '<p class="export-note">Datos originales sin limpiar: no hay registro de auditoría.</p>';
+        return;
+    }
+
+    const acceptedAnomalies = cleaningAudit.anomalies.filter(anomaly => anomaly.accepted).length;
+    const items = [
+        { label: 'Filas Originales', value: cleaningAudit.originalRowCount },
+        { label: 'Filas Limpias', value: cleaningAudit.cleanedRowCount },
+        { label: 'Filas Eliminadas', value: cleaningAudit.removedRows.length },
+        { label: 'Celdas Modificadas', value: cleaningAudit.modifiedCells.length + acceptedAnomalies },
+        { label: 'Altura Base', value: `${cleaningAudit.baseAltitude.value} m` },
+        { label: 'Reglas Aplicadas', value: cleaningAudit.rules.length }
+    ];
+
+    summary.innerHTML = `
+        <div class="summary-title">Registro de Auditoría</div>
+        <div class="summary-stats">
+            ${items.map(item => `
+                <div class="summary-stat">
+                    <div class="stat-value">${item.value}</div>
+                    <div class="stat-label">${item.label}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Muestra la sección de exportación
+ */
+function showExportSection() {
+    document.getElementById('exportSection').style.display = 'block';
+    displayAuditSummary();
+}
+
+// Gráficas que pueden incluirse en el reporte (solo las ya generadas en la sesión)
+const reportCharts = [
+    { id: 'chart', label: 'Gráfica principal' },
+    { id: 'qualityChart', label: 'Perfil de calidad del aire' },
+    { id: 'descentChart', label: 'Velocidad de descenso' },
+    { id: 'baroChart', label: 'Altitud barométrica' },
+    { id: 'sampleIntervalChart', label: 'Intervalos de muestreo' }
+];
+
+const reportMetadataStorageKey = 'gaiaCansatReportMetadata';
+
+// Campos de metadatos de la misión en el formulario del reporte
+const reportMetadataFields = {
+    mission: 'reportMission',
+    team: 'reportTeam',
+    date: 'reportDate',
+    site: 'reportSite',
+    notes: 'reportNotes'
+};
+
+// Estilos embebidos del reporte (debe verse igual sin conexión y al imprimir)
+const reportStyles = `
+    body { font-family: Arial, Helvetica, sans-serif; color: #1a1a1a; margin: 0 auto; padding: 30px; max-width: 1000px; }
+    h1 { color: #008844; border-bottom: 3px solid #00aa55; padding-bottom: 10px; margin-bottom: 5px; }
+    h2 { color: #008844; margin-top: 35px; border-bottom: 1px solid #cccccc; padding-bottom: 5px; }
+    .subtitle { color: #666666; margin-top: 0; }
+    .meta-grid, .card-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 12px; }
+    .meta-item, .card { border: 1px solid #cccccc; border-radius: 6px; padding: 10px; }
+    .label { font-size: 0.75rem; color: #666666; text-transform: uppercase; letter-spacing: 1px; }
+    .value { font-size: 1.2rem; font-weight: bold; margin-top: 4px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #cccccc; padding: 6px 8px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    th { background: #eef7f1; }
+    .notes { white-space: pre-wrap; border-left: 4px solid #00aa55; padding: 8px 12px; background: #f5f5f5; }
+    .chart { margin: 15px 0; page-break-inside: avoid; text-align: center; }
+    .chart img { max-width: 100%; border: 1px solid #cccccc; }
+    .chart-caption { font-size: 0.85rem; color: #666666; }
+    .swatch { display: inline-block; width: 12px; height: 12px; border-radius: 2px; margin-right: 6px; vertical-align: middle; }
+    .print-btn { position: fixed; top: 20px; right: 20px; padding: 10px 20px; background: #00aa55; color: #ffffff; border: none; border-radius: 6px; cursor: pointer; }
+    footer { margin-top: 40px; font-size: 0.8rem; color: #666666; text-align: center; }
+    @media print {
+        .print-btn { display: none; }
+        body { padding: 0; }
+        h2 { page-break-after: avoid; }
+    }
+`;
+
+/**
+ * Escapa texto para insertarlo en HTML
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Lee los metadatos de la misión del formulario
+ */
+function readReportMetadata() {
+    const metadata = {};
+    Object.entries(reportMetadataFields).forEach(([key, id]) => {
+        metadata[key] = document.getElementById(id).value.trim();
+    });
+    return metadata;
+}
+
+/**
+ * Restaura los metadatos de la misión guardados en el navegador
+ */
+function loadStoredReportMetadata() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(reportMetadataStorageKey));
+        if (stored) {
+            Object.entries(reportMetadataFields).forEach(([key, id]) => {
+                if (stored[key]) {
+                    document.getElementById(id).value = stored[key];
+                }
+            });
+        }
+    } catch (error) {
+        console.warn('⚠️ Metadatos del reporte guardados no válidos:', error);
+    }
+}
+
+/**
+ * Guarda los metadatos de la misión para el próximo reporte
+ */
+function storeReportMetadata(metadata) {
+    try {
+        localStorage.setItem(reportMetadataStorageKey, JSON.stringify(metadata));
+    } catch (error) {
+        console.warn('⚠️ No se pudieron guardar los metadatos del reporte:', error);
+    }
+}
+
+/**
+ * Indica si una gráfica de Plotly ya fue dibujada en la página
+ */
+function isChartRendered(chartId) {
+    const element = document.getElementById(chartId);
+    return Boolean(element && element.data && element.data.length > 0);
+}
+
+/**
+ * Dibuja las casillas de selección de gráficas para el reporte
+ * (las gráficas generadas desde la última vez aparecen marcadas; las que el usuario desmarcó siguen desmarcadas)
+ */
+function renderReportChartOptions() {
+    const container = document.getElementById('reportChartOptions');
+    const unchecked = [...container.querySelectorAll('input:not(:checked):not(:disabled)')].map(input => input.value);
+    container.innerHTML = reportCharts.map(chart => {
+        const rendered = isChartRendered(chart.id);
+        const checked = rendered && !unchecked.includes(chart.id);
+        return `
+            <label class="control-checkbox ${rendered ? '' : 'report-chart-unavailable'}">
+                <input type="checkbox" value="${chart.id}" ${checked ? 'checked' : ''} ${rendered ? '' : 'disabled'}>
+                <span>${chart.label}${rendered ? '' : ' (no generada)'}</span>
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Convierte las gráficas seleccionadas en imágenes estáticas PNG
+ */
+async function captureReportCharts(chartIds) {
+    const images = [];
+    for (const chartId of chartIds) {
+        const chart = reportCharts.find(entry => entry.id === chartId);
+        try {
+            const image = await Plotly.toImage(document.getElementById(chartId), { format: 'png', width: 1000, height: 500 });
+            images.push({ label: chart.label, image });
+        } catch (error) {
+            console.warn(`⚠️ No se pudo capturar la gráfica ${chartId}:`, error);
+        }
+    }
+    return images;
+}
+
+/**
+ * Genera el HTML de una cuadrícula de tarjetas etiqueta/valor
+ */
+function buildReportCards(items, className) {
+    return `<div class="${className}-grid">${items.map(item => `
+        <div class="${className === 'meta' ? 'meta-item' : 'card'}">
+            <div class="label">${escapeHTML(item.label)}</div>
+            <div class="value">${escapeHTML(item.value)}</div>
+        </div>`).join('')}
+    </div>`;
+}
+
+/**
+ * Sección de metadatos de la misión y del conjunto de datos
+ */
+function buildReportMetadataSection(metadata) {
+    const items = [
+        { label: 'Equipo', value: metadata.team || '-' },
+        { label: 'Fecha de Lanzamiento', value: metadata.date || '-' },
+        { label: 'Sitio de Lanzamiento', value: metadata.site || '-' },
+        { label: 'Archivo de Datos', value: loadedFileName || '-' },
+        { label: 'Registros Analizados', value: csvData.length },
+        { label: 'Datos Limpios', value: isDataCleaned ? 'Sí' : 'No' }
+    ];
+    return `
+        <h2>Datos de la Misión</h2>
+        ${buildReportCards(items, 'meta')}
+        ${metadata.notes ? `<p class="notes">${escapeHTML(metadata.notes)}</p>` : ''}
+    `;
+}
+
+/**
+ * Sección con el resumen de la limpieza de datos
+ */
+function buildReportCleaningSection() {
+    if (!cleaningAudit) {
+        return `
+            <h2>Limpieza de Datos</h2>
+            <p>Se analizaron los datos originales sin aplicar limpieza.</p>
+        `;
+    }
+
+    const duplicates = cleaningAudit.removedRows.filter(row => row.stage === 'duplicate').length;
+    const acceptedAnomalies = cleaningAudit.anomalies.filter(anomaly => anomaly.accepted).length;
+    const items = [
+        { label: 'Datos Originales', value: cleaningAudit.originalRowCount },
+        { label: 'Datos Limpios', value: cleaningAudit.cleanedRowCount },
+        { label: 'Duplicados', value: duplicates },
+        { label: 'Fuera de Rango', value: cleaningAudit.removedRows.length - duplicates },
+        { label: 'Celdas Corregidas', value: cleaningAudit.modifiedCells.length },
+        { label: 'Anomalías Aceptadas', value: acceptedAnomalies },
+        { label: 'Huecos de Tiempo', value: cleaningAudit.timeBase.gaps.length },
+        { label: 'Altura Base', value: `${cleaningAudit.baseAltitude.value} m` }
+    ];
+    const rulesRows = cleaningAudit.rules.map(rule => `
+        <tr>
+            <td>${escapeHTML(rule.column)}</td>
+            <td>${rule.min === null ? '-' : rule.min}</td>
+            <td>${rule.max === null ? '-' : rule.max}</td>
+            <td>${escapeHTML(cleaningRuleActions[rule.action] || rule.action)}</td>
+        </tr>`).join('');
+
+    return `
+        <h2>Limpieza de Datos</h2>
+        ${buildReportCards(items, 'card')}
+        <h3>Reglas Aplicadas</h3>
+        <table>
+            <thead><tr><th>Columna</th><th>Mínimo</th><th>Máximo</th><th>Acción</th></tr></thead>
+            <tbody>${rulesRows || '<tr><td colspan="4">Sin reglas activas</td></tr>'}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Sección con el resumen del apogeo y las métricas en ese instante
+ */
+function buildReportApogeeSection() {
+    const altitudeColumn = document.getElementById('apogeeAltitudeSource').value || 'Altitud_m';
+    if (!csvHeaders.includes(altitudeColumn) || !csvHeaders.includes('Tiempo_ms')) {
+        return '';
+    }
+
+    const { maxAltitude, apogeeIndex, apogeeTime, apogeeRow } = findApogee(csvData, altitudeColumn);
+    const items = [
+        { label: 'Altura del Apogeo', value: `${toDisplayValue(altitudeColumn, maxAltitude).toFixed(2)} ${getUnitForVariable(altitudeColumn)}` },
+        { label: 'Tiempo al Apogeo', value: `${(apogeeTime / 1000).toFixed(2)} s` },
+        { label: 'Índice de Dato', value: apogeeIndex }
+    ];
+    const metricRows = expectedVariables
+        .filter(varName => isValidNumber(apogeeRow[varName]))
+        .map(varName => `
+            <tr>
+                <td>${varName}</td>
+                <td>${formatValue(toDisplayValue(varName, parseFloat(apogeeRow[varName])), getUnitForVariable(varName))}</td>
+            </tr>`).join('');
+
+    return `
+        <h2>Apogeo</h2>
+        ${buildReportCards(items, 'card')}
+        <h3>Métricas en el Punto de Apogeo</h3>
+        <table>
+            <thead><tr><th>Variable</th><th>Valor</th></tr></thead>
+            <tbody>${metricRows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Sección con la tabla de estadísticas de cada variable
+ */
+function buildReportStatsSection() {
+    const statsRows = csvHeaders.map(header => {
+        const values = toDisplaySeries(header, csvData.map(row => parseFloat(row[header])).filter(val => !isNaN(val)));
+        if (values.length === 0) {
+            return '';
+        }
+        const stats = calculateStats(values);
+        return `
+            <tr>
+                <td>${escapeHTML(header)}</td>
+                <td>${escapeHTML(getUnitForVariable(header))}</td>
+                <td>${formatNumber(stats.mean)}</td>
+                <td>${formatNumber(stats.min)}</td>
+                <td>${formatNumber(stats.max)}</td>
+                <td>${formatNumber(stats.stdDev)}</td>
+                <td>${values.length}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <h2>Estadísticas</h2>
+        <table>
+            <thead><tr><th>Variable</th><th>Unidad</th><th>Promedio</th><th>Mínimo</th><th>Máximo</th><th>Desv. Estándar</th><th>Puntos</th></tr></thead>
+            <tbody>${statsRows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Sección con la distribución de calidad del aire
+ */
+function buildReportAirQualitySection() {
+    if (!csvHeaders.includes('Resistencia_kOhms')) {
+        return '';
+    }
+
+    const model = computeAirQualityIndex(csvData, flightPhases);
+    const indexData = model.index.filter(val => !isNaN(val));
+    if (indexData.length === 0) {
+        return '';
+    }
+
+    const qualityAnalysis = classifyAirQuality(indexData);
+    const qualityRows = Object.keys(airQualityMetrics).map(key => {
+        const metric = airQualityMetrics[key];
+        const count = qualityAnalysis[key].length;
+        return `
+            <tr>
+                <td><span class="swatch" style="background: ${metric.color};"></span>${metric.label}</td>
+                <td>${metric.min} – ${metric.max}</td>
+                <td>${count}</td>
+                <td>${((count / indexData.length) * 100).toFixed(1)}%</td>
+            </tr>`;
+    }).join('');
+    const stats = calculateStats(indexData);
+
+    return `
+        <h2>Calidad del Aire</h2>
+        ${buildReportCards([
+            { label: 'Índice IAQ Promedio', value: stats.mean.toFixed(0) },
+            { label: 'Peor Índice', value: stats.max.toFixed(0) },
+            { label: 'Mejor Índice', value: stats.min.toFixed(0) },
+            { label: 'Línea Base', value: `${model.baseline.toFixed(2)} kΩ` }
+        ], 'card')}
+        <table>
+            <thead><tr><th>Calidad</th><th>Índice</th><th>Lecturas</th><th>% del Vuelo</th></tr></thead>
+            <tbody>${qualityRows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Sección con las imágenes estáticas de las gráficas seleccionadas
+ */
+function buildReportChartsSection(images) {
+    if (images.length === 0) {
+        return '';
+    }
+    return `
+        <h2>Gráficas</h2>
+        ${images.map(chart => `
+            <div class="chart">
+                <img src="${chart.image}" alt="${escapeHTML(chart.label)}">
+                <div class="chart-caption">${escapeHTML(chart.label)}</div>
+            </div>`).join('')}
+    `;
+}
+
+/**
+ * Construye el documento HTML autocontenido del reporte
+ */
+function buildReportDocument(metadata, images) {
+    const title = metadata.mission || 'Reporte de Vuelo CANSAT';
+    const generatedAt = new Date().toLocaleString('es-ES');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(title)}</title>
+    <style>${reportStyles}</style>
+</head>
+<body>
+    <button class="print-btn" onclick="window.print()">Imprimir / PDF</button>
+    <h1>${escapeHTML(title)}</h1>
+    <p class="subtitle">Reporte de vuelo generado el ${escapeHTML(generatedAt)}</p>
+    ${buildReportMetadataSection(metadata)}
+    ${buildReportCleaningSection()}
+    ${buildReportApogeeSection()}
+    ${buildReportStatsSection()}
+    ${buildReportAirQualitySection()}
+    ${buildReportChartsSection(images)}
+    <footer>GAIA CANSAT Data Analyzer</footer>
+</body>
+</html>`;
+}
+
+/**
+ * Genera el reporte de vuelo, lo abre para imprimir y lo descarga como HTML
+ */
+async function generateReport() {
+    if (!csvData || csvData.length === 0) {
+        alert('❌ No hay datos para generar el reporte');
+        return;
+    }
+
+    const reportBtn = document.getElementById('generateReportBtn');
+    reportBtn.disabled = true;
+    reportBtn.textContent = 'Generando...';
+
+    try {
+        const metadata = readReportMetadata();
+        storeReportMetadata(metadata);
+
+        // Incluir las gráficas dibujadas después de abrir la sección
+        renderReportChartOptions();
+        const selectedCharts = [...document.querySelectorAll('#reportChartOptions input:checked')].map(input => input.value);
+        const images = await captureReportCharts(selectedCharts);
+        const reportHTML = buildReportDocument(metadata, images);
+
+        const blob = new Blob([reportHTML], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const reportWindow = window.open(url, '_blank');
+        // Liberar el blob cuando la ventana ya lo cargó (o enseguida si el navegador bloqueó la ventana)
+        if (reportWindow) {
+            reportWindow.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+        } else {
+            URL.revokeObjectURL(url);
+        }
+        downloadFile(reportHTML, `${getExportBaseName()}_reporte.html`, 'text/html');
+
+        console.log(`📄 Reporte generado con ${images.length} gráficas`);
+    } catch (error) {
+        console.error('❌ Error al generar el reporte:', error);
+        alert('❌ No se pudo generar el reporte');
+    } finally {
+        reportBtn.disabled = false;
+        reportBtn.textContent = 'Generar Reporte';
+    }
+}
+
+/**
+ * Muestra la sección del reporte de vuelo
+ */
+function showReportSection() {
+    document.getElementById('reportSection').style.display = 'block';
+    renderReportChartOptions();
+}
+
+// Colores de cada vuelo en la lista y en las gráficas de comparación
+const flightColors = ['#00ff88', '#0088ff', '#ffaa00', '#ff4488', '#aa66ff', '#00ccff', '#ffff44', '#ff6600'];
+
+// Secciones del flujo de carga (vista previa, mapeo, altura base y limpieza)
+const loadingSections = ['csvPreviewSection', 'columnMappingSection', 'altitudeConfigSection', 'dataCleaningSection'];
+
+// Secciones de análisis que dependen del vuelo activo
+const analysisSections = [
+    'replaySection', 'exportSection', 'reportSection', 'unitsSection', 'chartSection', 'derivedSection', 'visualizationSection',
+    'airQualitySection', 'atmosphereSection', 'apogeeSection', 'baroSection', 'descentSection', 'kinematicsSection', 'spectrumSection', 'attitudeSection', 'attitudeEstimateSection', 'statsSection'
+];
+
+// Criterios para alinear los vuelos en el tiempo
+const flightAlignments = {
+    launch: 'Lanzamiento',
+    apogee: 'Apogeo',
+    zero: 'Inicio del registro'
+};
+
+/**
+ * Crea un vuelo vacío con su propio estado de datos
+ */
+function createFlight(name) {
+    const id = nextFlightId++;
+    return {
+        id,
+        name: name || `Vuelo ${id}`,
+        color: flightColors[(id - 1) % flightColors.length],
+        ready: false,
+        ...flightStateDefaults,
+        csvHeaders: [],
+        detectedAnomalies: [],
+        columnMapping: {}
+    };
+}
+
+/**
+ * Obtiene el vuelo activo (null si todavía no se empezó a cargar ninguno)
+ */
+function getActiveFlight() {
+    return flights[activeFlightIndex] || null;
+}
+
+/**
+ * Obtiene los vuelos que ya completaron la carga y limpieza
+ */
+function getReadyFlights() {
+    return flights.filter(flight => flight.ready);
+}
+
+/**
+ * Prepara un vuelo nuevo para el archivo que se está cargando
+ * (reutiliza el vuelo activo si aún no terminó su carga)
+ */
+function startNewFlight(fileName) {
+    const name = fileName.replace(/\.[^.]+$/, '');
+    const active = flights[activeFlightIndex];
+
+    if (active && !active.ready) {
+        Object.assign(active, createFlight(name), { id: active.id, color: active.color });
+        return;
+    }
+
+    flights.push(createFlight(name));
+    activeFlightIndex = flights.length - 1;
+    hideAnalysisSections();
+}
+
+/**
+ * Descarta el vuelo activo si no terminó su carga y vuelve al último vuelo analizado
+ */
+function discardPendingFlight() {
+    const active = flights[activeFlightIndex];
+    if (!active || active.ready) {
+        return;
+    }
+
+    flights.splice(activeFlightIndex, 1);
+    activeFlightIndex = -1;
+
+    const readyFlights = getReadyFlights();
+    if (readyFlights.length > 0) {
+        activateFlight(flights.indexOf(readyFlights[readyFlights.length - 1]));
+    }
+}
+
+/**
+ * Marca el vuelo activo como analizado y actualiza la lista y la comparación
+ */
+function markActiveFlightReady() {
+    getActiveFlight().ready = true;
+    renderFlightList();
+    updateComparisonSection();
+}
+
+/**
+ * Cambia el vuelo activo y vuelve a dibujar las secciones de análisis con sus datos
+ */
+function activateFlight(index) {
+    const flight = flights[index];
+    if (!flight || !flight.ready) {
+        return;
+    }
+
+    // Abandonar un vuelo a medio cargar
+    const pending = flights[activeFlightIndex];
+    if (pending && !pending.ready && pending !== flight) {
+        flights.splice(activeFlightIndex, 1);
+    }
+    activeFlightIndex = flights.indexOf(flight);
+
+    loadingSections.forEach(sectionId => {
+        document.getElementById(sectionId).style.display = 'none';
+    });
+    document.getElementById('fileName').textContent = `📄 ${flight.loadedFileName}`;
+    document.getElementById('fileStats').textContent = `${flight.csvData.length} registros`;
+
+    updateFlightPhases();
+    showAnalysisSections();
+    applyDerivedVariables();
+    updateColumnDropdowns();
+    refreshAnalysisViews();
+    renderFlightList();
+
+    console.log(`🛫 Vuelo activo: ${flight.name}`);
+}
+
+/**
+ * Oculta las secciones de análisis mientras se carga un vuelo nuevo
+ */
+function hideAnalysisSections() {
+    pauseReplay();
+    analysisSections.forEach(sectionId => {
+        document.getElementById(sectionId).style.display = 'none';
+    });
+}
+
+/**
+ * Elimina un vuelo de la colección
+ */
+function removeFlight(index) {
+    const flight = flights[index];
+    if (!flight || !confirm(`¿Eliminar el vuelo "${flight.name}"?`)) {
+        return;
+    }
+
+    const wasActive = index === activeFlightIndex;
+    const active = flights[activeFlightIndex];
+    flights.splice(index, 1);
+
+    if (!wasActive) {
+        activeFlightIndex = flights.indexOf(active);
+    } else {
+        activeFlightIndex = -1;
+        const readyFlights = getReadyFlights();
+        if (readyFlights.length > 0) {
+            activateFlight(flights.indexOf(readyFlights[readyFlights.length - 1]));
+        } else {
+            hideAnalysisSections();
+            document.getElementById('fileName').textContent = '📄 Selecciona un archivo CSV';
+            document.getElementById('fileStats').textContent = '';
+        }
+    }
+
+    renderFlightList();
+    updateComparisonSection();
+}
+
+/**
+ * Dibuja la lista de vuelos cargados
+ */
+function renderFlightList() {
+    const section = document.getElementById('flightsSection');
+    const readyFlights = getReadyFlights();
+    section.style.display = readyFlights.length > 0 ? 'block' : 'none';
+
+    const rowsHTML = readyFlights.map(flight => {
+        const index = flights.indexOf(flight);
+        const isActive = index === activeFlightIndex;
+        return `
+            <tr class="${isActive ? 'flight-active' : ''}">
+                <td><span class="flight-swatch" style="background: ${flight.color};"></span></td>
+                <td><input type="text" class="control-input flight-name" data-flight-index="${index}" value="${escapeHTML(flight.name)}"></td>
+                <td>${escapeHTML(flight.loadedFileName || '-')}</td>
+                <td>${flight.csvData.length}</td>
+                <td>${flight.isDataCleaned ? '✅' : '—'}</td>
+                <td>${flight.flightEvents ? '✅' : '—'}</td>
+                <td class="flight-actions">
+                    <button class="rules-btn" data-action="activate" data-flight-index="${index}" ${isActive ? 'disabled' : ''}>${isActive ? 'Activo' : 'Analizar'}</button>
+                    <button class="rule-delete-btn" data-action="remove" data-flight-index="${index}" title="Eliminar vuelo">✕</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('flightList').innerHTML = `
+        <table class="rules-table">
+            <thead>
+                <tr><th></th><th>Nombre</th><th>Archivo</th><th>Registros</th><th>Limpio</th><th>Fases</th><th></th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Maneja los botones de la lista de vuelos
+ */
+function handleFlightListClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const index = parseInt(button.dataset.flightIndex);
+    if (button.dataset.action === 'activate') {
+        activateFlight(index);
+    } else if (button.dataset.action === 'remove') {
+        removeFlight(index);
+    }
+}
+
+/**
+ * Renombra un vuelo desde la lista
+ */
+function handleFlightRename(e) {
+    if (!e.target.classList.contains('flight-name')) {
+        return;
+    }
+    const flight = flights[parseInt(e.target.dataset.flightIndex)];
+    flight.name = e.target.value.trim() || flight.name;
+    e.target.value = flight.name;
+    updateComparisonSection();
+}
+
+/**
+ * Muestra la comparación cuando hay al menos dos vuelos analizados
+ */
+function updateComparisonSection() {
+    const readyFlights = getReadyFlights();
+    const section = document.getElementById('comparisonSection');
+    section.style.display = readyFlights.length >= 2 ? 'block' : 'none';
+    if (readyFlights.length < 2) {
+        return;
+    }
+
+    // Casillas de vuelos conservando la selección previa
+    const flightOptions = document.getElementById('comparisonFlights');
+    const previouslyUnchecked = [...flightOptions.querySelectorAll('input:not(:checked)')].map(input => input.value);
+    flightOptions.innerHTML = readyFlights.map(flight => `
+        <label class="control-checkbox">
+            <input type="checkbox" value="${flight.id}" ${previouslyUnchecked.includes(String(flight.id)) ? '' : 'checked'}>
+            <span class="flight-swatch" style="background: ${flight.color};"></span>
+            <span>${escapeHTML(flight.name)}</span>
+        </label>
+    `).join('');
+
+    // Variables numéricas presentes en algún vuelo
+    const variableSelect = document.getElementById('comparisonVariable');
+    const previousVariable = variableSelect.value;
+    const variables = [...new Set(readyFlights.flatMap(flight => flight.csvHeaders))]
+        .filter(header => header !== 'Tiempo_ms' && header !== 'Interpolado');
+    variableSelect.innerHTML = variables.map(header => `<option value="${escapeHTML(header)}">${escapeHTML(header)}</option>`).join('');
+    variableSelect.value = variables.includes(previousVariable) ? previousVariable : (variables.includes('Altitud_m') ? 'Altitud_m' : variables[0]);
+}
+
+/**
+ * Obtiene los vuelos marcados para comparar
+ */
+function getSelectedComparisonFlights() {
+    const selectedIds = [...document.querySelectorAll('#comparisonFlights input:checked')].map(input => parseInt(input.value));
+    return getReadyFlights().filter(flight => selectedIds.includes(flight.id));
+}
+
+/**
+ * Obtiene el instante (ms) usado como cero al alinear un vuelo
+ */
+function getFlightAlignmentTime(flight, alignment) {
+    const times = getNumericColumn(flight.csvData, 'Tiempo_ms');
+    const firstTime = times.find(time => !isNaN(time));
+
+    if (alignment === 'launch' && flight.flightEvents) {
+        return { time: times[flight.flightEvents.launchIndex], aligned: true };
+    }
+    if (alignment === 'apogee') {
+        if (flight.flightEvents) {
+            return { time: times[flight.flightEvents.apogeeIndex], aligned: true };
+        }
+        if (flight.csvHeaders.includes('Altitud_m')) {
+            return { time: findApogee(flight.csvData, 'Altitud_m').apogeeTime, aligned: true };
+        }
+    }
+    // Sin el evento pedido se usa el inicio del registro
+    return { time: firstTime, aligned: alignment === 'zero' };
+}
+
+/**
+ * Calcula las métricas clave de un vuelo para la tabla comparativa (en unidades de registro)
+ */
+function computeFlightMetrics(flight) {
+    const rows = flight.csvData;
+    const times = getNumericColumn(rows, 'Tiempo_ms');
+    const validTimes = times.filter(time => !isNaN(time));
+    const metrics = {
+        apogee: NaN,
+        timeToApogee: NaN,
+        maxAcceleration: NaN,
+        descentRate: NaN,
+        duration: validTimes.length > 1 ? (validTimes[validTimes.length - 1] - validTimes[0]) / 1000 : NaN,
+        samples: rows.length
+    };
+
+    if (flight.csvHeaders.includes('Altitud_m')) {
+        const apogee = findApogee(rows, 'Altitud_m');
+        if (isFinite(apogee.maxAltitude)) {
+            metrics.apogee = apogee.maxAltitude;
+            const startTime = flight.flightEvents ? times[flight.flightEvents.launchIndex] : validTimes[0];
+            metrics.timeToApogee = (apogee.apogeeTime - startTime) / 1000;
+        }
+
+        const smoothingWindow = parseInt(document.getElementById('descentSmoothing').value) || 5;
+        const descent = computeDescentAnalysis(rows, flight.flightPhases, smoothingWindow);
+        if (descent) {
+            metrics.descentRate = descent.steadyRate;
+        }
+    }
+
+    if (['Accel_X_m_s2', 'Accel_Y_m_s2', 'Accel_Z_m_s2'].every(column => flight.csvHeaders.includes(column))) {
+        const magnitudes = computeAccelMagnitude(rows).filter(value => !isNaN(value));
+        if (magnitudes.length > 0) {
+            metrics.maxAcceleration = magnitudes.reduce((max, value) => Math.max(max, value), -Infinity);
+        }
+    }
+
+    return metrics;
+}
+
+/**
+ * Superpone la variable elegida de cada vuelo y genera la tabla comparativa
+ */
+function compareFlights() {
+    const selectedFlights = getSelectedComparisonFlights();
+    if (selectedFlights.length === 0) {
+        alert('❌ Selecciona al menos un vuelo para comparar');
+        return;
+    }
+
+    const variable = document.getElementById('comparisonVariable').value;
+    const alignment = document.getElementById('comparisonAlignment').value;
+    const traces = [];
+    const unaligned = [];
+
+    selectedFlights.forEach(flight => {
+        const zero = getFlightAlignmentTime(flight, alignment);
+        if (!zero.aligned) {
+            unaligned.push(flight.name);
+        }
+        if (!flight.csvHeaders.includes(variable)) {
+            return;
+        }
+
+        const times = getNumericColumn(flight.csvData, 'Tiempo_ms');
+        const values = toDisplaySeries(variable, getNumericColumn(flight.csvData, variable));
+        const valid = times.map((time, i) => !isNaN(time) && !isNaN(values[i]));
+
+        traces.push({
+            x: times.filter((_, i) => valid[i]).map(time => (time - zero.time) / 1000),
+            y: values.filter((_, i) => valid[i]),
+            mode: 'lines',
+            type: 'scatter',
+            name: flight.name,
+            line: { color: flight.color, width: 2 }
+        });
+    });
+
+    const layout = buildChartLayout(
+        `${variable} por vuelo`,
+        `Tiempo desde ${flightAlignments[alignment].toLowerCase()} (s)`,
+        getAxisTitle(variable)
+    );
+    Plotly.newPlot('comparisonChart', traces, layout, defaultChartConfig);
+
+    displayComparisonTable(selectedFlights, unaligned);
+}
+
+/**
+ * Muestra la tabla de métricas clave de cada vuelo
+ */
+function displayComparisonTable(selectedFlights, unaligned) {
+    const lengthUnit = getDisplayUnitSymbol('length');
+    const accelerationUnit = getDisplayUnitSymbol('acceleration');
+    const speedUnit = getDisplayUnitSymbol('velocity');
+    const format = value => isNaN(value) ? '-' : value.toFixed(2);
+
+    const rowsHTML = selectedFlights.map(flight => {
+        const metrics = computeFlightMetrics(flight);
+        return `
+            <tr>
+                <td><span class="flight-swatch" style="background: ${flight.color};"></span>${escapeHTML(flight.name)}</td>
+                <td>${format(toDisplayUnit(metrics.apogee, 'length'))}</td>
+                <td>${format(metrics.timeToApogee)}</td>
+                <td>${format(toDisplayUnit(metrics.maxAcceleration, 'acceleration'))}</td>
+                <td>${format(toDisplayUnit(metrics.descentRate, 'velocity'))}</td>
+                <td>${format(metrics.duration)}</td>
+                <td>${metrics.samples}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('comparisonTable').innerHTML = `
+        <table class="rules-table comparison-table">
+            <thead>
+                <tr>
+                    <th>Vuelo</th>
+                    <th>Apogeo (${lengthUnit})</th>
+                    <th>Tiempo al Apogeo (s)</th>
+                    <th>Aceleración Máx. (${accelerationUnit})</th>
+                    <th>Tasa de Descenso (${speedUnit})</th>
+                    <th>Duración (s)</th>
+                    <th>Registros</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+        ${unaligned.length > 0 ? `<p class="comparison-note">⚠️ Sin evento de alineación detectado, alineados al inicio del registro: ${unaligned.map(escapeHTML).join(', ')}</p>` : ''}
+    `;
+}
+
+// Parámetros de la telemetría en vivo
+const liveTelemetrySettings = {
+    maxPoints: 5000,          // Puntos máximos por traza en las gráficas móviles
+    rateWindowMs: 5000,       // Ventana para calcular la tasa de paquetes
+    reconnectDelayMs: 2000,   // Espera antes de reintentar la conexión
+    staleAfterMs: 3000        // Sin paquetes durante este tiempo se marca el enlace como inactivo
+};
+
+/**
+ * Crea una sesión de telemetría vacía con el esquema de columnas por defecto
+ */
+function createLiveSession() {
+    return {
+        headers: [...expectedVariables],
+        timeColumn: 'Tiempo_ms',
+        altitudeColumn: 'Altitud_m',
+        rows: [],
+        malformed: 0,
+        startedAt: Date.now(),
+        times: [],                // Tiempo (s) de cada fila grabada
+        arrivals: [],             // Llegadas dentro de la ventana de la tasa de paquetes
+        lastPacketAt: null,
+        currentAltitude: NaN,
+        maxAltitude: -Infinity,
+        apogeeTime: NaN,
+        pending: [],
+        renderRequested: false,
+        manualStop: false,
+        reconnectTimer: null
+    };
+}
+
+/**
+ * Aplica la cabecera recibida del puente serie y localiza las columnas de tiempo y altitud
+ */
+function setLiveHeaders(headers) {
+    const mapping = suggestColumnMapping(headers);
+    liveSession.headers = headers;
+    liveSession.timeColumn = mapping['Tiempo_ms'] || null;
+    liveSession.altitudeColumn = mapping['Altitud_m'] || null;
+    populateLiveVariableSelect();
+    console.log('📡 Cabecera de telemetría recibida:', headers);
+}
+
+/**
+ * Convierte un bloque de texto recibido en filas con el esquema de la sesión
+ */
+function parseTelemetryLines(text) {
+    const lines = Papa.parse(text.trim(), { skipEmptyLines: true }).data;
+    const rows = [];
+
+    lines.forEach(fields => {
+        const values = fields.map(field => field.trim());
+        // Una línea sin ningún valor numérico es la cabecera de columnas. Solo se acepta antes de
+        // grabar filas: una cabecera distinta a mitad de sesión desalinearía las filas ya grabadas
+        if (values.every(value => !isValidNumber(value))) {
+            if (liveSession.rows.length === 0 && rows.length === 0) {
+                setLiveHeaders(values);
+            } else if (values.join(',') !== liveSession.headers.join(',')) {
+                liveSession.malformed++;
+                console.warn('⚠️ Cabecera distinta a mitad de la sesión ignorada:', values);
+            }
+            return;
+        }
+        if (values.length !== liveSession.headers.length) {
+            liveSession.malformed++;
+            return;
+        }
+        const row = {};
+        liveSession.headers.forEach((header, i) => {
+            row[header] = values[i];
+        });
+        rows.push(row);
+    });
+
+    return rows;
+}
+
+/**
+ * Obtiene el tiempo (s) de una fila en vivo (si no hay columna de tiempo se usa la llegada)
+ */
+function getLiveRowTime(row, arrivalTime) {
+    const time = liveSession.timeColumn ? parseFloat(row[liveSession.timeColumn]) : NaN;
+    return isNaN(time) ? (arrivalTime - liveSession.startedAt) / 1000 : time / 1000;
+}
+
+/**
+ * Procesa un mensaje del WebSocket: graba las filas y actualiza el apogeo en curso
+ */
+function handleTelemetryMessage(event) {
+    if (typeof event.data !== 'string') {
+        return;
+    }
+
+    const arrivalTime = Date.now();
+    const rows = parseTelemetryLines(event.data);
+    const baseAltitude = parseFloat(document.getElementById('liveBaseAltitude').value) || 0;
+
+    rows.forEach(row => {
+        const time = getLiveRowTime(row, arrivalTime);
+        const altitude = liveSession.altitudeColumn ? parseFloat(row[liveSession.altitudeColumn]) - baseAltitude : NaN;
+
+        if (!isNaN(altitude) && altitude > liveSession.maxAltitude) {
+            liveSession.maxAltitude = altitude;
+            liveSession.apogeeTime = time;
+        }
+
+        liveSession.rows.push(row);
+        liveSession.times.push(time);
+        liveSession.arrivals.push(arrivalTime);
+        liveSession.pending.push({ time, altitude, row });
+    });
+
+    // Solo se conservan las llegadas que cuentan para la tasa de paquetes
+    const arrivals = liveSession.arrivals;
+    while (arrivals.length > 0 && arrivalTime - arrivals[0] > liveTelemetrySettings.rateWindowMs) {
+        arrivals.shift();
+    }
+
+    if (rows.length > 0) {
+        liveSession.lastPacketAt = arrivalTime;
+        scheduleLiveRender();
+    }
+}
+
+/**
+ * Agrupa las actualizaciones de las gráficas en el siguiente cuadro de animación
+ */
+function scheduleLiveRender() {
+    if (liveSession.renderRequested) {
+        return;
+    }
+    liveSession.renderRequested = true;
+    requestAnimationFrame(renderLiveUpdate);
+}
+
+/**
+ * Extiende las gráficas móviles con los puntos pendientes y actualiza las lecturas
+ */
+function renderLiveUpdate() {
+    if (!liveSession) {
+        return;
+    }
+    liveSession.renderRequested = false;
+    const pending = liveSession.pending;
+    liveSession.pending = [];
+
+    if (pending.length > 0) {
+        const variable = document.getElementById('liveVariable').value;
+        const times = pending.map(point => point.time);
+        const windowSeconds = parseFloat(document.getElementById('liveWindow').value) || 60;
+        const latest = times[times.length - 1];
+        const range = { 'xaxis.range': [latest - windowSeconds, latest] };
+
+        Plotly.extendTraces('liveAltitudeChart', {
+            x: [times],
+            y: [pending.map(point => toDisplayUnit(point.altitude, 'length'))]
+        }, [0], liveTelemetrySettings.maxPoints);
+        Plotly.relayout('liveAltitudeChart', range);
+
+        if (variable) {
+            Plotly.extendTraces('liveVariableChart', {
+                x: [times],
+                y: [toDisplaySeries(variable, pending.map(point => parseFloat(point.row[variable])))]
+            }, [0], liveTelemetrySettings.maxPoints);
+            Plotly.relayout('liveVariableChart', range);
+        }
+
+        const last = pending[pending.length - 1];
+        liveSession.currentAltitude = last.altitude;
+    }
+
+    displayLiveReadouts();
+}
+
+/**
+ * Muestra la altitud actual, el apogeo en curso y el estado del enlace
+ */
+function displayLiveReadouts() {
+    const now = Date.now();
+    const recentPackets = liveSession.arrivals.filter(time => now - time <= liveTelemetrySettings.rateWindowMs).length;
+    const lengthUnit = getDisplayUnitSymbol('length');
+    const format = value => isFinite(value) ? toDisplayUnit(value, 'length').toFixed(1) : '-';
+
+    const readouts = [
+        { title: 'Altitud Actual', value: format(liveSession.currentAltitude), unit: lengthUnit },
+        { title: 'Apogeo en Curso', value: format(liveSession.maxAltitude), unit: lengthUnit },
+        { title: 'Tiempo al Apogeo', value: isNaN(liveSession.apogeeTime) ? '-' : liveSession.apogeeTime.toFixed(1), unit: 's' },
+        { title: 'Paquetes', value: liveSession.rows.length, unit: '' },
+        { title: 'Tasa', value: (recentPackets / (liveTelemetrySettings.rateWindowMs / 1000)).toFixed(1), unit: 'Hz' },
+        { title: 'Líneas Inválidas', value: liveSession.malformed, unit: '' }
+    ];
+
+    document.getElementById('liveReadouts').innerHTML = readouts.map(readout => `
+        <div class="apogee-card">
+            <div class="apogee-card-title">${readout.title}</div>
+            <div class="apogee-card-value">${readout.value}<span class="apogee-card-unit">${readout.unit}</span></div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Dibuja las gráficas móviles vacías (o con la sesión grabada hasta ahora)
+ */
+function initializeLiveCharts() {
+    const variable = document.getElementById('liveVariable').value;
+    const baseAltitude = parseFloat(document.getElementById('liveBaseAltitude').value) || 0;
+    const rows = liveSession ? liveSession.rows : [];
+    const times = liveSession ? liveSession.times : [];
+
+    const altitudeTrace = {
+        x: times,
+        y: rows.map(row => liveSession.altitudeColumn ? toDisplayUnit(parseFloat(row[liveSession.altitudeColumn]) - baseAltitude, 'length') : NaN),
+        mode: 'lines',
+        type: 'scatter',
+        name: 'Altitud',
+        line: { color: greenPalette.neon, width: 2 }
+    };
+    Plotly.newPlot('liveAltitudeChart', [altitudeTrace],
+        buildChartLayout('Altitud en Vivo', 'Tiempo (s)', `Altitud (${getDisplayUnitSymbol('length')})`), defaultChartConfig);
+
+    const variableTrace = {
+        x: times,
+        y: variable ? toDisplaySeries(variable, rows.map(row => parseFloat(row[variable]))) : [],
+        mode: 'lines',
+        type: 'scatter',
+        name: variable,
+        line: { color: '#0088ff', width: 2 }
+    };
+    Plotly.newPlot('liveVariableChart', [variableTrace],
+        buildChartLayout(variable ? `${variable} en Vivo` : 'Variable en Vivo', 'Tiempo (s)', variable ? getAxisTitle(variable) : ''), defaultChartConfig);
+}
+
+/**
+ * Pobla el select de variable de la segunda gráfica móvil con las columnas de la sesión
+ */
+function populateLiveVariableSelect() {
+    const select = document.getElementById('liveVariable');
+    const previous = select.value;
+    const headers = liveSession ? liveSession.headers : expectedVariables;
+    const timeColumn = liveSession ? liveSession.timeColumn : 'Tiempo_ms';
+    const options = headers.filter(header => header !== timeColumn);
+
+    select.innerHTML = options.map(header => `<option value="${escapeHTML(header)}">${escapeHTML(header)}</option>`).join('');
+    select.value = options.includes(previous) ? previous : (options.includes('Temperatura_C') ? 'Temperatura_C' : options[0]);
+    initializeLiveCharts();
+}
+
+/**
+ * Actualiza el indicador de estado de la conexión
+ */
+function setLiveStatus(status, text) {
+    const indicator = document.getElementById('liveStatus');
+    indicator.className = `live-status ${status}`;
+    indicator.textContent = text;
+
+    const connected = status === 'connected' || status === 'connecting';
+    document.getElementById('liveConnectBtn').textContent = connected ? 'Desconectar' : 'Conectar';
+    document.getElementById('liveAnalyzeBtn').disabled = !liveSession || liveSession.rows.length === 0;
+    document.getElementById('liveDownloadBtn').disabled = !liveSession || liveSession.rows.length === 0;
+}
+
+/**
+ * Abre la conexión WebSocket con el puente de telemetría
+ */
+function openTelemetrySocket() {
+    const url = document.getElementById('liveUrl').value.trim();
+    setLiveStatus('connecting', 'Conectando...');
+
+    try {
+        liveSocket = new WebSocket(url);
+    } catch (error) {
+        console.error('❌ URL de WebSocket no válida:', error);
+        setLiveStatus('disconnected', 'URL no válida');
+        return;
+    }
+
+    liveSocket.addEventListener('open', () => {
+        console.log(`📡 Conectado a ${url}`);
+        setLiveStatus('connected', 'Conectado');
+    });
+    liveSocket.addEventListener('message', handleTelemetryMessage);
+    liveSocket.addEventListener('close', () => {
+        liveSocket = null;
+        if (!liveSession || liveSession.manualStop) {
+            setLiveStatus('disconnected', 'Desconectado');
+            return;
+        }
+        // El enlace se cortó: reintentar si se pidió
+        if (document.getElementById('liveReconnect').checked) {
+            setLiveStatus('connecting', 'Reconectando...');
+            liveSession.reconnectTimer = setTimeout(openTelemetrySocket, liveTelemetrySettings.reconnectDelayMs);
+        } else {
+            setLiveStatus('disconnected', 'Conexión perdida');
+        }
+    });
+    liveSocket.addEventListener('error', () => {
+        console.warn('⚠️ Error en la conexión de telemetría');
+    });
+}
+
+/**
+ * Conecta o desconecta la telemetría en vivo
+ */
+function toggleLiveTelemetry() {
+    if (liveSocket || (liveSession && liveSession.reconnectTimer)) {
+        stopLiveTelemetry();
+        return;
+    }
+
+    // Una conexión nueva empieza una sesión nueva salvo que se quiera continuar la grabada
+    if (!liveSession || !document.getElementById('liveAppend').checked) {
+        liveSession = createLiveSession();
+        populateLiveVariableSelect();
+    }
+    liveSession.manualStop = false;
+    openTelemetrySocket();
+}
+
+/**
+ * Cierra la conexión conservando la sesión grabada
+ */
+function stopLiveTelemetry() {
+    if (!liveSession) {
+        return;
+    }
+    liveSession.manualStop = true;
+    clearTimeout(liveSession.reconnectTimer);
+    liveSession.reconnectTimer = null;
+    if (liveSocket) {
+        liveSocket.close();
+        liveSocket = null;
+    }
+    setLiveStatus('disconnected', 'Desconectado');
+}
+
+/**
+ * Marca el enlace como inactivo si dejan de llegar paquetes
+ */
+function checkLiveLinkHealth() {
+    if (!liveSocket || !liveSession || liveSocket.readyState !== WebSocket.OPEN) {
+        return;
+    }
+    const silent = liveSession.lastPacketAt === null || Date.now() - liveSession.lastPacketAt > liveTelemetrySettings.staleAfterMs;
+    setLiveStatus('connected', silent ? 'Conectado (sin datos)' : 'Recibiendo');
+    displayLiveReadouts();
+}
+
+/**
+ * Descarga la sesión grabada como CSV
+ */
+function downloadLiveSession() {
+    if (!liveSession || liveSession.rows.length === 0) {
+        return;
+    }
+    const csv = Papa.unparse({ fields: liveSession.headers, data: liveSession.rows.map(row => liveSession.headers.map(header => row[header])) });
+    downloadFile(csv, `${getLiveSessionName()}.csv`, 'text/csv');
+}
+
+/**
+ * Nombre de la sesión de telemetría a partir de su hora de inicio
+ */
+function getLiveSessionName() {
+    const start = new Date(liveSession.startedAt);
+    const pad = value => String(value).padStart(2, '0');
+    return `telemetria_${start.getFullYear()}${pad(start.getMonth() + 1)}${pad(start.getDate())}_${pad(start.getHours())}${pad(start.getMinutes())}`;
+}
+
+/**
+ * Envía la sesión grabada al flujo normal de vista previa, mapeo, limpieza y análisis
+ */
+function analyzeLiveSession() {
+    if (!liveSession || liveSession.rows.length === 0) {
+        alert('❌ No hay datos de telemetría grabados');
+        return;
+    }
+
+    stopLiveTelemetry();
+
+    const name = `${getLiveSessionName()}.csv`;
+    startNewFlight(name);
+    loadedFileName = name;
+    document.getElementById('fileInfo').style.display = 'block';
+    document.getElementById('fileName').textContent = `📡 ${name}`;
+    document.getElementById('fileStats').textContent = `${liveSession.rows.length} paquetes de telemetría`;
+
+    // Copias de las filas: la sesión puede seguir ampliándose después
+    loadParsedData(liveSession.rows.map(row => ({ ...row })), [...liveSession.headers]);
+}
+
+/**
+ * Muestra u oculta el panel de telemetría en vivo
+ */
+function toggleLiveSection() {
+    const content = document.getElementById('liveContent');
+    const button = document.getElementById('liveToggleBtn');
+
+    if (content.style.display === 'none') {
+        content.style.display = 'block';
+        button.textContent = 'Ocultar Telemetría';
+        button.classList.add('active');
+        if (!liveSession) {
+            populateLiveVariableSelect();
+        }
+    } else {
+        content.style.display = 'none';
+        button.textContent = 'Telemetría en Vivo';
+        button.classList.remove('active');
+    }
+}
+
+// Estado de la reproducción del vuelo activo
+const replayState = {
+    playing: false,
+    samples: [],          // Muestras con tiempo válido ordenadas: { time, index }
+    position: 0,          // Posición actual dentro de samples
+    time: NaN,            // Instante actual (ms)
+    lastTimestamp: null,  // Marca del último cuadro de animación
+    animationFrame: null,
+    cursorIndex: null,    // Fila en la que se dibujaron los cursores por última vez
+    cursorDrawnAt: 0      // Momento (ms) del último dibujo de los cursores
+};
+
+// Velocidades de reproducción disponibles
+const replaySpeeds = [0.25, 0.5, 1, 2, 5, 10, 20];
+
+// Intervalo mínimo (ms) entre dibujos de los cursores mientras se reproduce: cada dibujo relayouta varias gráficas
+const replayCursorIntervalMs = 100;
+
+// Gráficas que muestran el cursor de reproducción y cómo ubicarlo en cada una
+const replayCursorTargets = [
+    {
+        chartId: 'chart',
+        axis: 'x',
+        value: row => {
+            const xAxis = document.getElementById('xAxis').value;
+            return xAxis ? toDisplayValue(xAxis, parseFloat(row[xAxis])) : NaN;
+        }
+    },
+    { chartId: 'baroChart', axis: 'x', value: row => parseFloat(row['Tiempo_ms']) },
+    { chartId: 'qualityChart', axis: 'x', value: row => toDisplayValue('Altitud_m', parseFloat(row['Altitud_m'])) },
+    { chartId: 'descentChart', axis: 'y', value: row => toDisplayValue('Altitud_m', parseFloat(row['Altitud_m'])) },
+    { chartId: 'attitudeEstimateChart', axis: 'x', value: row => parseFloat(row['Tiempo_ms']) },
+    { chartId: 'kinematicsChart', axis: 'x', value: row => parseFloat(row['Tiempo_ms']) },
+    { chartId: 'spectrogramChart', axis: 'x', value: row => parseFloat(row['Tiempo_ms']) }
+];
+
+/**
+ * Prepara la reproducción para el vuelo activo (muestras ordenadas y rango del control deslizante)
+ */
+function setupReplay() {
+    pauseReplay();
+    replayState.cursorIndex = null;
+
+    const times = csvData ? getNumericColumn(csvData, 'Tiempo_ms') : [];
+    replayState.samples = times
+        .map((time, index) => ({ time, index }))
+        .filter(sample => !isNaN(sample.time))
+        .sort((a, b) => a.time - b.time);
+
+    const scrubber = document.getElementById('replayScrubber');
+    const hasSamples = replayState.samples.length > 0;
+    document.getElementById('replayPlayBtn').disabled = !hasSamples;
+    scrubber.disabled = !hasSamples;
+
+    if (!hasSamples) {
+        document.getElementById('replayReadout').innerHTML = '<p class="descent-empty">El vuelo no tiene la columna Tiempo_ms</p>';
+        return;
+    }
+
+    scrubber.min = replayState.samples[0].time;
+    scrubber.max = replayState.samples[replayState.samples.length - 1].time;
+    scrubber.step = 'any';
+    seekReplay(replayState.samples[0].time);
+}
+
+/**
+ * Busca la muestra más cercana (anterior o igual) a un instante
+ */
+function findReplayPosition(time) {
+    const samples = replayState.samples;
+    let low = 0;
+    let high = samples.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (samples[mid].time <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Mueve la reproducción a un instante y actualiza cursores y lecturas
+ */
+function seekReplay(time) {
+    if (replayState.samples.length === 0) {
+        return;
+    }
+    const first = replayState.samples[0].time;
+    const last = replayState.samples[replayState.samples.length - 1].time;
+    replayState.time = Math.min(Math.max(time, first), last);
+    replayState.position = findReplayPosition(replayState.time);
+
+    document.getElementById('replayScrubber').value = replayState.time;
+    document.getElementById('replayTime').textContent = `${((replayState.time - first) / 1000).toFixed(2)} s / ${((last - first) / 1000).toFixed(2)} s`;
+
+    const row = csvData[replayState.samples[replayState.position].index];
+    displayReplayReadout(row, replayState.samples[replayState.position].index);
+    updateReplayCursors();
+    updateAttitudeView(replayState.samples[replayState.position].index);
+}
+
+/**
+ * Muestra el valor de todas las variables esperadas en el instante actual
+ */
+function displayReplayReadout(row, rowIndex) {
+    const phase = flightPhases ? flightPhaseDefinitions[flightPhases[rowIndex]] : null;
+    const metricsHTML = expectedVariables
+        .filter(varName => isValidNumber(row[varName]))
+        .map(varName => `
+            <div class="apogee-metric">
+                <div class="apogee-metric-label">${varName}</div>
+                <div class="apogee-metric-value">${formatValue(toDisplayValue(varName, parseFloat(row[varName])), getUnitForVariable(varName))}</div>
+            </div>
+        `).join('');
+
+    document.getElementById('replayReadout').innerHTML = `
+        <div class="replay-status">
+            <span>Índice de Dato: <strong>${rowIndex}</strong></span>
+            ${phase ? `<span class="phase-chip" style="border-color: ${phase.color.replace(/[\d.]+\)$/, '1)')};"><span class="phase-chip-label">${phase.label}</span></span>` : ''}
+        </div>
+        <div class="apogee-metrics">${metricsHTML}</div>
+    `;
+}
+
+/**
+ * Dibuja el cursor sincronizado en las gráficas ya generadas, conservando sus otras formas
+ */
+function drawReplayCursors(row) {
+    replayCursorTargets.forEach(target => {
+        if (!isChartRendered(target.chartId)) {
+            return;
+        }
+        const chart = document.getElementById(target.chartId);
+        const baseShapes = (chart.layout.shapes || []).filter(shape => shape.name !== 'replayCursor');
+        const value = target.value(row);
+
+        if (!isFinite(value)) {
+            Plotly.relayout(chart, { shapes: baseShapes });
+            return;
+        }
+
+        const cursor = {
+            name: 'replayCursor',
+            type: 'line',
+            line: { color: '#ff4488', width: 2, dash: 'dot' }
+        };
+        if (target.axis === 'x') {
+            Object.assign(cursor, { xref: 'x', yref: 'paper', x0: value, x1: value, y0: 0, y1: 1 });
+        } else {
+            Object.assign(cursor, { xref: 'paper', yref: 'y', x0: 0, x1: 1, y0: value, y1: value });
+        }
+        Plotly.relayout(chart, { shapes: [...baseShapes, cursor] });
+    });
+}
+
+/**
+ * Dibuja los cursores solo si cambió la fila actual y, mientras se reproduce, como mucho cada replayCursorIntervalMs
+ */
+function updateReplayCursors() {
+    const rowIndex = replayState.samples[replayState.position].index;
+    const now = performance.now();
+    if (rowIndex === replayState.cursorIndex ||
+        (replayState.playing && now - replayState.cursorDrawnAt < replayCursorIntervalMs)) {
+        return;
+    }
+    replayState.cursorIndex = rowIndex;
+    replayState.cursorDrawnAt = now;
+    drawReplayCursors(csvData[rowIndex]);
+}
+
+/**
+ * Avanza la reproducción según el tiempo real transcurrido y la velocidad elegida
+ */
+function stepReplay(timestamp) {
+    if (!replayState.playing) {
+        return;
+    }
+    if (replayState.lastTimestamp !== null) {
+        const speed = parseFloat(document.getElementById('replaySpeed').value) || 1;
+        seekReplay(replayState.time + (timestamp - replayState.lastTimestamp) * speed);
+    }
+    replayState.lastTimestamp = timestamp;
+
+    const last = replayState.samples[replayState.samples.length - 1].time;
+    if (replayState.time >= last) {
+        pauseReplay();
+        updateReplayCursors();
+        return;
+    }
+    replayState.animationFrame = requestAnimationFrame(stepReplay);
+}
+
+/**
+ * Inicia la reproducción (desde el principio si ya terminó)
+ */
+function playReplay() {
+    if (replayState.samples.length === 0) {
+        return;
+    }
+    if (replayState.time >= replayState.samples[replayState.samples.length - 1].time) {
+        seekReplay(replayState.samples[0].time);
+    }
+    replayState.playing = true;
+    replayState.lastTimestamp = null;
+    document.getElementById('replayPlayBtn').textContent = '⏸ Pausa';
+    replayState.animationFrame = requestAnimationFrame(stepReplay);
+}
+
+/**
+ * Detiene la reproducción en el instante actual
+ */
+function pauseReplay() {
+    replayState.playing = false;
+    cancelAnimationFrame(replayState.animationFrame);
+    replayState.animationFrame = null;
+    document.getElementById('replayPlayBtn').textContent = '▶ Reproducir';
+}
+
+/**
+ * Alterna entre reproducir y pausar
+ */
+function toggleReplay() {
+    if (replayState.playing) {
+        pauseReplay();
+        // Dibujar la fila en la que se pausó aunque no haya pasado el intervalo
+        updateReplayCursors();
+    } else {
+        playReplay();
+    }
+}
+
+/**
+ * Mueve la reproducción con el control deslizante
+ */
+function handleReplayScrub(e) {
+    seekReplay(parseFloat(e.target.value));
+}
+
+/**
+ * Muestra la sección de reproducción del vuelo
+ */
+function showReplaySection() {
+    document.getElementById('replaySection').style.display = 'block';
+    setupReplay();
+}
+
+// Fuentes de orientación para la vista 3D
+const attitudeSources = {
+    logged: { label: 'Ángulos registrados (Roll/Pitch)', requires: ['Roll_deg', 'Pitch_deg'], angles: ['Roll_deg', 'Pitch_deg'] },
+    complementary: { label: 'Filtro complementario (recalculado)', requires: ['Roll_CF_deg', 'Pitch_CF_deg'], angles: ['Roll_CF_deg', 'Pitch_CF_deg'] },
+    madgwick: { label: 'Filtro de Madgwick (recalculado)', requires: ['Roll_MW_deg', 'Pitch_MW_deg'], angles: ['Roll_MW_deg', 'Pitch_MW_deg'] },
+    gyro: { label: 'Integración del giróscopo', requires: ['Gyro_X_deg_s', 'Gyro_Y_deg_s', 'Gyro_Z_deg_s', 'Tiempo_ms'] }
+};
+
+// Geometría del cuerpo dibujado (proporciones de una lata de 66 mm × 115 mm)
+const attitudeViewSettings = {
+    cylinderSegments: 24,
+    cylinderRadius: 0.29,
+    cylinderHeight: 1,
+    axisLength: 0.9,
+    maxIntegrationStep: 1000   // ms; huecos mayores en Tiempo_ms no se integran
+};
+
+// Orientación calculada para el vuelo activo
+const attitudeView = {
+    track: null,   // Por fila: { roll, pitch, yaw, q } en grados / cuaternión, o null
+    mesh: null     // Vértices del cilindro en ejes del cuerpo y sus caras
+};
+
+/**
+ * Multiplica dos cuaterniones [w, x, y, z]
+ */
+function quaternionMultiply(a, b) {
+    return [
+        a[0] * b[0] - a[1] * b[1] - a[2] * b[2] - a[3] * b[3],
+        a[0] * b[1] + a[1] * b[0] + a[2] * b[3] - a[3] * b[2],
+        a[0] * b[2] - a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+        a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0]
+    ];
+}
+
+/**
+ * Normaliza un cuaternión
+ */
+function normalizeQuaternion(q) {
+    const norm = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+    return q.map(component => component / norm);
+}
+
+/**
+ * Cuaternión cuerpo→mundo a partir de ángulos de Euler ZYX (radianes)
+ */
+function quaternionFromEuler(roll, pitch, yaw) {
+    const cr = Math.cos(roll / 2), sr = Math.sin(roll / 2);
+    const cp = Math.cos(pitch / 2), sp = Math.sin(pitch / 2);
+    const cy = Math.cos(yaw / 2), sy = Math.sin(yaw / 2);
+    return [
+        cr * cp * cy + sr * sp * sy,
+        sr * cp * cy - cr * sp * sy,
+        cr * sp * cy + sr * cp * sy,
+        cr * cp * sy - sr * sp * cy
+    ];
+}
+
+/**
+ * Ángulos de Euler ZYX (radianes) de un cuaternión cuerpo→mundo
+ */
+function quaternionToEuler(q) {
+    const [w, x, y, z] = q;
+    return {
+        roll: Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y)),
+        pitch: Math.asin(Math.max(-1, Math.min(1, 2 * (w * y - z * x)))),
+        yaw: Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z))
+    };
+}
+
+/**
+ * Rota un vector de ejes del cuerpo a ejes del mundo
+ */
+function rotateByQuaternion(q, v) {
+    const rotated = quaternionMultiply(quaternionMultiply(q, [0, v[0], v[1], v[2]]), [q[0], -q[1], -q[2], -q[3]]);
+    return rotated.slice(1);
+}
+
+/**
+ * Roll y pitch (radianes) indicados por la gravedad medida en el acelerómetro
+ */
+function accelerometerTilt(ax, ay, az) {
+    return {
+        roll: Math.atan2(ay, az),
+        pitch: Math.atan2(-ax, Math.hypot(ay, az))
+    };
+}
+
+/**
+ * Velocidades angulares del cuerpo (rad/s) de una fila, o null si falta algún eje
+ */
+function getBodyRates(row) {
+    const rates = ['Gyro_X_deg_s', 'Gyro_Y_deg_s', 'Gyro_Z_deg_s'].map(column => parseFloat(row[column]) * Math.PI / 180);
+    return rates.every(rate => !isNaN(rate)) ? rates : null;
+}
+
+/**
+ * Intervalo válido entre dos filas en segundos (0 si falta el tiempo o hay un hueco)
+ */
+function getIntegrationStep(previousRow, row) {
+    const dt = parseFloat(row['Tiempo_ms']) - parseFloat(previousRow['Tiempo_ms']);
+    return dt > 0 && dt <= attitudeViewSettings.maxIntegrationStep ? dt / 1000 : 0;
+}
+
+/**
+ * Aplica a un cuaternión la rotación de las velocidades del cuerpo durante dt
+ */
+function integrateBodyRates(q, rates, dt) {
+    const angle = Math.hypot(rates[0], rates[1], rates[2]) * dt;
+    if (angle === 0) {
+        return q;
+    }
+    const scale = Math.sin(angle / 2) / (angle / dt);
+    const delta = [Math.cos(angle / 2), rates[0] * scale, rates[1] * scale, rates[2] * scale];
+    return normalizeQuaternion(quaternionMultiply(q, delta));
+}
+
+/**
+ * Crea una entrada del recorrido de orientación a partir de un cuaternión
+ */
+function createAttitudeSample(q) {
+    const euler = quaternionToEuler(q);
+    return {
+        roll: euler.roll * 180 / Math.PI,
+        pitch: euler.pitch * 180 / Math.PI,
+        yaw: euler.yaw * 180 / Math.PI,
+        q
+    };
+}
+
+/**
+ * Aceleración del cuerpo (m/s²) de una fila, o null si falta algún eje
+ */
+function getBodyAcceleration(row) {
+    const accel = ['Accel_X_m_s2', 'Accel_Y_m_s2', 'Accel_Z_m_s2'].map(column => parseFloat(row[column]));
+    return accel.every(value => !isNaN(value)) ? accel : null;
+}
+
+/**
+ * Orientación inicial a partir de la primera lectura válida del acelerómetro
+ */
+function getAccelerometerAttitude(rows) {
+    for (const row of rows) {
+        const accel = getBodyAcceleration(row);
+        if (accel) {
+            const tilt = accelerometerTilt(accel[0], accel[1], accel[2]);
+            return quaternionFromEuler(tilt.roll, tilt.pitch, 0);
+        }
+    }
+    return [1, 0, 0, 0];
+}
+
+/**
+ * Orientación inicial del vuelo: ángulos registrados o, en su defecto, el acelerómetro
+ */
+function getInitialAttitude(rows) {
+    const logged = rows.find(row => !isNaN(parseFloat(row['Roll_deg'])) && !isNaN(parseFloat(row['Pitch_deg'])));
+    if (logged) {
+        return quaternionFromEuler(parseFloat(logged['Roll_deg']) * Math.PI / 180, parseFloat(logged['Pitch_deg']) * Math.PI / 180, 0);
+    }
+    return getAccelerometerAttitude(rows);
+}
+
+/**
+ * Calcula la orientación de cada fila con la fuente elegida
+ */
+function computeAttitudeTrack(rows, source) {
+    const track = [];
+
+    if (source === 'gyro') {
+        let q = getInitialAttitude(rows);
+        rows.forEach((row, index) => {
+            const rates = getBodyRates(row);
+            if (index > 0 && rates) {
+                q = integrateBodyRates(q, rates, getIntegrationStep(rows[index - 1], row));
+            }
+            track.push(createAttitudeSample(q));
+        });
+        return track;
+    }
+
+    // Los ángulos registrados no incluyen guiñada: se integra con la cinemática de Euler si hay giróscopo
+    const [rollColumn, pitchColumn] = attitudeSources[source].angles;
+    let yaw = 0;
+    let previous = null;
+    rows.forEach((row, index) => {
+        const roll = parseFloat(row[rollColumn]) * Math.PI / 180;
+        const pitch = parseFloat(row[pitchColumn]) * Math.PI / 180;
+        if (isNaN(roll) || isNaN(pitch)) {
+            track.push(previous);
+            return;
+        }
+
+        const rates = getBodyRates(row);
+        if (index > 0 && rates && Math.abs(Math.cos(pitch)) > 1e-3) {
+            const yawRate = (rates[1] * Math.sin(roll) + rates[2] * Math.cos(roll)) / Math.cos(pitch);
+            yaw += yawRate * getIntegrationStep(rows[index - 1], row);
+            yaw = Math.atan2(Math.sin(yaw), Math.cos(yaw));
+        }
+
+        previous = createAttitudeSample(quaternionFromEuler(roll, pitch, yaw));
+        track.push(previous);
+    });
+    return track;
+}
+
+/**
+ * Vértices y caras del cilindro que representa el CanSat (eje longitudinal = Z del cuerpo)
+ */
+function buildCylinderMesh() {
+    const { cylinderSegments, cylinderRadius, cylinderHeight } = attitudeViewSettings;
+    const vertices = [];
+    const faces = { i: [], j: [], k: [] };
+    const addFace = (a, b, c) => {
+        faces.i.push(a);
+        faces.j.push(b);
+        faces.k.push(c);
+    };
+
+    [-cylinderHeight / 2, cylinderHeight / 2].forEach(z => {
+        for (let segment = 0; segment < cylinderSegments; segment++) {
+            const angle = 2 * Math.PI * segment / cylinderSegments;
+            vertices.push([cylinderRadius * Math.cos(angle), cylinderRadius * Math.sin(angle), z]);
+        }
+    });
+    const bottomCenter = vertices.push([0, 0, -cylinderHeight / 2]) - 1;
+    const topCenter = vertices.push([0, 0, cylinderHeight / 2]) - 1;
+
+    for (let segment = 0; segment < cylinderSegments; segment++) {
+        const next = (segment + 1) % cylinderSegments;
+        const top = segment + cylinderSegments;
+        const topNext = next + cylinderSegments;
+        addFace(segment, next, topNext);
+        addFace(segment, topNext, top);
+        addFace(bottomCenter, next, segment);
+        addFace(topCenter, top, topNext);
+    }
+
+    return { vertices, faces };
+}
+
+/**
+ * Geometría en ejes del mundo para una orientación: cilindro y tríada de ejes del cuerpo
+ */
+function buildAttitudeGeometry(q) {
+    const toColumns = points => ({
+        x: points.map(point => point[0]),
+        y: points.map(point => point[1]),
+        z: points.map(point => point[2])
+    });
+    const body = toColumns(attitudeView.mesh.vertices.map(vertex => rotateByQuaternion(q, vertex)));
+    const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(axis =>
+        toColumns([[0, 0, 0], rotateByQuaternion(q, axis.map(component => component * attitudeViewSettings.axisLength))]));
+    return { body, axes };
+}
+
+/**
+ * Habilita solo las fuentes de orientación disponibles en el vuelo activo
+ */
+function populateAttitudeSourceSelect() {
+    const select = document.getElementById('attitudeSource');
+    const available = Object.keys(attitudeSources).filter(key =>
+        attitudeSources[key].requires.every(column => csvHeaders.includes(column)));
+    const current = available.includes(select.value) ? select.value : available[0];
+
+    select.innerHTML = Object.entries(attitudeSources).map(([key, source]) =>
+        `<option value="${key}" ${available.includes(key) ? '' : 'disabled'} ${key === current ? 'selected' : ''}>${source.label}</option>`
+    ).join('');
+    select.value = current || '';
+    return available.length > 0;
+}
+
+/**
+ * Alterna la visualización de la orientación 3D
+ */
+function toggleAttitudeView() {
+    const attitudeContent = document.getElementById('attitudeContent');
+    const attitudeBtn = document.getElementById('attitudeBtn');
+
+    if (attitudeContent.style.display === 'none' || attitudeContent.style.display === '') {
+        attitudeContent.style.display = 'block';
+        attitudeBtn.classList.add('active');
+        attitudeBtn.textContent = 'Ocultar Orientación 3D';
+
+        generateAttitudeView();
+    } else {
+        attitudeContent.style.display = 'none';
+        attitudeBtn.classList.remove('active');
+        attitudeBtn.textContent = 'Orientación 3D';
+    }
+}
+
+/**
+ * Calcula la orientación del vuelo y dibuja la vista 3D en el instante de la reproducción
+ */
+function generateAttitudeView() {
+    if (!csvData || !populateAttitudeSourceSelect()) {
+        attitudeView.track = null;
+        document.getElementById('attitudeReadout').innerHTML = '<p class="descent-empty">Se necesitan Roll_deg y Pitch_deg, ángulos recalculados o Gyro_X/Y/Z_deg_s con Tiempo_ms</p>';
+        Plotly.purge('attitudeChart');
+        return;
+    }
+
+    attitudeView.mesh = attitudeView.mesh || buildCylinderMesh();
+    attitudeView.track = computeAttitudeTrack(csvData, document.getElementById('attitudeSource').value);
+
+    // Recorrido de la punta del eje longitudinal: muestra conificación y volteretas
+    const tip = attitudeView.track.filter(Boolean).map(sample => rotateByQuaternion(sample.q, [0, 0, attitudeViewSettings.axisLength]));
+    const geometry = buildAttitudeGeometry([1, 0, 0, 0]);
+    const axisColors = ['#ff4444', '#00ff88', '#0088ff'];
+
+    const traces = [
+        {
+            type: 'mesh3d',
+            ...geometry.body,
+            ...attitudeView.mesh.faces,
+            color: '#cccccc',
+            opacity: 0.6,
+            flatshading: true,
+            name: 'CanSat',
+            hoverinfo: 'skip'
+        },
+        ...geometry.axes.map((axis, index) => ({
+            type: 'scatter3d',
+            mode: 'lines',
+            ...axis,
+            line: { color: axisColors[index], width: 8 },
+            name: `Eje ${'XYZ'[index]} del cuerpo`,
+            hoverinfo: 'skip'
+        })),
+        {
+            type: 'scatter3d',
+            mode: 'lines',
+            x: tip.map(point => point[0]),
+            y: tip.map(point => point[1]),
+            z: tip.map(point => point[2]),
+            line: { color: 'rgba(255, 170, 0, 0.4)', width: 2 },
+            name: 'Recorrido del eje Z',
+            hoverinfo: 'skip'
+        }
+    ];
+
+    const axisLayout = title => ({
+        title,
+        range: [-1, 1],
+        color: '#ffffff',
+        gridcolor: '#2a2a2a',
+        backgroundcolor: '#0a0a0a',
+        showbackground: true
+    });
+    const layout = {
+        scene: {
+            xaxis: axisLayout('X'),
+            yaxis: axisLayout('Y'),
+            zaxis: axisLayout('Z (arriba)'),
+            aspectmode: 'cube',
+            camera: { eye: { x: 1.4, y: 1.4, z: 0.9 } }
+        },
+        paper_bgcolor: '#0a0a0a',
+        font: { family: 'Roboto, sans-serif', color: '#ffffff' },
+        margin: { l: 0, r: 0, t: 40, b: 0 },
+        showlegend: true,
+        legend: { x: 0.5, y: 1.01, xanchor: 'center', yanchor: 'bottom', orientation: 'h', font: { color: '#ffffff' } },
+        uirevision: 'attitude'
+    };
+
+    Plotly.newPlot('attitudeChart', traces, layout, { responsive: true, displaylogo: false });
+
+    const position = replayState.samples.length > 0 ? replayState.samples[replayState.position].index : 0;
+    updateAttitudeView(position);
+}
+
+/**
+ * Orienta el cuerpo 3D según la fila indicada y actualiza su lectura
+ */
+function updateAttitudeView(rowIndex) {
+    if (!attitudeView.track || !isChartRendered('attitudeChart')) {
+        return;
+    }
+    const sample = attitudeView.track[rowIndex];
+    const readout = document.getElementById('attitudeReadout');
+    if (!sample) {
+        readout.innerHTML = '<p class="descent-empty">Sin orientación válida en este instante</p>';
+        return;
+    }
+
+    const geometry = buildAttitudeGeometry(sample.q);
+    Plotly.restyle('attitudeChart', {
+        x: [geometry.body.x, ...geometry.axes.map(axis => axis.x)],
+        y: [geometry.body.y, ...geometry.axes.map(axis => axis.y)],
+        z: [geometry.body.z, ...geometry.axes.map(axis => axis.z)]
+    }, [0, 1, 2, 3]);
+
+    // Inclinación del eje longitudinal respecto a la vertical
+    const bodyZ = rotateByQuaternion(sample.q, [0, 0, 1]);
+    const tilt = Math.acos(Math.max(-1, Math.min(1, bodyZ[2]))) * 180 / Math.PI;
+    const spinRate = parseFloat(csvData[rowIndex]['Gyro_Z_deg_s']);
+    const angleUnit = getUnitForVariable('Roll_deg');
+    const metrics = [
+        { label: 'Roll', value: formatValue(toDisplayValue('Roll_deg', sample.roll), angleUnit) },
+        { label: 'Pitch', value: formatValue(toDisplayValue('Pitch_deg', sample.pitch), angleUnit) },
+        { label: 'Yaw (estimado)', value: formatValue(toDisplayValue('Roll_deg', sample.yaw), angleUnit) },
+        { label: 'Inclinación', value: formatValue(toDisplayValue('Roll_deg', tilt), angleUnit) },
+        { label: 'Giro (Gyro_Z)', value: isNaN(spinRate) ? '-' : formatValue(toDisplayValue('Gyro_Z_deg_s', spinRate), getUnitForVariable('Gyro_Z_deg_s')) }
+    ];
+
+    readout.innerHTML = `<div class="apogee-metrics">${metrics.map(metric => `
+        <div class="apogee-metric">
+            <div class="apogee-metric-label">${metric.label}</div>
+            <div class="apogee-metric-value">${metric.value}</div>
+        </div>
+    `).join('')}</div>`;
+}
+
+/**
+ * Muestra la sección de orientación 3D
+ */
+function showAttitudeSection() {
+    document.getElementById('attitudeSection').style.display = 'block';
+}
+
+// Parámetros por defecto de los filtros de orientación
+const attitudeEstimationSettings = {
+    complementaryTimeConstant: 1,  // s; mayor confía más en el giróscopo
+    madgwickBeta: 0.1,             // Ganancia de corrección del acelerómetro en Madgwick
+    accelGate: 0.15,               // Fracción de desviación de |a| respecto a g para aceptar el acelerómetro
+    gravity: 9.80665
+};
+
+// Filtros de re-estimación, las columnas que generan y su color en la gráfica
+const attitudeEstimators = {
+    complementary: { label: 'Complementario', roll: 'Roll_CF_deg', pitch: 'Pitch_CF_deg', color: '#ffaa00' },
+    madgwick: { label: 'Madgwick', roll: 'Roll_MW_deg', pitch: 'Pitch_MW_deg', color: '#0088ff' }
+};
+
+/**
+ * Indica si el acelerómetro mide solo gravedad (sin impulso ni choques) y sirve de referencia
+ */
+function isGravityReference(accel, gate) {
+    const magnitude = Math.hypot(accel[0], accel[1], accel[2]);
+    return Math.abs(magnitude - attitudeEstimationSettings.gravity) <= gate * attitudeEstimationSettings.gravity;
+}
+
+/**
+ * Filtro complementario: integra el giróscopo y lo corrige hacia la inclinación del acelerómetro
+ */
+function runComplementaryFilter(rows, timeConstant, gate) {
+    const initial = quaternionToEuler(getAccelerometerAttitude(rows));
+    let roll = initial.roll;
+    let pitch = initial.pitch;
+    let rejected = 0;
+
+    const angles = rows.map((row, index) => {
+        const rates = getBodyRates(row);
+        const dt = index > 0 ? getIntegrationStep(rows[index - 1], row) : 0;
+        if (rates && dt > 0) {
+            // Cinemática de Euler: velocidades del cuerpo a derivadas de roll y pitch
+            const [p, q, r] = rates;
+            roll += (p + Math.tan(pitch) * (q * Math.sin(roll) + r * Math.cos(roll))) * dt;
+            pitch += (q * Math.cos(roll) - r * Math.sin(roll)) * dt;
+        }
+
+        const accel = getBodyAcceleration(row);
+        if (accel && isGravityReference(accel, gate)) {
+            const tilt = accelerometerTilt(accel[0], accel[1], accel[2]);
+            const alpha = dt > 0 ? timeConstant / (timeConstant + dt) : 0;
+            // El roll se mezcla por el camino angular más corto para no saltar en ±180°
+            const rollError = Math.atan2(Math.sin(tilt.roll - roll), Math.cos(tilt.roll - roll));
+            roll += (1 - alpha) * rollError;
+            pitch = alpha * pitch + (1 - alpha) * tilt.pitch;
+        } else if (accel) {
+            rejected++;
+        }
+
+        roll = Math.atan2(Math.sin(roll), Math.cos(roll));
+        return { roll: roll * 180 / Math.PI, pitch: pitch * 180 / Math.PI };
+    });
+
+    return { angles, rejected };
+}
+
+/**
+ * Filtro de Madgwick (versión IMU sin magnetómetro) con ganancia beta
+ */
+function runMadgwickFilter(rows, beta, gate) {
+    let q = getAccelerometerAttitude(rows);
+    let rejected = 0;
+
+    const angles = rows.map((row, index) => {
+        const rates = getBodyRates(row);
+        const dt = index > 0 ? getIntegrationStep(rows[index - 1], row) : 0;
+        const accel = getBodyAcceleration(row);
+
+        if (rates && dt > 0) {
+            const [q0, q1, q2, q3] = q;
+            const [gx, gy, gz] = rates;
+            // Derivada del cuaternión por el giróscopo
+            const qDot = [
+                0.5 * (-q1 * gx - q2 * gy - q3 * gz),
+                0.5 * (q0 * gx + q2 * gz - q3 * gy),
+                0.5 * (q0 * gy - q1 * gz + q3 * gx),
+                0.5 * (q0 * gz + q1 * gy - q2 * gx)
+            ];
+
+            if (accel && isGravityReference(accel, gate)) {
+                const norm = Math.hypot(accel[0], accel[1], accel[2]);
+                const [ax, ay, az] = accel.map(value => value / norm);
+                // Gradiente de la función objetivo entre la gravedad estimada y la medida
+                const step = [
+                    4 * q0 * q2 * q2 + 2 * q2 * ax + 4 * q0 * q1 * q1 - 2 * q1 * ay,
+                    4 * q1 * q3 * q3 - 2 * q3 * ax + 4 * q0 * q0 * q1 - 2 * q0 * ay - 4 * q1 + 8 * q1 * q1 * q1 + 8 * q1 * q2 * q2 + 4 * q1 * az,
+                    4 * q0 * q0 * q2 + 2 * q0 * ax + 4 * q2 * q3 * q3 - 2 * q3 * ay - 4 * q2 + 8 * q2 * q1 * q1 + 8 * q2 * q2 * q2 + 4 * q2 * az,
+                    4 * q1 * q1 * q3 - 2 * q1 * ax + 4 * q2 * q2 * q3 - 2 * q2 * ay
+                ];
+                const stepNorm = Math.hypot(step[0], step[1], step[2], step[3]);
+                if (stepNorm > 0) {
+                    step.forEach((value, i) => {
+                        qDot[i] -= beta * value / stepNorm;
+                    });
+                }
+            } else if (accel) {
+                rejected++;
+            }
+
+            q = normalizeQuaternion(q.map((value, i) => value + qDot[i] * dt));
+        }
+
+        const euler = quaternionToEuler(q);
+        return { roll: euler.roll * 180 / Math.PI, pitch: euler.pitch * 180 / Math.PI };
+    });
+
+    return { angles, rejected };
+}
+
+/**
+ * Diferencia RMS en grados entre dos series de ángulos (envolviendo a ±180°)
+ */
+function computeAngleRms(estimated, logged) {
+    const differences = [];
+    estimated.forEach((value, index) => {
+        if (!isNaN(value) && !isNaN(logged[index])) {
+            const difference = ((value - logged[index]) % 360 + 540) % 360 - 180;
+            differences.push(difference);
+        }
+    });
+    if (differences.length === 0) {
+        return NaN;
+    }
+    return Math.sqrt(differences.reduce((sum, value) => sum + value * value, 0) / differences.length);
+}
+
+/**
+ * Alterna la visualización de la re-estimación de orientación
+ */
+function toggleAttitudeEstimation() {
+    const attitudeEstimateContent = document.getElementById('attitudeEstimateContent');
+    const attitudeEstimateBtn = document.getElementById('attitudeEstimateBtn');
+
+    if (attitudeEstimateContent.style.display === 'none' || attitudeEstimateContent.style.display === '') {
+        attitudeEstimateContent.style.display = 'block';
+        attitudeEstimateBtn.classList.add('active');
+        attitudeEstimateBtn.textContent = 'Ocultar Re-estimación';
+
+        estimateAttitude();
+    } else {
+        attitudeEstimateContent.style.display = 'none';
+        attitudeEstimateBtn.classList.remove('active');
+        attitudeEstimateBtn.textContent = 'Re-estimar Orientación';
+    }
+}
+
+/**
+ * Informa de que un panel no se puede calcular con el vuelo activo. Al pulsar el botón se avisa con un alert;
+ * al refrescar las vistas (cambio de unidades o de vuelo) el mensaje sustituye en el panel al resultado anterior
+ */
+function showPanelUnavailable(message, overviewId, chartIds, fromRefresh) {
+    if (!fromRefresh) {
+        alert(`❌ ${message}`);
+        return;
+    }
+    document.getElementById(overviewId).innerHTML = `<p class="descent-empty">${message}</p>`;
+    chartIds.forEach(chartId => Plotly.purge(chartId));
+}
+
+/**
+ * Recalcula la orientación con ambos filtros, guarda las columnas y la compara con la registrada
+ */
+function estimateAttitude(fromRefresh = false) {
+    const required = ['Tiempo_ms', 'Accel_X_m_s2', 'Accel_Y_m_s2', 'Accel_Z_m_s2', 'Gyro_X_deg_s', 'Gyro_Y_deg_s', 'Gyro_Z_deg_s'];
+    const missing = csvData ? required.filter(column => !csvHeaders.includes(column)) : required;
+    if (missing.length > 0) {
+        showPanelUnavailable(`Faltan las variables necesarias para re-estimar la orientación: ${missing.join(', ')}`,
+            'attitudeEstimateOverview', ['attitudeEstimateChart'], fromRefresh);
+        return;
+    }
+
+    const readSetting = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return value >= 0 ? value : fallback;
+    };
+    const timeConstant = readSetting('cfTimeConstant', attitudeEstimationSettings.complementaryTimeConstant);
+    const beta = readSetting('madgwickBeta', attitudeEstimationSettings.madgwickBeta);
+    const gate = readSetting('accelGate', attitudeEstimationSettings.accelGate * 100) / 100;
+
+    const results = {
+        complementary: runComplementaryFilter(csvData, timeConstant, gate),
+        madgwick: runMadgwickFilter(csvData, beta, gate)
+    };
+
+    Object.entries(attitudeEstimators).forEach(([key, estimator]) => {
+        addDerivedColumn(estimator.roll, results[key].angles.map(angle => angle.roll));
+        addDerivedColumn(estimator.pitch, results[key].angles.map(angle => angle.pitch));
+    });
+
+    const hasLoggedAttitude = ['Roll_deg', 'Pitch_deg'].every(column =>
+        csvHeaders.includes(column) && csvData.some(row => isFinite(parseFloat(row[column]))));
+    const logged = hasLoggedAttitude
+        ? { roll: getNumericColumn(csvData, 'Roll_deg'), pitch: getNumericColumn(csvData, 'Pitch_deg') }
+        : null;
+
+    displayAttitudeEstimateOverview(results, logged);
+    generateAttitudeEstimateChart(results, logged);
+
+    // La vista 3D puede usar las columnas recién calculadas
+    if (document.getElementById('attitudeContent').style.display !== 'none') {
+        generateAttitudeView();
+    }
+}
+
+/**
+ * Muestra la diferencia RMS de cada filtro frente a la orientación registrada
+ */
+function displayAttitudeEstimateOverview(results, logged) {
+    const overviewContainer = document.getElementById('attitudeEstimateOverview');
+    const angleUnit = getDisplayUnitSymbol('angle');
+    const accelSamples = csvData.filter(row => getBodyAcceleration(row)).length;
+    const cards = [];
+
+    Object.entries(attitudeEstimators).forEach(([key, estimator]) => {
+        if (logged) {
+            const rollRms = computeAngleRms(results[key].angles.map(angle => angle.roll), logged.roll);
+            const pitchRms = computeAngleRms(results[key].angles.map(angle => angle.pitch), logged.pitch);
+            cards.push({ title: `RMS Roll · ${estimator.label}`, value: toDisplayUnit(rollRms, 'angle'), unit: angleUnit });
+            cards.push({ title: `RMS Pitch · ${estimator.label}`, value: toDisplayUnit(pitchRms, 'angle'), unit: angleUnit });
+        }
+    });
+    cards.push({
+        title: 'Acelerómetro Descartado',
+        value: accelSamples > 0 ? results.complementary.rejected / accelSamples * 100 : NaN,
+        unit: '%'
+    });
+
+    const columns = Object.values(attitudeEstimators).map(estimator => `<strong>${estimator.roll}</strong>, <strong>${estimator.pitch}</strong>`).join(', ');
+    overviewContainer.innerHTML = `
+        <h3>Orientación Recalculada</h3>
+        <div class="apogee-grid">
+            ${cards.map(card => `
+                <div class="apogee-card">
+                    <div class="apogee-card-title">${card.title}</div>
+                    <div class="apogee-card-value">${isNaN(card.value) ? '-' : card.value.toFixed(2)}<span class="apogee-card-unit">${card.unit}</span></div>
+                </div>
+            `).join('')}
+        </div>
+        <p class="attitude-note">Canales ${columns} agregados al conjunto de datos.
+            ${logged ? 'RMS = diferencia frente a Roll_deg / Pitch_deg registrados.' : 'El archivo no tiene Roll_deg / Pitch_deg: use los canales recalculados como orientación del vuelo.'}
+            Las muestras con |a| lejos de g (impulso, choques) solo se integran con el giróscopo.</p>
+    `;
+}
+
+/**
+ * Grafica roll y pitch recalculados frente a los registrados, en dos paneles
+ */
+function generateAttitudeEstimateChart(results, logged) {
+    const times = getNumericColumn(csvData, 'Tiempo_ms');
+    const angleUnit = getDisplayUnitSymbol('angle');
+    const traces = [];
+
+    ['roll', 'pitch'].forEach((angle, panel) => {
+        const yaxis = panel === 0 ? 'y' : 'y2';
+        if (logged) {
+            traces.push({
+                x: times,
+                y: logged[angle].map(value => toDisplayUnit(value, 'angle')),
+                mode: 'lines',
+                type: 'scatter',
+                name: `${panel === 0 ? 'Roll' : 'Pitch'} registrado`,
+                yaxis,
+                line: { color: greenPalette.neon, width: 2 }
+            });
+        }
+        Object.entries(attitudeEstimators).forEach(([key, estimator]) => {
+            traces.push({
+                x: times,
+                y: results[key].angles.map(sample => toDisplayUnit(sample[angle], 'angle')),
+                mode: 'lines',
+                type: 'scatter',
+                name: `${panel === 0 ? 'Roll' : 'Pitch'} ${estimator.label}`,
+                yaxis,
+                line: { color: estimator.color, width: 1 }
+            });
+        });
+    });
+
+    const layout = buildChartLayout('Orientación Registrada vs Recalculada', 'Tiempo (ms)', `Roll (${angleUnit})`);
+    layout.yaxis.domain = [0.55, 1];
+    layout.yaxis2 = Object.assign({}, layout.yaxis, {
+        title: { text: `Pitch (${angleUnit})`, font: layout.yaxis.title.font },
+        domain: [0, 0.45]
+    });
+
+    Plotly.newPlot('attitudeEstimateChart', traces, layout, defaultChartConfig);
+}
+
+/**
+ * Muestra la sección de re-estimación de orientación
+ */
+function showAttitudeEstimateSection() {
+    document.getElementById('attitudeEstimateSection').style.display = 'block';
+}
+
+// Parámetros por defecto del estimador de cinemática vertical
+const verticalKalmanSettings = {
+    altitudeNoise: 1,       // m; desviación de la medida de altitud
+    accelNoise: 0.5,        // m/s²; desviación de la aceleración vertical medida
+    jerkNoise: 10,          // m/s³; ruido de proceso del modelo de aceleración constante
+    maxStep: 1000           // ms; tras un hueco mayor no se integra y la velocidad y la aceleración se reinician
+};
+
+// Canales que genera el estimador
+const verticalKalmanChannels = {
+    altitude: 'Altitud_Kalman_m',
+    velocity: 'Velocidad_Vertical_m_s',
+    acceleration: 'Aceleracion_Vertical_m_s2'
+};
+
+/**
+ * Producto de dos matrices 3×3 guardadas por filas; con transposeB se multiplica por la traspuesta de b
+ */
+function multiply3x3(a, b, transposeB = false) {
+    const out = new Float64Array(9);
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            out[r * 3 + c] = transposeB
+                ? a[r * 3] * b[c * 3] + a[r * 3 + 1] * b[c * 3 + 1] + a[r * 3 + 2] * b[c * 3 + 2]
+                : a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+        }
+    }
+    return out;
+}
+
+/**
+ * Inversa de una matriz 3×3 guardada por filas, por cofactores
+ */
+function invert3x3(m) {
+    const c00 = m[4] * m[8] - m[5] * m[7];
+    const c01 = m[5] * m[6] - m[3] * m[8];
+    const c02 = m[3] * m[7] - m[4] * m[6];
+    const det = m[0] * c00 + m[1] * c01 + m[2] * c02;
+    return Float64Array.of(
+        c00 / det, (m[2] * m[7] - m[1] * m[8]) / det, (m[1] * m[5] - m[2] * m[4]) / det,
+        c01 / det, (m[0] * m[8] - m[2] * m[6]) / det, (m[2] * m[3] - m[0] * m[5]) / det,
+        c02 / det, (m[1] * m[6] - m[0] * m[7]) / det, (m[0] * m[4] - m[1] * m[3]) / det
+    );
+}
+
+/**
+ * Aceleración vertical medida (m/s², sin gravedad) de cada fila, proyectando el acelerómetro con la orientación disponible
+ */
+function getVerticalAcceleration(rows) {
+    const attitudeSource = ['logged', 'madgwick', 'complementary'].find(key =>
+        attitudeSources[key].requires.every(column => csvHeaders.includes(column)));
+    const track = attitudeSource ? computeAttitudeTrack(rows, attitudeSource) : null;
+    const gravity = attitudeEstimationSettings.gravity;
+
+    const values = rows.map((row, index) => {
+        const accel = getBodyAcceleration(row);
+        if (!accel) {
+            return NaN;
+        }
+        // Sin orientación se asume el eje Z del cuerpo vertical
+        if (!track || !track[index]) {
+            return accel[2] - gravity;
+        }
+        return rotateByQuaternion(track[index].q, accel)[2] - gravity;
+    });
+
+    return { values, attitudeSource };
+}
+
+/**
+ * Filtro de Kalman de altitud, velocidad y aceleración con suavizado Rauch-Tung-Striebel.
+ * Los estados y covarianzas de cada fila se guardan en arrays tipados (covarianzas 3×3 por filas)
+ */
+function runVerticalKalman(times, altitudes, accelerations, settings) {
+    const n = times.length;
+    const first = altitudes.findIndex(value => !isNaN(value));
+    if (first === -1) {
+        return null;
+    }
+
+    const initialCovariance = [settings.altitudeNoise ** 2, 0, 0, 0, 100, 0, 0, 0, 100];
+    const q = settings.jerkNoise ** 2;
+    const altitudeVariance = settings.altitudeNoise ** 2;
+    const accelVariance = settings.accelNoise ** 2;
+
+    const filteredX = new Float64Array(n * 3);
+    const filteredP = new Float64Array(n * 9);
+    const predictedX = new Float64Array(n * 3);
+    const predictedP = new Float64Array(n * 9);
+    const steps = new Float64Array(n);
+    // Filas tras un hueco mayor que maxStep: la predicción se reinicia y el suavizado no lo cruza
+    const resets = new Uint8Array(n);
+
+    const x = Float64Array.of(altitudes[first], 0, 0);
+    const P = Float64Array.from(initialCovariance);
+
+    for (let i = 0; i < n; i++) {
+        const dtMs = i > 0 ? times[i] - times[i - 1] : 0;
+        const dt = dtMs > 0 && dtMs <= settings.maxStep ? dtMs / 1000 : 0;
+        steps[i] = dt;
+
+        if (dtMs > settings.maxStep) {
+            // Hueco: sin integrar, con la velocidad y la aceleración otra vez desconocidas
+            resets[i] = 1;
+            x[1] = 0;
+            x[2] = 0;
+            P.set(initialCovariance);
+        } else if (dt > 0) {
+            // Predicción con modelo de aceleración constante y ruido de sacudida blanco: x = F·x, P = F·P·Fᵀ + Q
+            const half = dt * dt / 2;
+            x[0] += dt * x[1] + half * x[2];
+            x[1] += dt * x[2];
+            const F = Float64Array.of(1, dt, half, 0, 1, dt, 0, 0, 1);
+            const predicted = multiply3x3(multiply3x3(F, P), F, true);
+            const dt2 = dt * dt;
+            const dt3 = dt2 * dt;
+            const Q = [dt3 * dt2 / 20, dt2 * dt2 / 8, dt3 / 6, dt2 * dt2 / 8, dt3 / 3, dt2 / 2, dt3 / 6, dt2 / 2, dt];
+            for (let k = 0; k < 9; k++) {
+                P[k] = predicted[k] + Q[k] * q;
+            }
+        }
+        predictedX.set(x, i * 3);
+        predictedP.set(P, i * 9);
+
+        // Actualización con las medidas disponibles en la fila; con ruidos independientes
+        // equivale a aplicar cada medida por separado (H selecciona una sola componente)
+        const update = (component, measurement, variance) => {
+            const innovation = measurement - x[component];
+            const s = P[component * 3 + component] + variance;
+            const gain = [P[component] / s, P[3 + component] / s, P[6 + component] / s];
+            const row = [P[component * 3], P[component * 3 + 1], P[component * 3 + 2]];
+            for (let r = 0; r < 3; r++) {
+                x[r] += gain[r] * innovation;
+                for (let c = 0; c < 3; c++) {
+                    P[r * 3 + c] -= gain[r] * row[c];
+                }
+            }
+        };
+        if (i >= first && !isNaN(altitudes[i])) {
+            update(0, altitudes[i], altitudeVariance);
+        }
+        if (!isNaN(accelerations[i])) {
+            update(2, accelerations[i], accelVariance);
+        }
+
+        filteredX.set(x, i * 3);
+        filteredP.set(P, i * 9);
+    }
+
+    // Suavizado hacia atrás: cada estado aprovecha también las medidas posteriores
+    const result = {
+        altitude: new Array(n),
+        velocity: new Array(n),
+        acceleration: new Array(n),
+        altitudeSigma: new Array(n),
+        velocitySigma: new Array(n),
+        accelerationSigma: new Array(n)
+    };
+    let smoothedX = filteredX.slice((n - 1) * 3);
+    let smoothedP = filteredP.slice((n - 1) * 9);
+    const store = index => {
+        result.altitude[index] = smoothedX[0];
+        result.velocity[index] = smoothedX[1];
+        result.acceleration[index] = smoothedX[2];
+        result.altitudeSigma[index] = Math.sqrt(Math.max(smoothedP[0], 0));
+        result.velocitySigma[index] = Math.sqrt(Math.max(smoothedP[4], 0));
+        result.accelerationSigma[index] = Math.sqrt(Math.max(smoothedP[8], 0));
+    };
+    store(n - 1);
+
+    for (let i = n - 2; i >= 0; i--) {
+        const xi = filteredX.subarray(i * 3, i * 3 + 3);
+        const Pi = filteredP.subarray(i * 9, i * 9 + 9);
+        if (resets[i + 1]) {
+            smoothedX = xi.slice();
+            smoothedP = Pi.slice();
+            store(i);
+            continue;
+        }
+
+        // C = P·Fᵀ·P⁻¹pred; x = x + C·(x_s − x_pred); P = P + C·(P_s − P_pred)·Cᵀ
+        const dt = steps[i + 1];
+        const F = Float64Array.of(1, dt, dt * dt / 2, 0, 1, dt, 0, 0, 1);
+        const C = multiply3x3(multiply3x3(Pi, F, true), invert3x3(predictedP.subarray((i + 1) * 9, (i + 2) * 9)));
+        const dx = [0, 1, 2].map(r => smoothedX[r] - predictedX[(i + 1) * 3 + r]);
+        const dP = smoothedP.map((value, k) => value - predictedP[(i + 1) * 9 + k]);
+        const correction = multiply3x3(multiply3x3(C, dP), C, true);
+
+        smoothedX = Float64Array.from([0, 1, 2], r => xi[r] + C[r * 3] * dx[0] + C[r * 3 + 1] * dx[1] + C[r * 3 + 2] * dx[2]);
+        smoothedP = Pi.map((value, k) => value + correction[k]);
+        store(i);
+    }
+
+    return result;
+}
+
+/**
+ * Velocidad máxima de ascenso y fin de la propulsión a partir de la cinemática estimada
+ */
+function computeVerticalKinematicsMetrics(result, times) {
+    let maxVelocityIndex = 0;
+    result.velocity.forEach((velocity, index) => {
+        if (velocity > result.velocity[maxVelocityIndex]) {
+            maxVelocityIndex = index;
+        }
+    });
+
+    let maxAccelIndex = 0;
+    for (let i = 0; i < maxVelocityIndex; i++) {
+        if (result.acceleration[i] > result.acceleration[maxAccelIndex]) {
+            maxAccelIndex = i;
+        }
+    }
+
+    // Fin de la propulsión: la aceleración vertical pasa a negativa tras el máximo de empuje
+    let burnoutIndex = null;
+    for (let i = maxAccelIndex; i <= maxVelocityIndex + 1 && i < times.length; i++) {
+        if (result.acceleration[i] <= 0) {
+            burnoutIndex = i;
+            break;
+        }
+    }
+
+    const launchTime = flightEvents ? times[flightEvents.launchIndex] : times[0];
+    return {
+        maxVelocity: result.velocity[maxVelocityIndex],
+        maxVelocityTime: times[maxVelocityIndex],
+        maxAcceleration: result.acceleration[maxAccelIndex],
+        burnoutTime: burnoutIndex !== null ? times[burnoutIndex] : NaN,
+        burnAfterLaunch: burnoutIndex !== null ? (times[burnoutIndex] - launchTime) / 1000 : NaN,
+        apogee: result.altitude.reduce((max, value) => (value > max ? value : max), -Infinity)
+    };
+}
+
+/**
+ * Pobla la fuente de altitud del estimador con las series de altitud del vuelo
+ */
+function populateKinematicsAltitudeSelect() {
+    const select = document.getElementById('kinematicsAltitudeSource');
+    const previous = select.value;
+    const sources = csvHeaders.filter(header =>
+        (header === 'Altitud_m' || header.startsWith('Altitud_')) && header !== verticalKalmanChannels.altitude);
+
+    select.innerHTML = sources.map(header => `<option value="${header}">${header}</option>`).join('');
+    select.value = sources.includes(previous) ? previous : (sources[0] || '');
+}
+
+/**
+ * Alterna la visualización de la cinemática vertical
+ */
+function toggleVerticalKinematics() {
+    const kinematicsContent = document.getElementById('kinematicsContent');
+    const kinematicsBtn = document.getElementById('kinematicsBtn');
+
+    if (kinematicsContent.style.display === 'none' || kinematicsContent.style.display === '') {
+        kinematicsContent.style.display = 'block';
+        kinematicsBtn.classList.add('active');
+        kinematicsBtn.textContent = 'Ocultar Cinemática Vertical';
+
+        populateKinematicsAltitudeSelect();
+        analyzeVerticalKinematics();
+    } else {
+        kinematicsContent.style.display = 'none';
+        kinematicsBtn.classList.remove('active');
+        kinematicsBtn.textContent = 'Cinemática Vertical';
+    }
+}
+
+/**
+ * Estima altitud, velocidad y aceleración verticales, agrega los canales y muestra los resultados
+ */
+function analyzeVerticalKinematics(fromRefresh = false) {
+    populateKinematicsAltitudeSelect();
+    const altitudeColumn = document.getElementById('kinematicsAltitudeSource').value;
+    if (!csvData || !altitudeColumn || !csvHeaders.includes('Tiempo_ms')) {
+        showPanelUnavailable('Se necesitan Tiempo_ms y una serie de altitud (Altitud_m o Altitud_Baro_m)',
+            'kinematicsOverview', ['kinematicsChart'], fromRefresh);
+        return;
+    }
+
+    const readSetting = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return value > 0 ? value : fallback;
+    };
+    const settings = {
+        ...verticalKalmanSettings,
+        altitudeNoise: readSetting('kinematicsAltitudeNoise', verticalKalmanSettings.altitudeNoise),
+        accelNoise: readSetting('kinematicsAccelNoise', verticalKalmanSettings.accelNoise),
+        jerkNoise: readSetting('kinematicsJerkNoise', verticalKalmanSettings.jerkNoise)
+    };
+
+    const times = getNumericColumn(csvData, 'Tiempo_ms');
+    const altitudes = getNumericColumn(csvData, altitudeColumn);
+    const vertical = getVerticalAcceleration(csvData);
+    const result = runVerticalKalman(times, altitudes, vertical.values, settings);
+
+    if (!result) {
+        showPanelUnavailable(`La columna ${altitudeColumn} no contiene valores numéricos`,
+            'kinematicsOverview', ['kinematicsChart'], fromRefresh);
+        return;
+    }
+
+    addDerivedColumn(verticalKalmanChannels.altitude, result.altitude);
+    addDerivedColumn(verticalKalmanChannels.velocity, result.velocity);
+    addDerivedColumn(verticalKalmanChannels.acceleration, result.acceleration);
+
+    const metrics = computeVerticalKinematicsMetrics(result, times);
+    displayVerticalKinematicsOverview(metrics, altitudeColumn, vertical);
+    generateVerticalKinematicsChart(result, times, altitudes);
+}
+
+/**
+ * Muestra las métricas de la cinemática vertical estimada
+ */
+function displayVerticalKinematicsOverview(metrics, altitudeColumn, vertical) {
+    const overviewContainer = document.getElementById('kinematicsOverview');
+    const cards = [
+        { title: 'Velocidad Máx. de Ascenso', value: toDisplayUnit(metrics.maxVelocity, 'velocity'), unit: getDisplayUnitSymbol('velocity') },
+        { title: 'Aceleración Vertical Máx.', value: toDisplayUnit(metrics.maxAcceleration, 'acceleration'), unit: getDisplayUnitSymbol('acceleration') },
+        { title: 'Fin de Propulsión', value: metrics.burnAfterLaunch, unit: 's tras despegue' },
+        { title: 'Apogeo Estimado', value: toDisplayUnit(metrics.apogee, 'length'), unit: getDisplayUnitSymbol('length') }
+    ];
+    const hasAccel = vertical.values.some(value => !isNaN(value));
+    const accelNote = !hasAccel
+        ? 'Sin acelerómetro: la estimación usa solo la altitud.'
+        : vertical.attitudeSource
+            ? `Acelerómetro proyectado a la vertical con la orientación "${attitudeSources[vertical.attitudeSource].label}".`
+            : 'Sin orientación disponible: se asume el eje Z del cuerpo vertical.';
+
+    overviewContainer.innerHTML = `
+        <h3>Cinemática Vertical (Kalman + RTS)</h3>
+        <div class="apogee-grid">
+            ${cards.map(card => `
+                <div class="apogee-card">
+                    <div class="apogee-card-title">${card.title}</div>
+                    <div class="apogee-card-value">${isNaN(card.value) ? '-' : card.value.toFixed(2)}<span class="apogee-card-unit">${card.unit}</span></div>
+                </div>
+            `).join('')}
+        </div>
+        <p class="baro-note">Canales <strong>${Object.values(verticalKalmanChannels).join('</strong>, <strong>')}</strong> estimados fusionando ${altitudeColumn} con la aceleración vertical.
+            ${accelNote} Las bandas muestran ±2σ.</p>
+    `;
+}
+
+/**
+ * Grafica altitud, velocidad y aceleración estimadas con sus bandas de incertidumbre
+ */
+function generateVerticalKinematicsChart(result, times, altitudes) {
+    const panels = [
+        { key: 'altitude', quantity: 'length', label: 'Altitud', axis: 'y', domain: [0.7, 1] },
+        { key: 'velocity', quantity: 'velocity', label: 'Velocidad', axis: 'y2', domain: [0.36, 0.64] },
+        { key: 'acceleration', quantity: 'acceleration', label: 'Aceleración', axis: 'y3', domain: [0, 0.3] }
+    ];
+    const traces = [{
+        x: times,
+        y: altitudes.map(value => toDisplayUnit(value, 'length')),
+        mode: 'markers',
+        type: 'scatter',
+        name: 'Altitud medida',
+        marker: { color: 'rgba(255, 255, 255, 0.35)', size: 3 }
+    }];
+
+    panels.forEach(panel => {
+        const values = result[panel.key];
+        const sigma = result[`${panel.key}Sigma`];
+        const band = sign => values.map((value, i) => toDisplayUnit(value + sign * 2 * sigma[i], panel.quantity));
+        traces.push({
+            x: times,
+            y: band(-1),
+            mode: 'lines',
+            type: 'scatter',
+            yaxis: panel.axis,
+            line: { width: 0 },
+            showlegend: false,
+            hoverinfo: 'skip'
+        });
+        traces.push({
+            x: times,
+            y: band(1),
+            mode: 'lines',
+            type: 'scatter',
+            yaxis: panel.axis,
+            fill: 'tonexty',
+            fillcolor: 'rgba(0, 136, 255, 0.2)',
+            line: { width: 0 },
+            name: '±2σ',
+            showlegend: panel.key === 'altitude',
+            hoverinfo: 'skip'
+        });
+        traces.push({
+            x: times,
+            y: values.map(value => toDisplayUnit(value, panel.quantity)),
+            mode: 'lines',
+            type: 'scatter',
+            yaxis: panel.axis,
+            name: `${panel.label} estimada`,
+            line: { color: panel.key === 'altitude' ? greenPalette.neon : '#0088ff', width: 2 }
+        });
+    });
+    // La altitud medida pertenece al primer panel: se dibuja encima de su banda
+    traces.push(traces.shift());
+
+    const layout = buildChartLayout('Cinemática Vertical Estimada', 'Tiempo (ms)', `Altitud (${getDisplayUnitSymbol('length')})`);
+    panels.forEach(panel => {
+        const axisKey = panel.axis === 'y' ? 'yaxis' : `yaxis${panel.axis.slice(1)}`;
+        layout[axisKey] = Object.assign({}, layout.yaxis, {
+            title: { text: `${panel.label} (${getDisplayUnitSymbol(panel.quantity)})`, font: layout.yaxis.title.font },
+            domain: panel.domain
+        });
+    });
+
+    Plotly.newPlot('kinematicsChart', traces, layout, defaultChartConfig);
+}
+
+/**
+ * Muestra la sección de cinemática vertical
+ */
+function showKinematicsSection() {
+    document.getElementById('kinematicsSection').style.display = 'block';
+}
+
+// Ventanas disponibles para el análisis espectral
+const spectralWindows = {
+    hann: { label: 'Hann', fn: (i, n) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)) },
+    hamming: { label: 'Hamming', fn: (i, n) => 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (n - 1)) },
+    blackman: { label: 'Blackman', fn: (i, n) => 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (n - 1)) },
+    rectangular: { label: 'Rectangular', fn: () => 1 }
+};
+
+// Parámetros del análisis espectral
+const spectralSettings = {
+    minPeakBins: 2,          // Bins más bajos ignorados al buscar picos (continua y deriva)
+    spectrogramOverlap: 0.5  // Solapamiento entre segmentos del espectrograma
+};
+
+/**
+ * Transformada rápida de Fourier radix-2 en el lugar (la longitud debe ser potencia de 2)
+ */
+function fft(real, imag) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = real[b] * cos - imag[b] * sin;
+                const ti = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Remuestrea una columna a paso uniforme (mediana del intervalo) para el análisis espectral
+ */
+function getUniformSeries(rows, column) {
+    const samples = rows
+        .map(row => ({ time: parseFloat(row['Tiempo_ms']), value: parseFloat(row[column]) }))
+        .filter(sample => !isNaN(sample.time) && !isNaN(sample.value))
+        .sort((a, b) => a.time - b.time);
+    if (samples.length < 8) {
+        return null;
+    }
+
+    const times = samples.map(sample => sample.time);
+    const step = median(times.slice(1).map((time, i) => time - times[i]).filter(dt => dt > 0));
+    if (!(step > 0)) {
+        return null;
+    }
+
+    const targets = [];
+    for (let t = times[0]; t <= times[times.length - 1]; t += step) {
+        targets.push(t);
+    }
+    return {
+        times: targets,
+        values: interpolateSeries(times, samples.map(sample => sample.value), targets, 'linear'),
+        sampleRate: 1000 / step
+    };
+}
+
+/**
+ * Espectro de amplitud de un solo lado con la ventana indicada (sin la media)
+ */
+function computeAmplitudeSpectrum(values, sampleRate, windowKey) {
+    const length = values.length;
+    const size = Math.pow(2, Math.ceil(Math.log2(length)));
+    const windowFn = spectralWindows[windowKey].fn;
+    const mean = values.reduce((sum, value) => sum + value, 0) / length;
+
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    let windowSum = 0;
+    for (let i = 0; i < length; i++) {
+        const weight = length > 1 ? windowFn(i, length) : 1;
+        real[i] = (values[i] - mean) * weight;
+        windowSum += weight;
+    }
+    fft(real, imag);
+
+    const bins = size / 2 + 1;
+    const frequencies = [];
+    const amplitudes = [];
+    for (let k = 0; k < bins; k++) {
+        frequencies.push(k * sampleRate / size);
+        const scale = k === 0 || k === size / 2 ? 1 : 2;
+        amplitudes.push(scale * Math.hypot(real[k], imag[k]) / windowSum);
+    }
+    return { frequencies, amplitudes };
+}
+
+/**
+ * Frecuencia del mayor pico del espectro, ignorando la componente continua
+ */
+function findDominantFrequency(spectrum) {
+    let best = -1;
+    for (let k = spectralSettings.minPeakBins; k < spectrum.amplitudes.length; k++) {
+        if (best === -1 || spectrum.amplitudes[k] > spectrum.amplitudes[best]) {
+            best = k;
+        }
+    }
+    return best === -1 ? null : { frequency: spectrum.frequencies[best], amplitude: spectrum.amplitudes[best] };
+}
+
+/**
+ * Espectrograma por segmentos solapados (amplitud en dB)
+ */
+function computeSpectrogram(series, segmentSize, windowKey) {
+    const hop = Math.max(1, Math.round(segmentSize * (1 - spectralSettings.spectrogramOverlap)));
+    const times = [];
+    const columns = [];
+    let frequencies = [];
+
+    for (let start = 0; start + segmentSize <= series.values.length; start += hop) {
+        const spectrum = computeAmplitudeSpectrum(series.values.slice(start, start + segmentSize), series.sampleRate, windowKey);
+        frequencies = spectrum.frequencies;
+        times.push(series.times[start + Math.floor(segmentSize / 2)]);
+        columns.push(spectrum.amplitudes.map(amplitude => 20 * Math.log10(amplitude + 1e-12)));
+    }
+
+    // Plotly espera z[frecuencia][tiempo]
+    const z = frequencies.map((_, k) => columns.map(column => column[k]));
+    return { times, frequencies, z };
+}
+
+/**
+ * Pobla el select de canales del análisis espectral con las columnas numéricas
+ */
+function populateSpectrumChannelSelect() {
+    const select = document.getElementById('spectrumChannel');
+    const previous = select.value;
+    const channels = csvHeaders.filter(header => header !== 'Tiempo_ms' && getNumericColumn(csvData.slice(0, 50), header).some(value => !isNaN(value)));
+
+    select.innerHTML = channels.map(header => `<option value="${header}">${header}</option>`).join('');
+    const preferred = ['Gyro_Z_deg_s', 'Accel_X_m_s2'].find(header => channels.includes(header));
+    select.value = channels.includes(previous) ? previous : (preferred || channels[0] || '');
+}
+
+/**
+ * Pobla el select de tramo del espectro con las fases detectadas
+ */
+function populateSpectrumRangeSelect() {
+    const select = document.getElementById('spectrumRange');
+    const previous = select.value;
+    const phases = flightPhases ? Object.keys(flightPhaseDefinitions).filter(key => flightPhases.includes(key)) : [];
+
+    select.innerHTML = '<option value="all">Todo el vuelo</option>' + phases.map(key =>
+        `<option value="${key}">${flightPhaseDefinitions[key].label}</option>`).join('');
+    select.value = phases.includes(previous) ? previous : 'all';
+}
+
+/**
+ * Alterna la visualización del análisis espectral
+ */
+function toggleSpectralAnalysis() {
+    const spectrumContent = document.getElementById('spectrumContent');
+    const spectrumBtn = document.getElementById('spectrumBtn');
+
+    if (spectrumContent.style.display === 'none' || spectrumContent.style.display === '') {
+        spectrumContent.style.display = 'block';
+        spectrumBtn.classList.add('active');
+        spectrumBtn.textContent = 'Ocultar Análisis Espectral';
+
+        populateSpectrumChannelSelect();
+        populateSpectrumRangeSelect();
+        analyzeSpectrum();
+    } else {
+        spectrumContent.style.display = 'none';
+        spectrumBtn.classList.remove('active');
+        spectrumBtn.textContent = 'Análisis Espectral';
+    }
+}
+
+/**
+ * Calcula el espectro y el espectrograma del canal elegido y detecta el giro en el descenso
+ */
+function analyzeSpectrum(fromRefresh = false) {
+    const channel = document.getElementById('spectrumChannel').value;
+    if (!csvData || !channel || !csvHeaders.includes('Tiempo_ms')) {
+        showPanelUnavailable('Se necesitan Tiempo_ms y un canal numérico para el análisis espectral',
+            'spectrumOverview', ['spectrumChart', 'spectrogramChart'], fromRefresh);
+        return;
+    }
+
+    const windowKey = document.getElementById('spectrumWindow').value;
+    const range = document.getElementById('spectrumRange').value;
+    const segmentSize = parseInt(document.getElementById('spectrumSegment').value) || 256;
+
+    const series = getUniformSeries(getRowsForPhase(range), channel);
+    if (!series) {
+        showPanelUnavailable(`No hay suficientes muestras de ${channel} en el tramo seleccionado`,
+            'spectrumOverview', ['spectrumChart', 'spectrogramChart'], fromRefresh);
+        return;
+    }
+    const spectrum = computeAmplitudeSpectrum(series.values, series.sampleRate, windowKey);
+
+    // Para el espectrograma se usa todo el vuelo y así se ve la evolución por fases
+    const flightSeries = range === 'all' ? series : getUniformSeries(csvData, channel);
+    const spectrogram = computeSpectrogram(flightSeries, Math.min(segmentSize, flightSeries.values.length), windowKey);
+
+    displaySpectrumOverview(channel, series, spectrum, detectDescentSpin(channel, windowKey));
+    generateSpectrumChart(channel, spectrum);
+    generateSpectrogramChart(channel, spectrogram);
+}
+
+/**
+ * Frecuencia de giro durante el descenso: pico espectral del canal y velocidad media de Gyro_Z
+ */
+function detectDescentSpin(channel, windowKey) {
+    if (!flightPhases || !flightPhases.includes('descent')) {
+        return null;
+    }
+    const descentRows = getRowsForPhase('descent');
+    const series = getUniformSeries(descentRows, channel);
+    const peak = series ? findDominantFrequency(computeAmplitudeSpectrum(series.values, series.sampleRate, windowKey)) : null;
+
+    // La velocidad angular de eje Z da la rotación directamente (una vuelta = 360°)
+    const spinRates = getNumericColumn(descentRows, 'Gyro_Z_deg_s').filter(value => !isNaN(value));
+    const meanSpin = spinRates.length > 0
+        ? spinRates.reduce((sum, value) => sum + Math.abs(value), 0) / spinRates.length / 360
+        : NaN;
+
+    return { peak, meanSpin };
+}
+
+/**
+ * Muestra la resolución del espectro, su pico dominante y el giro detectado en el descenso
+ */
+function displaySpectrumOverview(channel, series, spectrum, spin) {
+    const overviewContainer = document.getElementById('spectrumOverview');
+    const dominant = findDominantFrequency(spectrum);
+    const cards = [
+        { title: 'Frecuencia de Muestreo', value: series.sampleRate, unit: 'Hz' },
+        // El relleno con ceros hasta potencia de 2 interpola el espectro pero no mejora la resolución
+        { title: 'Resolución', value: series.sampleRate / series.values.length, unit: 'Hz' },
+        { title: 'Pico Dominante', value: dominant ? dominant.frequency : NaN, unit: 'Hz' },
+        { title: 'Giro en Descenso (pico)', value: spin && spin.peak ? spin.peak.frequency : NaN, unit: 'Hz' },
+        { title: 'Giro en Descenso (Gyro_Z)', value: spin ? spin.meanSpin * 60 : NaN, unit: 'rpm' }
+    ];
+
+    overviewContainer.innerHTML = `
+        <h3>Espectro de ${channel}</h3>
+        <div class="apogee-grid">
+            ${cards.map(card => `
+                <div class="apogee-card">
+                    <div class="apogee-card-title">${card.title}</div>
+                    <div class="apogee-card-value">${isNaN(card.value) ? '-' : card.value.toFixed(card.unit === 'Hz' ? 3 : 1)}<span class="apogee-card-unit">${card.unit}</span></div>
+                </div>
+            `).join('')}
+        </div>
+        <p class="baro-note">${spin ? `Pico de ${channel} durante el descenso${spin.peak ? ` = ${(spin.peak.frequency * 60).toFixed(1)} rpm` : ''}; un pico en Accel/Gyro X-Y coincide con el giro bajo paracaídas, y picos fijos a alta frecuencia suelen delatar resonancias de piezas sueltas.` : 'No se detectó fase de descenso: el giro no se puede estimar.'}
+            Se remuestrea a paso uniforme y se resta la media antes de la FFT.</p>
+    `;
+}
+
+/**
+ * Grafica la magnitud del espectro del canal
+ */
+function generateSpectrumChart(channel, spectrum) {
+    const unit = getUnitForVariable(channel);
+    const amplitudes = spectrum.amplitudes.map(amplitude => toDisplayValue(channel, amplitude) - toDisplayValue(channel, 0));
+    const traces = [{
+        x: spectrum.frequencies,
+        y: amplitudes,
+        mode: 'lines',
+        type: 'scatter',
+        name: channel,
+        line: { color: greenPalette.neon, width: 1.5 }
+    }];
+    const layout = buildChartLayout(`Espectro de Amplitud - ${channel}`, 'Frecuencia (Hz)', unit ? `Amplitud (${unit})` : 'Amplitud');
+    layout.yaxis.type = document.getElementById('spectrumLogScale').checked ? 'log' : 'linear';
+
+    Plotly.newPlot('spectrumChart', traces, layout, defaultChartConfig);
+}
+
+/**
+ * Cambia la escala del eje de amplitud del espectro ya dibujado
+ */
+function updateSpectrumScale() {
+    if (isChartRendered('spectrumChart')) {
+        Plotly.relayout('spectrumChart', { 'yaxis.type': document.getElementById('spectrumLogScale').checked ? 'log' : 'linear' });
+    }
+}
+
+/**
+ * Grafica el espectrograma del canal a lo largo del vuelo
+ */
+function generateSpectrogramChart(channel, spectrogram) {
+    const traces = [{
+        x: spectrogram.times,
+        y: spectrogram.frequencies,
+        z: spectrogram.z,
+        type: 'heatmap',
+        colorscale: 'Viridis',
+        colorbar: { title: 'dB', tickfont: { color: '#ffffff' } },
+        name: channel
+    }];
+    const layout = buildChartLayout(`Espectrograma - ${channel}`, 'Tiempo (ms)', 'Frecuencia (Hz)');
+    layout.showlegend = false;
+
+    Plotly.newPlot('spectrogramChart', traces, layout, defaultChartConfig);
+}
+
+/**
+ * Muestra la sección de análisis espectral
+ */
+function showSpectrumSection() {
+    document.getElementById('spectrumSection').style.display = 'block';
+}
+
+// Constantes de humedad (fórmula de Magnus) y del vapor de agua
+const moistAirConstants = {
+    magnusA: 17.62,
+    magnusB: 243.12,        // °C
+    magnusE0: 6.112,        // hPa
+    vaporGasConstant: 461.5 // J/(kg·K)
+};
+
+// Canales medidos y derivados del perfil atmosférico
+const atmosphericProfileVariables = {
+    measured: [
+        { column: 'Temperatura_C', label: 'Temperatura' },
+        { column: 'Humedad_%', label: 'Humedad Relativa' },
+        { column: 'Presion_hPa', label: 'Presión' }
+    ],
+    derived: [
+        { column: 'Punto_Rocio_C', label: 'Punto de Rocío' },
+        { column: 'Humedad_Absoluta_g_m3', label: 'Humedad Absoluta', unit: 'g/m³' },
+        { column: 'Densidad_Aire_kg_m3', label: 'Densidad del Aire', unit: 'kg/m³' }
+    ]
+};
+
+// Colores de las ramas de ascenso y descenso
+const profileBranchColors = {
+    ascent: '#0088ff',
+    descent: '#ffaa00'
+};
+
+/**
+ * Presión de vapor (hPa) a partir de temperatura (°C) y humedad relativa (%)
+ */
+function computeVaporPressure(temperature, humidity) {
+    const { magnusA, magnusB, magnusE0 } = moistAirConstants;
+    return humidity / 100 * magnusE0 * Math.exp(magnusA * temperature / (magnusB + temperature));
+}
+
+/**
+ * Punto de rocío (°C), humedad absoluta (g/m³) y densidad del aire húmedo (kg/m³) de una fila
+ */
+function computeMoistAirProperties(row) {
+    const temperature = parseFloat(row['Temperatura_C']);
+    const humidity = parseFloat(row['Humedad_%']);
+    const pressure = parseFloat(row['Presion_hPa']);
+    const { magnusA, magnusB, vaporGasConstant } = moistAirConstants;
+    const kelvin = temperature + 273.15;
+
+    let dewPoint = NaN;
+    let absoluteHumidity = NaN;
+    let vaporPressure = 0;
+    if (!isNaN(temperature) && humidity > 0) {
+        const gamma = Math.log(humidity / 100) + magnusA * temperature / (magnusB + temperature);
+        dewPoint = magnusB * gamma / (magnusA - gamma);
+        vaporPressure = computeVaporPressure(temperature, humidity);
+        absoluteHumidity = vaporPressure * 100 / (vaporGasConstant * kelvin) * 1000;
+    }
+
+    // Aire húmedo: suma de las densidades parciales del aire seco y del vapor
+    const density = isNaN(temperature) || isNaN(pressure) ? NaN
+        : (pressure - vaporPressure) * 100 / (standardAtmosphere.gasConstant * kelvin) + vaporPressure * 100 / (vaporGasConstant * kelvin);
+
+    return { dewPoint, absoluteHumidity, density };
+}
+
+/**
+ * Índices de las ramas de ascenso y descenso (por fases, o separando en el apogeo)
+ */
+function splitFlightBranches(rows, phases) {
+    if (phases && phases.includes('descent')) {
+        return {
+            ascent: rows.map((_, i) => i).filter(i => phases[i] === 'boost' || phases[i] === 'ascent'),
+            descent: rows.map((_, i) => i).filter(i => phases[i] === 'descent')
+        };
+    }
+    const { apogeeIndex } = findApogee(rows, 'Altitud_m');
+    return {
+        ascent: rows.map((_, i) => i).filter(i => i <= apogeeIndex),
+        descent: rows.map((_, i) => i).filter(i => i > apogeeIndex)
+    };
+}
+
+/**
+ * Ajuste lineal por mínimos cuadrados de y frente a x
+ */
+function fitLine(xs, ys) {
+    const points = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => !isNaN(x) && !isNaN(y));
+    if (points.length < 3) {
+        return null;
+    }
+    const n = points.length;
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+    const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    const syy = points.reduce((sum, [, y]) => sum + (y - meanY) ** 2, 0);
+    if (sxx === 0) {
+        return null;
+    }
+    const slope = sxy / sxx;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+        minX: points.reduce((min, [x]) => Math.min(min, x), Infinity),
+        maxX: points.reduce((max, [x]) => Math.max(max, x), -Infinity)
+    };
+}
+
+/**
+ * Histéresis entre ramas: diferencia media (descenso − ascenso) por franjas de altitud comunes
+ */
+function computeBranchHysteresis(altitudes, values, branches, binSize) {
+    const binMeans = indices => {
+        const bins = {};
+        indices.forEach(i => {
+            if (isNaN(altitudes[i]) || isNaN(values[i])) {
+                return;
+            }
+            const bin = Math.floor(altitudes[i] / binSize);
+            bins[bin] = bins[bin] || { sum: 0, count: 0 };
+            bins[bin].sum += values[i];
+            bins[bin].count++;
+        });
+        return bins;
+    };
+    const ascent = binMeans(branches.ascent);
+    const descent = binMeans(branches.descent);
+    const differences = Object.keys(ascent)
+        .filter(bin => descent[bin])
+        .map(bin => descent[bin].sum / descent[bin].count - ascent[bin].sum / ascent[bin].count);
+
+    if (differences.length === 0) {
+        return null;
+    }
+    return {
+        mean: differences.reduce((sum, value) => sum + value, 0) / differences.length,
+        maxAbs: differences.reduce((max, value) => Math.max(max, Math.abs(value)), 0),
+        bins: differences.length
+    };
+}
+
+/**
+ * Alterna la visualización del perfil atmosférico
+ */
+function toggleAtmosphericProfile() {
+    const atmosphereContent = document.getElementById('atmosphereContent');
+    const atmosphereBtn = document.getElementById('atmosphereBtn');
+
+    if (atmosphereContent.style.display === 'none' || atmosphereContent.style.display === '') {
+        atmosphereContent.style.display = 'block';
+        atmosphereBtn.classList.add('active');
+        atmosphereBtn.textContent = 'Ocultar Perfil Atmosférico';
+
+        analyzeAtmosphericProfile();
+    } else {
+        atmosphereContent.style.display = 'none';
+        atmosphereBtn.classList.remove('active');
+        atmosphereBtn.textContent = 'Perfil Atmosférico';
+    }
+}
+
+/**
+ * Calcula las variables derivadas, el gradiente térmico y la histéresis, y dibuja los perfiles
+ */
+function analyzeAtmosphericProfile(fromRefresh = false) {
+    const missing = csvData ? ['Altitud_m', 'Temperatura_C'].filter(column => !csvHeaders.includes(column)) : ['Altitud_m', 'Temperatura_C'];
+    if (missing.length > 0) {
+        showPanelUnavailable(`Faltan las variables necesarias para el perfil atmosférico: ${missing.join(', ')}`,
+            'atmosphereOverview', ['atmosphereChart', 'atmosphereDerivedChart'], fromRefresh);
+        return;
+    }
+
+    const properties = csvData.map(computeMoistAirProperties);
+    addDerivedColumn('Punto_Rocio_C', properties.map(p => p.dewPoint));
+    addDerivedColumn('Humedad_Absoluta_g_m3', properties.map(p => p.absoluteHumidity));
+    addDerivedColumn('Densidad_Aire_kg_m3', properties.map(p => p.density));
+
+    const altitudes = getNumericColumn(csvData, 'Altitud_m');
+    const branches = splitFlightBranches(csvData, flightPhases);
+    const binSize = parseFloat(document.getElementById('atmosphereBinSize').value) || 50;
+
+    const temperatures = getNumericColumn(csvData, 'Temperatura_C');
+    const branchValues = (values, indices) => indices.map(i => values[i]);
+    const lapse = {
+        ascent: fitLine(branchValues(altitudes, branches.ascent), branchValues(temperatures, branches.ascent)),
+        descent: fitLine(branchValues(altitudes, branches.descent), branchValues(temperatures, branches.descent))
+    };
+
+    const hysteresis = [...atmosphericProfileVariables.measured, ...atmosphericProfileVariables.derived]
+        .filter(variable => csvHeaders.includes(variable.column))
+        .map(variable => ({
+            ...variable,
+            result: computeBranchHysteresis(altitudes, getNumericColumn(csvData, variable.column), branches, binSize)
+        }));
+
+    displayAtmosphericOverview(lapse, hysteresis, binSize);
+    generateProfileChart('atmosphereChart', 'Perfiles Medidos: Ascenso vs Descenso', atmosphericProfileVariables.measured, altitudes, branches, lapse);
+    generateProfileChart('atmosphereDerivedChart', 'Perfiles Derivados: Ascenso vs Descenso', atmosphericProfileVariables.derived, altitudes, branches, null);
+}
+
+/**
+ * Muestra el gradiente térmico ajustado frente a la ISA y la histéresis de cada variable
+ */
+function displayAtmosphericOverview(lapse, hysteresis, binSize) {
+    const overviewContainer = document.getElementById('atmosphereOverview');
+    const isaLapse = standardAtmosphere.lapseRate * 1000;
+    // Gradiente positivo = la temperatura baja con la altura (convención meteorológica)
+    const toLapse = fit => (fit ? -fit.slope * 1000 : NaN);
+    const cards = [
+        { title: 'Gradiente Térmico (Ascenso)', value: toLapse(lapse.ascent), unit: '°C/km' },
+        { title: 'Gradiente Térmico (Descenso)', value: toLapse(lapse.descent), unit: '°C/km' },
+        { title: 'Diferencia con ISA (Ascenso)', value: toLapse(lapse.ascent) - isaLapse, unit: '°C/km' },
+        { title: 'Diferencia con ISA (Descenso)', value: toLapse(lapse.descent) - isaLapse, unit: '°C/km' }
+    ];
+
+    const rowsHTML = hysteresis.map(variable => {
+        const unit = getUnitForVariable(variable.column) || variable.unit || '';
+        const toDelta = value => toDisplayValue(variable.column, value) - toDisplayValue(variable.column, 0);
+        return `
+            <tr>
+                <td>${variable.label}</td>
+                <td>${variable.result ? `${toDelta(variable.result.mean).toFixed(3)} ${unit}` : '-'}</td>
+                <td>${variable.result ? `${toDelta(variable.result.maxAbs).toFixed(3)} ${unit}` : '-'}</td>
+                <td>${variable.result ? variable.result.bins : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    overviewContainer.innerHTML = `
+        <h3>Perfil Atmosférico</h3>
+        <div class="apogee-grid">
+            ${cards.map(card => `
+                <div class="apogee-card">
+                    <div class="apogee-card-title">${card.title}</div>
+                    <div class="apogee-card-value">${isNaN(card.value) ? '-' : card.value.toFixed(2)}<span class="apogee-card-unit">${card.unit}</span></div>
+                </div>
+            `).join('')}
+        </div>
+        <table class="rules-table">
+            <thead>
+                <tr><th>Variable</th><th>Histéresis media (desc. − asc.)</th><th>Histéresis máxima</th><th>Franjas de ${binSize} m</th></tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+        <p class="baro-note">Gradiente ISA = ${isaLapse.toFixed(1)} °C/km. Canales <strong>Punto_Rocio_C</strong>, <strong>Humedad_Absoluta_g_m3</strong> y <strong>Densidad_Aire_kg_m3</strong> agregados al conjunto de datos.
+            Una histéresis sistemática entre ramas a la misma altitud indica retardo del sensor.</p>
+    `;
+}
+
+/**
+ * Grafica perfiles verticales (variable frente a altitud) con una columna por variable y las dos ramas
+ */
+function generateProfileChart(chartId, title, variables, altitudes, branches, lapse) {
+    const available = variables.filter(variable => csvHeaders.includes(variable.column));
+    const lengthUnit = getDisplayUnitSymbol('length');
+    const traces = [];
+    const layout = buildChartLayout(title, '', `Altitud (${lengthUnit})`);
+    const gap = 0.04;
+    const width = (1 - gap * (available.length - 1)) / available.length;
+
+    available.forEach((variable, index) => {
+        const values = getNumericColumn(csvData, variable.column);
+        const axisSuffix = index === 0 ? '' : String(index + 1);
+        const unit = getUnitForVariable(variable.column) || variable.unit || '';
+
+        Object.entries(branches).forEach(([branch, indices]) => {
+            traces.push({
+                x: toDisplaySeries(variable.column, indices.map(i => values[i])),
+                y: indices.map(i => toDisplayUnit(altitudes[i], 'length')),
+                mode: 'lines',
+                type: 'scatter',
+                xaxis: `x${axisSuffix}`,
+                name: branch === 'ascent' ? 'Ascenso' : 'Descenso',
+                legendgroup: branch,
+                showlegend: index === 0,
+                line: { color: profileBranchColors[branch], width: 1.5 }
+            });
+        });
+
+        // Referencia ISA desde la temperatura ajustada en la parte baja del ascenso
+        if (lapse && lapse.ascent && variable.column === 'Temperatura_C') {
+            const bottom = lapse.ascent.minX;
+            const top = lapse.ascent.maxX;
+            const groundTemperature = lapse.ascent.intercept + lapse.ascent.slope * bottom;
+            const isaTemperature = altitude => groundTemperature - standardAtmosphere.lapseRate * (altitude - bottom);
+            traces.push({
+                x: toDisplaySeries('Temperatura_C', [isaTemperature(bottom), isaTemperature(top)]),
+                y: [bottom, top].map(altitude => toDisplayUnit(altitude, 'length')),
+                mode: 'lines',
+                type: 'scatter',
+                xaxis: `x${axisSuffix}`,
+                name: 'ISA',
+                line: { color: '#ffffff', width: 1, dash: 'dash' }
+            });
+        }
+
+        layout[`xaxis${axisSuffix}`] = Object.assign({}, layout.xaxis, {
+            title: { text: unit ? `${variable.label} (${unit})` : variable.label, font: layout.xaxis.title.font },
+            domain: [index * (width + gap), index * (width + gap) + width],
+            anchor: 'y'
+        });
+    });
+
+    Plotly.newPlot(chartId, traces, layout, defaultChartConfig);
+}
+
+/**
+ * Muestra la sección del perfil atmosférico
+ */
+function showAtmosphereSection() {
+    document.getElementById('atmosphereSection').style.display = 'block';
+}
+
 console.log('🚀 GAIA CANSAT Data Analyzer cargado correctamente');
@@ -0,0 +1,215 @@
+/**
+ * GAIA CANSAT - Servidor de telemetría simulado
+ * Servidor WebSocket mínimo (sin dependencias) que emite líneas CSV como lo haría
+ * el puente serie→WebSocket de la estación terrena.
+ *
+ * Uso:
+ *   node tools/mock-telemetry-server.js [archivo.csv] [--port 8080] [--rate 10]
+ *
+ * Con un archivo CSV reproduce sus filas en bucle (la primera línea es la cabecera y
+ * Tiempo_ms sigue creciendo en cada vuelta); sin archivo genera un vuelo sintético que,
+ * tras aterrizar, sigue emitiendo muestras en tierra.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// GUID fijo del protocolo WebSocket (RFC 6455) para calcular Sec-WebSocket-Accept
+const websocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const expectedVariables = [
+    'Tiempo_ms', 'Temperatura_C', 'Humedad_%', 'Presion_hPa', 'Resistencia_kOhms',
+    'Accel_X_m_s2', 'Accel_Y_m_s2', 'Accel_Z_m_s2',
+    'Gyro_X_deg_s', 'Gyro_Y_deg_s', 'Gyro_Z_deg_s',
+    'Roll_deg', 'Pitch_deg', 'Altitud_m'
+];
+
+/**
+ * Lee los argumentos de la línea de comandos
+ */
+function parseArguments(argv) {
+    const options = { file: null, port: 8080, rate: 10 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i]) || options.port;
+        } else if (argv[i] === '--rate') {
+            options.rate = parseFloat(argv[++i]) || options.rate;
+        } else {
+            options.file = argv[i];
+        }
+    }
+    return options;
+}
+
+/**
+ * Genera una línea del vuelo sintético: plataforma, impulso, ascenso balístico y descenso en paracaídas
+ */
+function syntheticSample(timeMs) {
+    const padTime = 5;
+    const burnTime = 2;
+    const thrustAccel = 60;
+    const descentRate = 8;
+    const baseAltitude = 571;
+    const t = timeMs / 1000 - padTime;
+
+    const burnoutSpeed = thrustAccel * burnTime;
+    const burnoutAltitude = 0.5 * thrustAccel * burnTime * burnTime;
+    const coastTime = burnoutSpeed / 9.81;
+    const apogee = burnoutAltitude + burnoutSpeed * coastTime - 0.5 * 9.81 * coastTime * coastTime;
+
+    let altitude = 0;
+    let accel = 9.81;
+    if (t > 0 && t <= burnTime) {
+        altitude = 0.5 * thrustAccel * t * t;
+        accel = thrustAccel + 9.81;
+    } else if (t > burnTime && t <= burnTime + coastTime) {
+        const tc = t - burnTime;
+        altitude = burnoutAltitude + burnoutSpeed * tc - 0.5 * 9.81 * tc * tc;
+        accel = 0.5;
+    } else if (t > burnTime + coastTime) {
+        altitude = Math.max(0, apogee - (t - burnTime - coastTime) * descentRate);
+    }
+
+    const noise = scale => (Math.random() - 0.5) * scale;
+    const absoluteAltitude = baseAltitude + altitude;
+    const pressure = 1013.25 * Math.pow(1 - absoluteAltitude / 44330, 5.255);
+    const spinning = t > burnTime + coastTime && altitude > 0;
+
+    const values = [
+        timeMs,
+        25 - altitude * 0.0065 + noise(0.2),
+        50 + altitude * 0.01 + noise(1),
+        pressure + noise(0.05),
+        150 + altitude / 10 + noise(5),
+        noise(0.3),
+        noise(0.3),
+        accel + noise(0.3),
+        noise(2),
+        noise(2),
+        (spinning ? 90 * Math.sin(t * 2) : 0) + noise(2),
+        noise(3),
+        noise(3),
+        absoluteAltitude + noise(0.5)
+    ];
+    return values.map(value => Number.isInteger(value) ? value : value.toFixed(2)).join(',');
+}
+
+/**
+ * Prepara la fuente de líneas: las filas de un CSV o el vuelo sintético
+ */
+function createLineSource(options) {
+    if (options.file) {
+        const lines = fs.readFileSync(options.file, 'utf8').split(/\r?\n/).filter(line => line.trim() !== '');
+        const rows = lines.slice(1);
+        const timeIndex = lines[0].split(',').map(header => header.trim()).indexOf('Tiempo_ms');
+        const timeOf = line => parseFloat(line.split(',')[timeIndex]);
+
+        // Cada vuelta desplaza Tiempo_ms la duración del archivo más un intervalo, para que el tiempo no retroceda
+        const lapMs = timeIndex !== -1 && rows.length > 1
+            ? timeOf(rows[rows.length - 1]) - timeOf(rows[0]) + (timeOf(rows[1]) - timeOf(rows[0]))
+            : NaN;
+
+        return {
+            header: lines[0],
+            next: index => {
+                const line = rows[index % rows.length];
+                const lap = Math.floor(index / rows.length);
+                if (lap === 0 || !(lapMs > 0)) {
+                    return line;
+                }
+                const fields = line.split(',');
+                const time = parseFloat(fields[timeIndex]);
+                if (!isNaN(time)) {
+                    fields[timeIndex] = String(time + lap * lapMs);
+                }
+                return fields.join(',');
+            }
+        };
+    }
+    const periodMs = 1000 / options.rate;
+    return { header: expectedVariables.join(','), next: index => syntheticSample(Math.round(index * periodMs)) };
+}
+
+/**
+ * Codifica un mensaje de texto como trama WebSocket (el servidor no enmascara)
+ */
+function encodeTextFrame(text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Devuelve el código de operación de la primera trama recibida del cliente
+ */
+function readOpcode(buffer) {
+    return buffer.length > 0 ? buffer[0] & 0x0f : null;
+}
+
+const options = parseArguments(process.argv.slice(2));
+const source = createLineSource(options);
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Este servidor solo acepta conexiones WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + websocketGuid).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    console.log(`📡 Cliente conectado desde ${socket.remoteAddress}`);
+    socket.write(encodeTextFrame(source.header));
+
+    let index = 0;
+    const timer = setInterval(() => {
+        socket.write(encodeTextFrame(source.next(index++)));
+    }, 1000 / options.rate);
+
+    const close = () => {
+        clearInterval(timer);
+        socket.destroy();
+    };
+
+    socket.on('data', buffer => {
+        // 0x8: trama de cierre del cliente
+        if (readOpcode(buffer) === 0x8) {
+            socket.end(Buffer.from([0x88, 0x00]));
+            clearInterval(timer);
+            console.log('👋 Cliente desconectado');
+        }
+    });
+    socket.on('error', close);
+    socket.on('close', close);
+});
+
+server.listen(options.port, () => {
+    const origin = options.file ? `reproduciendo ${options.file}` : 'vuelo sintético';
+    console.log(`🚀 Telemetría simulada en ws://localhost:${options.port} (${origin}, ${options.rate} Hz)`);
+});